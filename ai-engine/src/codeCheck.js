@@ -0,0 +1,278 @@
+/**
+ * Syntax and type checks for a generated file map, run before it is saved.
+ *
+ * JavaScript and TypeScript files are parsed with the TypeScript compiler,
+ * JSON files with JSON.parse (tsconfig/jsconfig as JSONC), and SQL files are
+ * scanned for unterminated strings, comments and dollar quotes and for
+ * unbalanced parentheses. The frontend is then type-checked in no-emit mode
+ * from memory. Its dependencies are not installed at generation time, so
+ * package imports are typed as `any` and diagnostics that only a package's
+ * types could settle are left out.
+ */
+
+import path from "path";
+import ts from "typescript";
+import { isSourceFile } from "./importGraph.js";
+
+// Folder of the generated app that gets type-checked
+const TYPE_CHECK_ROOT = "frontend";
+
+// Where the file map is mounted for the compiler; never touches the disk
+const VIRTUAL_ROOT = "/__generated__";
+
+// Makes every package import resolve, typed as any
+const PACKAGES_SHIM = "__packages__.d.ts";
+const PACKAGES_SHIM_CONTENT = 'declare module "*";\n';
+
+// Diagnostics that come from package types being unavailable, not from the generated code:
+// namespaces of packages (React.ReactNode) and types imported from them, type arguments
+// of package functions (useState<T>), Node globals, missing declaration files
+const IGNORED_TYPE_CODES = new Set([2503, 2709, 2347, 2580, 2591, 2592, 2593, 2688, 7016]);
+
+// What the compiler assumes for an app without a tsconfig.json (the create-next-app defaults)
+const DEFAULT_COMPILER_OPTIONS = {
+  target: "ES2017",
+  lib: ["dom", "dom.iterable", "esnext"],
+  allowJs: true,
+  strict: true,
+  esModuleInterop: true,
+  module: "esnext",
+  moduleResolution: "bundler",
+  resolveJsonModule: true,
+  isolatedModules: true,
+  jsx: "preserve",
+  baseUrl: ".",
+  paths: { "@/*": ["./*"] },
+};
+
+/**
+ * @typedef {Object} CodeDiagnostic
+ * @property {string} path - File the diagnostic is about
+ * @property {number} line - 1-based line (0 when unknown)
+ * @property {number} column - 1-based column (0 when unknown)
+ * @property {string} message - What is wrong
+ * @property {string|null} code - Compiler code (e.g. "TS1005"), null for JSON and SQL
+ * @property {"syntax"|"types"} source - Check that reported it
+ */
+
+function positionOf(content, offset) {
+  const before = content.slice(0, offset).split("\n");
+  return { line: before.length, column: before.at(-1).length + 1 };
+}
+
+function fromTsDiagnostic(filePath, diagnostic, source) {
+  const { line, character } = diagnostic.file
+    ? diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+    : { line: -1, character: -1 };
+  return {
+    path: filePath,
+    line: line + 1,
+    column: character + 1,
+    message: ts.flattenDiagnosticMessageText(diagnostic.messageText, " "),
+    code: `TS${diagnostic.code}`,
+    source,
+  };
+}
+
+function checkScript(filePath, content) {
+  const { diagnostics = [] } = ts.transpileModule(content, {
+    fileName: filePath,
+    reportDiagnostics: true,
+    compilerOptions: { jsx: ts.JsxEmit.Preserve, allowJs: true },
+  });
+  return diagnostics.map((diagnostic) => fromTsDiagnostic(filePath, diagnostic, "syntax"));
+}
+
+function checkJson(filePath, content) {
+  // TypeScript reads its configs as JSON with comments and trailing commas
+  if (/(^|\/)(tsconfig|jsconfig)[^/]*\.json$/.test(filePath)) {
+    const { error } = ts.parseConfigFileTextToJson(filePath, content);
+    return error ? [fromTsDiagnostic(filePath, error, "syntax")] : [];
+  }
+
+  try {
+    JSON.parse(content);
+    return [];
+  } catch (error) {
+    const offset = Number(error.message.match(/at position (\d+)/)?.[1]);
+    const { line, column } = Number.isNaN(offset) ? { line: 0, column: 0 } : positionOf(content, offset);
+    return [{ path: filePath, line, column, message: error.message, code: null, source: "syntax" }];
+  }
+}
+
+function checkSql(filePath, content) {
+  const diagnostics = [];
+  const report = (offset, message) =>
+    diagnostics.push({ path: filePath, ...positionOf(content, offset), message, code: null, source: "syntax" });
+  const parens = [];
+  let i = 0;
+
+  // Skip from a quote to its closing quote; false when it is never closed
+  const skipQuoted = (quote) => {
+    for (i++; i < content.length; i++) {
+      if (content[i] !== quote) continue;
+      if (content[i + 1] === quote) i++; // '' and "" escape the quote
+      else return true;
+    }
+    return false;
+  };
+
+  while (i < content.length) {
+    const start = i;
+    const char = content[i];
+
+    if (char === "-" && content[i + 1] === "-") {
+      const end = content.indexOf("\n", i);
+      i = end === -1 ? content.length : end;
+    } else if (char === "/" && content[i + 1] === "*") {
+      const end = content.indexOf("*/", i + 2);
+      if (end === -1) {
+        report(start, "Unterminated /* comment");
+        return diagnostics;
+      }
+      i = end + 2;
+    } else if (char === "'" || char === '"') {
+      if (!skipQuoted(char)) {
+        report(start, char === "'" ? "Unterminated string literal" : "Unterminated quoted identifier");
+        return diagnostics;
+      }
+      i++;
+    } else if (char === "$" && /^\$([A-Za-z_]\w*)?\$/.test(content.slice(i))) {
+      const tag = content.slice(i).match(/^\$([A-Za-z_]\w*)?\$/)[0];
+      const end = content.indexOf(tag, i + tag.length);
+      if (end === -1) {
+        report(start, `Unterminated dollar-quoted string ${tag}`);
+        return diagnostics;
+      }
+      i = end + tag.length;
+    } else {
+      if (char === "(") parens.push(i);
+      if (char === ")" && parens.pop() === undefined) report(i, "Unmatched )");
+      i++;
+    }
+  }
+
+  for (const offset of parens) report(offset, "Unclosed (");
+  return diagnostics;
+}
+
+/**
+ * Parse one file
+ * @param {string} filePath - Path (its extension picks the parser)
+ * @param {string} content - File content
+ * @returns {CodeDiagnostic[]} - Empty when it parses, or when no parser handles its type
+ */
+export function checkSyntax(filePath, content) {
+  if (isSourceFile(filePath)) return checkScript(filePath, content);
+  if (filePath.endsWith(".json")) return checkJson(filePath, content);
+  if (filePath.endsWith(".sql")) return checkSql(filePath, content);
+  return [];
+}
+
+/**
+ * Compiler options of the app in TYPE_CHECK_ROOT, from its tsconfig.json when it has one
+ */
+function compilerOptionsFor(files) {
+  const configPath = `${TYPE_CHECK_ROOT}/tsconfig.json`;
+  const basePath = `${VIRTUAL_ROOT}/${TYPE_CHECK_ROOT}`;
+  const { config } = files[configPath] ? ts.parseConfigFileTextToJson(configPath, files[configPath]) : {};
+  const { options } = ts.convertCompilerOptionsFromJson(config?.compilerOptions || DEFAULT_COMPILER_OPTIONS, basePath);
+
+  return {
+    ...options,
+    noEmit: true,
+    skipLibCheck: true,
+    checkJs: false,
+    // Callbacks into untyped packages would all be implicit any
+    noImplicitAny: false,
+    noUnusedLocals: false,
+    noUnusedParameters: false,
+    incremental: false,
+    types: [],
+    plugins: undefined,
+  };
+}
+
+/**
+ * Type-check the frontend of a file map in no-emit mode
+ * @param {Object<string, string>} files - Path to content
+ * @returns {CodeDiagnostic[]} - Semantic diagnostics of the frontend's TypeScript files
+ */
+export function typeCheck(files) {
+  const prefix = `${TYPE_CHECK_ROOT}/`;
+  const virtual = new Map(
+    Object.entries(files)
+      .filter(([filePath]) => filePath.startsWith(prefix))
+      .map(([filePath, content]) => [`${VIRTUAL_ROOT}/${filePath}`, content])
+  );
+  const shim = `${VIRTUAL_ROOT}/${prefix}${PACKAGES_SHIM}`;
+  virtual.set(shim, PACKAGES_SHIM_CONTENT);
+
+  const rootNames = [...virtual.keys()].filter((fileName) => /\.(ts|tsx)$/.test(fileName));
+  if (rootNames.length === 1) return []; // Only the shim
+
+  const options = compilerOptionsFor(files);
+  const host = ts.createCompilerHost(options, true);
+  const inVirtualRoot = (fileName) => fileName.startsWith(`${VIRTUAL_ROOT}/`);
+  const { fileExists, readFile, getSourceFile, directoryExists } = host;
+
+  host.fileExists = (fileName) => (inVirtualRoot(fileName) ? virtual.has(fileName) : fileExists(fileName));
+  host.readFile = (fileName) => (inVirtualRoot(fileName) ? virtual.get(fileName) : readFile(fileName));
+  host.directoryExists = (dir) =>
+    inVirtualRoot(`${dir}/`)
+      ? [...virtual.keys()].some((fileName) => fileName.startsWith(`${dir}/`))
+      : directoryExists(dir);
+  host.getSourceFile = (fileName, languageVersion, onError, shouldCreate) =>
+    inVirtualRoot(fileName)
+      ? virtual.has(fileName)
+        ? ts.createSourceFile(fileName, virtual.get(fileName), languageVersion, true)
+        : undefined
+      : getSourceFile(fileName, languageVersion, onError, shouldCreate);
+  host.getCurrentDirectory = () => `${VIRTUAL_ROOT}/${TYPE_CHECK_ROOT}`;
+
+  const program = ts.createProgram({ rootNames, options, host });
+  return program
+    .getSemanticDiagnostics()
+    .filter(({ file }) => file && inVirtualRoot(file.fileName) && file.fileName !== shim)
+    .filter((diagnostic) => !IGNORED_TYPE_CODES.has(diagnostic.code))
+    .map((diagnostic) =>
+      fromTsDiagnostic(path.posix.relative(VIRTUAL_ROOT, diagnostic.file.fileName), diagnostic, "types")
+    );
+}
+
+/**
+ * Syntax-check every file of a map, then type-check its frontend. Files that
+ * do not parse are not type-checked; their parse errors come first.
+ * @param {Object<string, string>} files - Path to content
+ * @returns {{diagnostics: Object<string, CodeDiagnostic[]>, checked: number, typeChecked: boolean}}
+ *   - diagnostics: per failing file; checked: files a parser handled
+ */
+export function checkGeneratedCode(files) {
+  const diagnostics = {};
+  let checked = 0;
+
+  for (const [filePath, content] of Object.entries(files)) {
+    if (!isSourceFile(filePath) && !/\.(json|sql)$/.test(filePath)) continue;
+    checked++;
+    const found = checkSyntax(filePath, content);
+    if (found.length > 0) diagnostics[filePath] = found;
+  }
+
+  const parsed = Object.fromEntries(Object.entries(files).filter(([filePath]) => !diagnostics[filePath]));
+  const typeChecked = Object.keys(parsed).some(
+    (filePath) => filePath.startsWith(`${TYPE_CHECK_ROOT}/`) && /\.tsx?$/.test(filePath)
+  );
+  if (typeChecked) {
+    for (const diagnostic of typeCheck(parsed)) {
+      (diagnostics[diagnostic.path] ||= []).push(diagnostic);
+    }
+  }
+
+  return { diagnostics, checked, typeChecked };
+}
+
+export default {
+  checkSyntax,
+  typeCheck,
+  checkGeneratedCode,
+};
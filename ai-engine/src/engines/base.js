@@ -1,3 +1,14 @@
+/**
+ * Map provider stop reasons onto one vocabulary.
+ * 'max_tokens' means the completion was cut off by the token limit.
+ * @param {string|null|undefined} reason - Raw stop/finish reason
+ * @returns {string}
+ */
+export function normalizeStopReason(reason) {
+  if (reason === 'max_tokens' || reason === 'length') return 'max_tokens';
+  return reason || 'stop';
+}
+
 /**
  * Base class for AI engines
  */
@@ -8,12 +19,37 @@ export class AIEngine {
     this.speed = 'medium';
     this.quality = 'good';
     this.costPer1kTokens = 0.01;
+    // Whether generate() honors options.outputSchema (see fileManifest.js)
+    this.structuredOutput = false;
+    // Whether the engine runs on the user's own infrastructure, so prompts never reach a cloud API
+    this.selfHosted = false;
   }
 
+  /**
+   * Generate a completion
+   * With options.outputSchema ({ name, description, schema }) an engine that
+   * supports structured output answers with a JSON object following the
+   * schema, returned as the content string.
+   * @returns {Promise<{content: string, tokens: {input: number, output: number}, elapsed: number, model: string, stopReason: string}>}
+   */
   async generate(prompt, options = {}) {
     throw new Error('Must implement generate()');
   }
 
+  /**
+   * Generate while reporting text as it arrives.
+   * Engines without native streaming deliver the whole completion as one chunk.
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Same options as generate()
+   * @param {Function} onText - Called with each text chunk
+   * @returns {Promise<Object>} - Same shape as generate()
+   */
+  async generateStream(prompt, options = {}, onText = () => {}) {
+    const result = await this.generate(prompt, options);
+    onText(result.content);
+    return result;
+  }
+
   async analyze(prompt, options = {}) {
     return this.generate(prompt, options);
   }
@@ -23,7 +59,9 @@ export class AIEngine {
       name: this.name,
       speed: this.speed,
       quality: this.quality,
-      costPer1kTokens: this.costPer1kTokens
+      costPer1kTokens: this.costPer1kTokens,
+      structuredOutput: this.structuredOutput,
+      selfHosted: this.selfHosted
     };
   }
 }
@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getEngine } from './index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '..', '.cache', 'engine-responses');
+
+/**
+ * Response cache settings, configurable through the environment:
+ *
+ *   ENGINE_CACHE             set to "off" to disable the cache (default on)
+ *   ENGINE_CACHE_DIR         where entries are stored (default ai-engine/.cache/engine-responses)
+ *   ENGINE_CACHE_TTL_MS      how long an entry is served (default 7 days)
+ *   ENGINE_CACHE_MAX_MB      size cap; least recently used entries are evicted past it (default 200)
+ */
+export function getCachePolicy() {
+  return {
+    enabled: process.env.ENGINE_CACHE !== 'off',
+    dir: process.env.ENGINE_CACHE_DIR || DEFAULT_CACHE_DIR,
+    ttlMs: Number(process.env.ENGINE_CACHE_TTL_MS ?? 7 * 24 * 60 * 60 * 1000),
+    maxBytes: Number(process.env.ENGINE_CACHE_MAX_MB ?? 200) * 1024 * 1024
+  };
+}
+
+// Replayed fixtures are already free and deterministic
+const UNCACHED_ENGINES = new Set(['mock']);
+
+/**
+ * Content address of an engine call: the same engine, model, prompts and
+ * generation options always produce the same key
+ * @param {string} engineName - Engine id
+ * @param {string} prompt - User prompt
+ * @param {Object} [options] - Engine options (systemPrompt, maxTokens, temperature, model); signal is ignored
+ * @returns {string} - SHA-256 hex digest
+ */
+export function cacheKey(engineName, prompt, options = {}) {
+  const id = engineName.toLowerCase();
+  const engine = getEngine(id);
+  const { systemPrompt = '', model, signal, ...rest } = options;
+  const generationOptions = Object.fromEntries(Object.entries(rest).sort(([a], [b]) => a.localeCompare(b)));
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([id, model || engine.model || engine.defaultModel || null, systemPrompt, prompt, generationOptions]))
+    .digest('hex');
+}
+
+function entryPath(policy, key) {
+  return path.join(policy.dir, `${key}.json`);
+}
+
+/**
+ * Look up a cached response
+ * @param {string} engineName - Engine id
+ * @param {string} prompt - User prompt
+ * @param {Object} [options] - Engine options, as passed to generate()
+ * @returns {Object|null} - Engine result ({ content, tokens, model, stopReason }) plus key and createdAt, or null on a miss
+ */
+export function getCachedResponse(engineName, prompt, options = {}) {
+  const policy = getCachePolicy();
+  if (!policy.enabled || UNCACHED_ENGINES.has(engineName.toLowerCase())) return null;
+
+  const key = cacheKey(engineName, prompt, options);
+  const file = entryPath(policy, key);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (Date.parse(entry.createdAt) + policy.ttlMs <= Date.now()) {
+      fs.rmSync(file, { force: true });
+      return null;
+    }
+
+    // Touch the entry so eviction drops the least recently used first
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    console.log(`[Cache] Hit ${key.slice(0, 12)} for ${engineName}`);
+
+    return {
+      key,
+      createdAt: entry.createdAt,
+      content: entry.content,
+      tokens: entry.tokens || { input: 0, output: 0 },
+      model: entry.model || null,
+      stopReason: entry.stopReason || 'stop'
+    };
+  } catch (error) {
+    console.log(`[Cache] Dropping unreadable entry ${key.slice(0, 12)}: ${error.message}`);
+    fs.rmSync(file, { force: true });
+    return null;
+  }
+}
+
+/**
+ * Store an engine result
+ * @param {string} engineName - Engine that produced the result
+ * @param {string} prompt - User prompt
+ * @param {Object} options - Engine options, as passed to generate()
+ * @param {Object} result - Engine result ({ content, tokens, model, stopReason })
+ */
+export function setCachedResponse(engineName, prompt, options, result) {
+  const policy = getCachePolicy();
+  if (!policy.enabled || UNCACHED_ENGINES.has(engineName.toLowerCase())) return;
+
+  const key = cacheKey(engineName, prompt, options);
+  try {
+    fs.mkdirSync(policy.dir, { recursive: true });
+    fs.writeFileSync(
+      entryPath(policy, key),
+      JSON.stringify({
+        key,
+        engine: engineName.toLowerCase(),
+        model: result.model || null,
+        createdAt: new Date().toISOString(),
+        promptPreview: prompt.slice(0, 200),
+        content: result.content,
+        tokens: result.tokens,
+        stopReason: result.stopReason
+      })
+    );
+    pruneCache(policy);
+  } catch (error) {
+    // A cache that cannot be written only costs a future call
+    console.log(`[Cache] Could not store ${key.slice(0, 12)}: ${error.message}`);
+  }
+}
+
+/**
+ * Remove expired entries, then evict least recently used ones until the cache fits its size cap
+ * @param {Object} [policy] - Overrides for getCachePolicy()
+ * @returns {{entries: number, bytes: number, removed: number}}
+ */
+export function pruneCache(policy = getCachePolicy()) {
+  if (!fs.existsSync(policy.dir)) return { entries: 0, bytes: 0, removed: 0 };
+
+  const now = Date.now();
+  let removed = 0;
+  const entries = [];
+  for (const name of fs.readdirSync(policy.dir)) {
+    if (!name.endsWith('.json')) continue;
+    const file = path.join(policy.dir, name);
+    const stat = fs.statSync(file);
+    // mtime is the last use, which is never earlier than the write
+    if (stat.mtimeMs + policy.ttlMs <= now) {
+      fs.rmSync(file, { force: true });
+      removed++;
+    } else {
+      entries.push({ file, size: stat.size, usedAt: stat.mtimeMs });
+    }
+  }
+
+  let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  entries.sort((a, b) => a.usedAt - b.usedAt);
+  while (bytes > policy.maxBytes && entries.length > 0) {
+    const oldest = entries.shift();
+    fs.rmSync(oldest.file, { force: true });
+    bytes -= oldest.size;
+    removed++;
+  }
+
+  if (removed > 0) {
+    console.log(`[Cache] Pruned ${removed} entries (${entries.length} left, ${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+  }
+  return { entries: entries.length, bytes, removed };
+}
+
+/**
+ * Delete every cached response
+ */
+export function clearCache() {
+  fs.rmSync(getCachePolicy().dir, { recursive: true, force: true });
+}
+
+export default {
+  getCachePolicy,
+  cacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  pruneCache,
+  clearCache
+};
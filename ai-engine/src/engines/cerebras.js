@@ -1,5 +1,5 @@
 import Cerebras from '@cerebras/cerebras_cloud_sdk';
-import { AIEngine } from './base.js';
+import { AIEngine, normalizeStopReason } from './base.js';
 
 export class CerebrasEngine extends AIEngine {
   constructor() {
@@ -7,10 +7,29 @@ export class CerebrasEngine extends AIEngine {
     this.speed = 'ultra-fast';
     this.quality = 'good';
     this.costPer1kTokens = 0.001;
+    this.defaultModel = 'llama3.3-70b';
+    this.structuredOutput = true;
+  }
+
+  /**
+   * Request fields for an output schema: strict JSON schema output
+   */
+  responseFormat(options) {
+    if (!options.outputSchema) return {};
+    const { name, description, schema } = options.outputSchema;
+    return { response_format: { type: 'json_schema', json_schema: { name, description, schema, strict: true } } };
+  }
 
-    this.client = new Cerebras({
-      apiKey: process.env.CEREBRAS_API_KEY
-    });
+  /**
+   * Client is created on first use so listing engines never requires an API key
+   */
+  get client() {
+    if (!this._client) {
+      this._client = new Cerebras({
+        apiKey: process.env.CEREBRAS_API_KEY
+      });
+    }
+    return this._client;
   }
 
   async generate(prompt, options = {}) {
@@ -23,10 +42,11 @@ export class CerebrasEngine extends AIEngine {
     messages.push({ role: 'user', content: prompt });
 
     const response = await this.client.chat.completions.create({
-      model: options.model || 'llama3.3-70b',
+      model: options.model || this.defaultModel,
       max_tokens: options.maxTokens || 16384,
-      messages
-    });
+      messages,
+      ...this.responseFormat(options)
+    }, { signal: options.signal });
 
     const elapsed = Date.now() - start;
     console.log(`[Cerebras] Generated in ${elapsed}ms`);
@@ -37,7 +57,58 @@ export class CerebrasEngine extends AIEngine {
         input: response.usage.prompt_tokens,
         output: response.usage.completion_tokens
       },
-      elapsed
+      elapsed,
+      model: response.model || options.model || this.defaultModel,
+      stopReason: normalizeStopReason(response.choices[0].finish_reason)
+    };
+  }
+
+  async generateStream(prompt, options = {}, onText = () => {}) {
+    const start = Date.now();
+
+    const messages = [];
+    if (options.systemPrompt) {
+      messages.push({ role: 'system', content: options.systemPrompt });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const stream = await this.client.chat.completions.create({
+      model: options.model || this.defaultModel,
+      max_tokens: options.maxTokens || 16384,
+      messages,
+      stream: true,
+      ...this.responseFormat(options)
+    }, { signal: options.signal });
+
+    let content = '';
+    let usage = null;
+    let finishReason = null;
+    for await (const chunk of stream) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        content += text;
+        onText(text);
+      }
+      if (chunk.choices?.[0]?.finish_reason) {
+        finishReason = chunk.choices[0].finish_reason;
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    const elapsed = Date.now() - start;
+    console.log(`[Cerebras] Streamed in ${elapsed}ms`);
+
+    return {
+      content,
+      tokens: {
+        input: usage?.prompt_tokens || 0,
+        output: usage?.completion_tokens || 0
+      },
+      elapsed,
+      model: options.model || this.defaultModel,
+      stopReason: normalizeStopReason(finishReason)
     };
   }
 }
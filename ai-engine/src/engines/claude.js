@@ -1,5 +1,5 @@
 import Anthropic from '@anthropic-ai/sdk';
-import { AIEngine } from './base.js';
+import { AIEngine, normalizeStopReason } from './base.js';
 
 export class ClaudeEngine extends AIEngine {
   constructor() {
@@ -7,32 +7,98 @@ export class ClaudeEngine extends AIEngine {
     this.speed = 'slow';
     this.quality = 'excellent';
     this.costPer1kTokens = 0.015;
-
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
+    this.defaultModel = 'claude-sonnet-4-20250514';
+    this.structuredOutput = true;
   }
 
-  async generate(prompt, options = {}) {
-    const start = Date.now();
+  /**
+   * Client is created on first use so listing engines never requires an API key
+   */
+  get client() {
+    if (!this._client) {
+      this._client = new Anthropic({
+        apiKey: process.env.ANTHROPIC_API_KEY
+      });
+    }
+    return this._client;
+  }
 
-    const response = await this.client.messages.create({
-      model: options.model || 'claude-sonnet-4-20250514',
+  /**
+   * Build the messages request shared by generate() and generateStream().
+   * An output schema becomes a tool the model has to call.
+   */
+  buildRequest(prompt, options) {
+    const request = {
+      model: options.model || this.defaultModel,
       max_tokens: options.maxTokens || 16384,
       system: options.systemPrompt || '',
       messages: [{ role: 'user', content: prompt }]
-    });
+    };
+
+    if (options.outputSchema) {
+      const { name, description, schema } = options.outputSchema;
+      request.tools = [{ name, description, input_schema: schema }];
+      request.tool_choice = { type: 'tool', name };
+    }
+
+    return request;
+  }
+
+  /**
+   * Text of a response, or the JSON input of its tool call
+   */
+  getContent(response) {
+    const toolUse = response.content.find((block) => block.type === 'tool_use');
+    if (toolUse) return JSON.stringify(toolUse.input);
+    return response.content.find((block) => block.type === 'text')?.text || '';
+  }
+
+  async generate(prompt, options = {}) {
+    const start = Date.now();
+
+    const response = await this.client.messages.create(this.buildRequest(prompt, options), { signal: options.signal });
 
     const elapsed = Date.now() - start;
     console.log(`[Claude] Generated in ${elapsed}ms`);
 
     return {
-      content: response.content[0].text,
+      content: this.getContent(response),
+      tokens: {
+        input: response.usage.input_tokens,
+        output: response.usage.output_tokens
+      },
+      elapsed,
+      model: response.model,
+      stopReason: normalizeStopReason(response.stop_reason)
+    };
+  }
+
+  async generateStream(prompt, options = {}, onText = () => {}) {
+    const start = Date.now();
+
+    const stream = this.client.messages.stream(this.buildRequest(prompt, options), { signal: options.signal });
+    stream.on('text', (text) => onText(text));
+    // Tool input arrives as raw JSON; a cut-off call keeps exactly what the model wrote
+    let toolJson = '';
+    stream.on('inputJson', (partialJson) => {
+      toolJson += partialJson;
+      onText(partialJson);
+    });
+
+    const response = await stream.finalMessage();
+
+    const elapsed = Date.now() - start;
+    console.log(`[Claude] Streamed in ${elapsed}ms`);
+
+    return {
+      content: toolJson || this.getContent(response),
       tokens: {
         input: response.usage.input_tokens,
         output: response.usage.output_tokens
       },
-      elapsed
+      elapsed,
+      model: response.model,
+      stopReason: normalizeStopReason(response.stop_reason)
     };
   }
 }
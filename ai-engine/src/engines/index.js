@@ -1,9 +1,13 @@
 import { ClaudeEngine } from './claude.js';
 import { CerebrasEngine } from './cerebras.js';
+import { MockEngine } from './mock.js';
+import { OpenAICompatibleEngine } from './openai.js';
 
 const engines = {
   claude: new ClaudeEngine(),
-  cerebras: new CerebrasEngine()
+  cerebras: new CerebrasEngine(),
+  local: new OpenAICompatibleEngine(),
+  mock: new MockEngine()
 };
 
 export function getEngine(name) {
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AIEngine, normalizeStopReason } from './base.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'engine-responses');
+
+/**
+ * Build the fixture key for a prompt + system prompt pair
+ */
+export function fixtureKey(prompt, systemPrompt = '') {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([systemPrompt || '', prompt]))
+    .digest('hex');
+}
+
+/**
+ * Offline engine that replays recorded responses from disk.
+ *
+ * Modes (MOCK_ENGINE_MODE):
+ *   replay - serve fixtures only, fail on a missing fixture (default)
+ *   record - call the real engine (MOCK_ENGINE_RECORD_ENGINE, default claude)
+ *            and write its response to the fixtures directory
+ */
+export class MockEngine extends AIEngine {
+  constructor(options = {}) {
+    super('Mock', {});
+    this.speed = 'instant';
+    this.quality = 'recorded';
+    this.costPer1kTokens = 0;
+
+    this.fixturesDir = options.fixturesDir || process.env.MOCK_ENGINE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    this.mode = options.mode || process.env.MOCK_ENGINE_MODE || 'replay';
+    this.recordEngine = options.recordEngine || process.env.MOCK_ENGINE_RECORD_ENGINE || 'claude';
+  }
+
+  fixturePath(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+
+  async generate(prompt, options = {}) {
+    options.signal?.throwIfAborted();
+    const start = Date.now();
+    const key = fixtureKey(prompt, options.systemPrompt);
+    const fixturePath = this.fixturePath(key);
+
+    if (this.mode === 'record') {
+      return this.record(key, prompt, options);
+    }
+
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(
+        `No mock fixture for key ${key} in ${this.fixturesDir}. ` +
+        `Run once with MOCK_ENGINE_MODE=record to capture it.`
+      );
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+    const elapsed = Date.now() - start;
+    console.log(`[Mock] Replayed ${key.slice(0, 12)} in ${elapsed}ms`);
+
+    return {
+      content: fixture.content,
+      tokens: fixture.tokens || { input: 0, output: 0 },
+      elapsed,
+      model: fixture.model || null,
+      stopReason: normalizeStopReason(fixture.stopReason)
+    };
+  }
+
+  /**
+   * Replay a fixture in small chunks so streaming consumers see incremental output
+   */
+  async generateStream(prompt, options = {}, onText = () => {}) {
+    const result = await this.generate(prompt, options);
+    for (let i = 0; i < result.content.length; i += 256) {
+      options.signal?.throwIfAborted();
+      onText(result.content.slice(i, i + 256));
+    }
+    return result;
+  }
+
+  /**
+   * Call the real engine and persist its response as a fixture
+   */
+  async record(key, prompt, options) {
+    // Recording from the mock engine would call record() on itself forever. Only the call
+    // fails: engines/index.js builds a MockEngine on import, so the constructor must not throw
+    if (this.recordEngine.toLowerCase() === 'mock') {
+      throw new Error('MOCK_ENGINE_RECORD_ENGINE cannot be mock: record from a real engine such as claude');
+    }
+
+    // Imported lazily to avoid a cycle with engines/index.js
+    const { getEngine } = await import('./index.js');
+    const engine = getEngine(this.recordEngine);
+    const result = await engine.generate(prompt, options);
+
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(
+      this.fixturePath(key),
+      JSON.stringify({
+        key,
+        recordedFrom: this.recordEngine,
+        recordedAt: new Date().toISOString(),
+        model: result.model || options.model || null,
+        promptPreview: prompt.slice(0, 200),
+        content: result.content,
+        tokens: result.tokens,
+        stopReason: result.stopReason
+      }, null, 2)
+    );
+    console.log(`[Mock] Recorded ${key.slice(0, 12)} from ${this.recordEngine}`);
+
+    return result;
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      mode: this.mode
+    };
+  }
+}
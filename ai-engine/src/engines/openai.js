@@ -0,0 +1,182 @@
+import { AIEngine, normalizeStopReason } from './base.js';
+
+/**
+ * Rough token estimate used to keep requests inside the context window
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Engine for any OpenAI-compatible chat-completions endpoint
+ * (llama.cpp server, vLLM, Ollama, LM Studio, ...)
+ */
+export class OpenAICompatibleEngine extends AIEngine {
+  constructor(options = {}) {
+    super('Local LLM', {});
+    this.speed = 'medium';
+    this.quality = 'good';
+    this.costPer1kTokens = 0;
+    this.selfHosted = true;
+
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+    this.model = options.model || process.env.OPENAI_COMPAT_MODEL || 'local-model';
+    this.apiKey = options.apiKey || process.env.OPENAI_COMPAT_API_KEY || '';
+    this.contextWindow = Number(options.contextWindow || process.env.OPENAI_COMPAT_CONTEXT_WINDOW || 8192);
+    // Servers differ in json_schema support, so structured output is opt-in
+    this.structuredOutput = options.structuredOutput ?? process.env.OPENAI_COMPAT_STRUCTURED_OUTPUT === 'true';
+  }
+
+  /**
+   * Fit the requested completion size into what is left of the context window
+   */
+  resolveMaxTokens(messages, requested) {
+    const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const available = this.contextWindow - promptTokens - 64;
+
+    if (available <= 0) {
+      throw new Error(
+        `[Local LLM] Prompt (~${promptTokens} tokens) exceeds the ${this.contextWindow}-token context window`
+      );
+    }
+
+    return Math.min(requested || 16384, available);
+  }
+
+  /**
+   * Build the chat-completions request shared by generate() and generateStream()
+   */
+  buildRequest(prompt, options, extraBody = {}) {
+    const messages = [];
+    if (options.systemPrompt) {
+      messages.push({ role: 'system', content: options.systemPrompt });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const responseFormat = options.outputSchema && {
+      response_format: {
+        type: 'json_schema',
+        json_schema: { ...options.outputSchema, strict: true }
+      }
+    };
+
+    return {
+      method: 'POST',
+      headers,
+      signal: options.signal,
+      body: JSON.stringify({
+        model: options.model || this.model,
+        max_tokens: this.resolveMaxTokens(messages, options.maxTokens),
+        messages,
+        ...responseFormat,
+        ...extraBody
+      })
+    };
+  }
+
+  async post(request) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, request);
+
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new Error(`[Local LLM] ${response.status} ${response.statusText}: ${body.slice(0, 500)}`);
+      // Exposed so the resilience layer can classify the failure and honor retry-after
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async generate(prompt, options = {}) {
+    const start = Date.now();
+
+    const response = await this.post(this.buildRequest(prompt, options));
+    const data = await response.json();
+
+    const elapsed = Date.now() - start;
+    console.log(`[Local LLM] Generated in ${elapsed}ms`);
+
+    return {
+      content: data.choices[0].message.content,
+      tokens: {
+        input: data.usage?.prompt_tokens || 0,
+        output: data.usage?.completion_tokens || 0
+      },
+      elapsed,
+      model: data.model || options.model || this.model,
+      stopReason: normalizeStopReason(data.choices[0].finish_reason)
+    };
+  }
+
+  async generateStream(prompt, options = {}, onText = () => {}) {
+    const start = Date.now();
+
+    const response = await this.post(this.buildRequest(prompt, options, {
+      stream: true,
+      stream_options: { include_usage: true }
+    }));
+
+    // Server-sent events: one "data: {json}" line per chunk, terminated by "data: [DONE]"
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let finishReason = null;
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim();
+        if (!data.startsWith('data:')) continue;
+        const payload = data.slice(5).trim();
+        if (payload === '[DONE]') continue;
+
+        const chunk = JSON.parse(payload);
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) {
+          content += text;
+          onText(text);
+        }
+        if (chunk.choices?.[0]?.finish_reason) {
+          finishReason = chunk.choices[0].finish_reason;
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+    }
+
+    const elapsed = Date.now() - start;
+    console.log(`[Local LLM] Streamed in ${elapsed}ms`);
+
+    return {
+      content,
+      tokens: {
+        input: usage?.prompt_tokens || 0,
+        output: usage?.completion_tokens || 0
+      },
+      elapsed,
+      model: options.model || this.model,
+      stopReason: normalizeStopReason(finishReason)
+    };
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      baseUrl: this.baseUrl,
+      model: this.model,
+      contextWindow: this.contextWindow
+    };
+  }
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import { engines } from './index.js';
+
+/**
+ * Per-model pricing in USD per million tokens, keyed by engine id then model.
+ * ENGINE_PRICING_FILE can point to a JSON file with the same shape to
+ * add models or override prices without a code change.
+ */
+const MODEL_PRICING = {
+  claude: {
+    'claude-sonnet-4-20250514': { input: 3, output: 15 },
+    'claude-opus-4-20250514': { input: 15, output: 75 },
+    'claude-3-7-sonnet-20250219': { input: 3, output: 15 },
+    'claude-3-5-haiku-20241022': { input: 0.8, output: 4 }
+  },
+  cerebras: {
+    'llama3.3-70b': { input: 0.85, output: 1.2 },
+    'llama3.1-8b': { input: 0.1, output: 0.1 }
+  }
+};
+
+let pricingTable = null;
+
+/**
+ * Built-in pricing merged with the ENGINE_PRICING_FILE overrides
+ * @returns {Object<string, Object<string, {input: number, output: number}>>}
+ */
+export function getPricingTable() {
+  if (pricingTable) return pricingTable;
+
+  pricingTable = structuredClone(MODEL_PRICING);
+  const overridePath = process.env.ENGINE_PRICING_FILE;
+  if (overridePath) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(overridePath, 'utf-8'));
+      for (const [engineName, models] of Object.entries(overrides)) {
+        pricingTable[engineName] = { ...pricingTable[engineName], ...models };
+      }
+    } catch (error) {
+      console.log(`[Pricing] Could not load ${overridePath}: ${error.message}`);
+    }
+  }
+
+  return pricingTable;
+}
+
+/**
+ * Price of a model per million tokens. Models missing from the table fall
+ * back to the engine's blended costPer1kTokens for both directions.
+ * @param {string} engineName - Engine id
+ * @param {string} [model] - Model reported by the engine (default: the engine's default model)
+ * @returns {{input: number, output: number, source: string}}
+ */
+export function getModelPricing(engineName, model) {
+  const id = engineName.toLowerCase();
+  const listed = getPricingTable()[id]?.[model || engines[id]?.defaultModel];
+  if (listed) {
+    return { ...listed, source: 'model' };
+  }
+
+  const perMillion = (engines[id]?.costPer1kTokens || 0) * 1000;
+  return { input: perMillion, output: perMillion, source: 'engine' };
+}
+
+/**
+ * Dollar cost of one engine call
+ * @param {string} engineName - Engine id
+ * @param {string} [model] - Model reported by the engine
+ * @param {{input: number, output: number}} tokens - Token usage
+ * @returns {number}
+ */
+export function computeCost(engineName, model, tokens) {
+  const pricing = getModelPricing(engineName, model);
+  const cost = ((tokens.input || 0) * pricing.input + (tokens.output || 0) * pricing.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+export default { getPricingTable, getModelPricing, computeCost };
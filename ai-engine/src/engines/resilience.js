@@ -0,0 +1,375 @@
+import { getEngine } from './index.js';
+
+/**
+ * Resilience policy for engine calls, configurable through the environment:
+ *
+ *   ENGINE_MAX_RETRIES            retries per engine before falling back (default 3)
+ *   ENGINE_RETRY_BASE_MS          first backoff delay (default 1000)
+ *   ENGINE_RETRY_MAX_MS           backoff ceiling, also caps retry-after (default 30000)
+ *   ENGINE_MAX_CONCURRENCY        in-flight calls per engine (default 4)
+ *   ENGINE_MAX_CONCURRENCY_<ID>   per-engine override, e.g. ENGINE_MAX_CONCURRENCY_CLAUDE=2
+ *   ENGINE_CIRCUIT_THRESHOLD      consecutive retryable failures that open the circuit (default 5)
+ *   ENGINE_CIRCUIT_COOLDOWN_MS    how long an open circuit rejects calls (default 60000)
+ */
+export function getResiliencePolicy() {
+  return {
+    maxRetries: Number(process.env.ENGINE_MAX_RETRIES ?? 3),
+    baseDelayMs: Number(process.env.ENGINE_RETRY_BASE_MS ?? 1000),
+    maxDelayMs: Number(process.env.ENGINE_RETRY_MAX_MS ?? 30000),
+    circuitThreshold: Number(process.env.ENGINE_CIRCUIT_THRESHOLD ?? 5),
+    circuitCooldownMs: Number(process.env.ENGINE_CIRCUIT_COOLDOWN_MS ?? 60000)
+  };
+}
+
+function getConcurrencyLimit(engineName) {
+  const specific = process.env[`ENGINE_MAX_CONCURRENCY_${engineName.toUpperCase()}`];
+  return Math.max(1, Number(specific ?? process.env.ENGINE_MAX_CONCURRENCY ?? 4));
+}
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']);
+
+/**
+ * Whether a failed call is worth retrying on the same engine
+ */
+export function isRetryableError(error) {
+  const status = error?.status ?? error?.statusCode;
+  if (status) return RETRYABLE_STATUS.has(status) || status >= 500;
+
+  const code = error?.code || error?.cause?.code;
+  if (code && RETRYABLE_CODES.has(code)) return true;
+
+  // SDK connection errors and undici's "fetch failed" carry no status
+  return error?.name === 'APIConnectionError' || error?.message === 'fetch failed';
+}
+
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+/**
+ * Delay requested by the provider through retry-after(-ms) headers, if any
+ * @returns {number|null} - Milliseconds
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.headers || error?.response?.headers;
+
+  const ms = Number(readHeader(headers, 'retry-after-ms'));
+  if (ms > 0) return ms;
+
+  const value = readHeader(headers, 'retry-after');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter, overridden by retry-after when present
+ */
+export function getBackoffDelay(attempt, error, policy = getResiliencePolicy()) {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) return Math.min(retryAfter, policy.maxDelayMs);
+
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Whether an error comes from a cancelled call (an aborted AbortSignal)
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Wait, ending early with the signal's abort reason when it is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// ============================================
+// CONCURRENCY LIMITS
+// ============================================
+
+const semaphores = new Map();
+
+function getSemaphore(engineName) {
+  if (!semaphores.has(engineName)) {
+    semaphores.set(engineName, { active: 0, queue: [] });
+  }
+  return semaphores.get(engineName);
+}
+
+async function acquire(engineName, signal) {
+  const semaphore = getSemaphore(engineName);
+  if (semaphore.active < getConcurrencyLimit(engineName)) {
+    semaphore.active++;
+    return;
+  }
+  // The releasing call hands its slot straight to the next waiter
+  await new Promise((resolve, reject) => {
+    const waiter = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    // A cancelled call leaves the queue without ever taking a slot
+    const onAbort = () => {
+      semaphore.queue.splice(semaphore.queue.indexOf(waiter), 1);
+      reject(signal.reason);
+    };
+    semaphore.queue.push(waiter);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function release(engineName) {
+  const semaphore = getSemaphore(engineName);
+  const next = semaphore.queue.shift();
+  if (next) {
+    next();
+  } else {
+    semaphore.active--;
+  }
+}
+
+// ============================================
+// CIRCUIT BREAKER
+// ============================================
+
+const circuits = new Map();
+
+function getCircuit(engineName) {
+  if (!circuits.has(engineName)) {
+    circuits.set(engineName, { failures: 0, openUntil: 0, trialInFlight: false });
+  }
+  return circuits.get(engineName);
+}
+
+/**
+ * Let a call through an engine's circuit. A closed circuit lets every call
+ * through and an open one rejects them until its cooldown ends. After that the
+ * circuit is half-open: a single call goes through as a trial while the others
+ * are still rejected, and the trial's outcome closes the circuit or opens it
+ * for another cooldown.
+ * @returns {boolean} - False when the call must skip this engine
+ */
+function enterCircuit(engineName) {
+  const circuit = getCircuit(engineName);
+  if (circuit.openUntil === 0) return true;
+  if (circuit.openUntil > Date.now() || circuit.trialInFlight) return false;
+  circuit.trialInFlight = true;
+  return true;
+}
+
+/**
+ * End a half-open trial whose outcome says nothing about the engine's health
+ * (a cancelled call or a non-retryable error); the next call becomes the trial
+ */
+function endTrial(engineName) {
+  getCircuit(engineName).trialInFlight = false;
+}
+
+function recordSuccess(engineName) {
+  const circuit = getCircuit(engineName);
+  circuit.failures = 0;
+  circuit.openUntil = 0;
+  circuit.trialInFlight = false;
+}
+
+/**
+ * Count a retryable failure; a failed half-open trial reopens the circuit at once
+ * @returns {boolean} - True when this failure opened the circuit
+ */
+function recordFailure(engineName, policy) {
+  const circuit = getCircuit(engineName);
+  const trial = circuit.trialInFlight;
+  circuit.trialInFlight = false;
+  circuit.failures++;
+  if (trial || circuit.failures >= policy.circuitThreshold) {
+    circuit.openUntil = Date.now() + policy.circuitCooldownMs;
+    circuit.failures = 0;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Circuit state for every engine that has been called
+ */
+export function getCircuitStates() {
+  const now = Date.now();
+  return Object.fromEntries(
+    [...circuits.entries()].map(([name, circuit]) => [
+      name,
+      {
+        state: circuit.openUntil === 0 ? 'closed' : circuit.openUntil > now ? 'open' : 'half-open',
+        failures: circuit.failures,
+        reopensInMs: Math.max(0, circuit.openUntil - now)
+      }
+    ])
+  );
+}
+
+/**
+ * Error thrown when every engine in a chain is unavailable
+ */
+export class EngineUnavailableError extends Error {
+  constructor(chain, cause) {
+    super(
+      cause
+        ? `All engines failed (${chain.join(' → ')}): ${cause.message}`
+        : `All engines are unavailable (${chain.join(' → ')}): circuits open`
+    );
+    this.name = 'EngineUnavailableError';
+    this.chain = chain;
+    this.cause = cause;
+    this.status = cause?.status;
+  }
+}
+
+/**
+ * Resilience event reported while a call retries or falls back
+ * @typedef {Object} ResilienceEvent
+ * @property {"engine_retry"|"engine_fallback"|"engine_circuit_open"} type
+ * @property {string} engine - Engine the event is about
+ * @property {string} message - Human-readable description for logs
+ * @property {number} [attempt] - Retry number (engine_retry)
+ * @property {number} [delayMs] - Backoff before the retry (engine_retry)
+ * @property {string} [to] - Next engine in the chain (engine_fallback)
+ */
+
+/**
+ * Run an engine call with retries, per-engine concurrency limits,
+ * circuit breaking and an ordered fallback chain.
+ *
+ * @param {string[]} chain - Engine ids in priority order, e.g. ['claude', 'cerebras']
+ * @param {function(Object, string): Promise<*>} call - Receives (engine, engineName); called once per attempt
+ * @param {Object} [options]
+ * @param {function(ResilienceEvent): void} [options.onEvent] - Retry / fallback notifications
+ * @param {Object} [options.policy] - Overrides for getResiliencePolicy()
+ * @param {AbortSignal} [options.signal] - Cancels the call: stops waiting, retrying and falling back.
+ *   A failure after cancellation is rethrown as the abort reason and never counts against a circuit.
+ * @returns {Promise<{result: *, engine: string}>} - Result and the engine that produced it
+ * @throws {EngineUnavailableError|Error} - EngineUnavailableError, the error of a non-retryable failure
+ *   (e.g. a 400; it is neither retried nor sent to the fallbacks), or the abort reason once cancelled
+ */
+export async function callWithResilience(chain, call, options = {}) {
+  const policy = { ...getResiliencePolicy(), ...options.policy };
+  const emit = options.onEvent || (() => {});
+  const { signal } = options;
+  const engineNames = [...new Set(chain.map((name) => name.toLowerCase()))];
+  let lastError = null;
+
+  for (const [index, engineName] of engineNames.entries()) {
+    const next = engineNames[index + 1];
+    const engine = getEngine(engineName);
+
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+
+      if (!enterCircuit(engineName)) {
+        emit({
+          type: 'engine_circuit_open',
+          engine: engineName,
+          message: `Circuit open for ${engineName}${next ? `, skipping to ${next}` : ''}`
+        });
+        break;
+      }
+
+      let result;
+      let failure = null;
+      try {
+        await acquire(engineName, signal);
+      } catch (error) {
+        endTrial(engineName);
+        throw error;
+      }
+      try {
+        result = await call(engine, engineName);
+      } catch (error) {
+        failure = error;
+      } finally {
+        release(engineName);
+      }
+
+      // Whatever the SDK made of the cancelled request, it is not an engine failure
+      if (signal?.aborted) {
+        endTrial(engineName);
+        throw signal.reason;
+      }
+
+      if (!failure) {
+        recordSuccess(engineName);
+        return { result, engine: engineName };
+      }
+
+      // Only failures that say the engine is unhealthy count or fall back: a bad
+      // request would fail on any engine, so it goes straight back to the caller
+      if (!isRetryableError(failure)) {
+        endTrial(engineName);
+        throw failure;
+      }
+
+      lastError = failure;
+      const opened = recordFailure(engineName, policy);
+      if (opened) {
+        console.log(`[Resilience] Circuit opened for ${engineName} after repeated failures`);
+      }
+
+      if (attempt >= policy.maxRetries || opened) {
+        break;
+      }
+
+      const delayMs = getBackoffDelay(attempt, failure, policy);
+      emit({
+        type: 'engine_retry',
+        engine: engineName,
+        attempt: attempt + 1,
+        delayMs,
+        message: `${engineName} failed (${failure.status || failure.code || failure.message}), retry ${attempt + 1}/${policy.maxRetries} in ${(delayMs / 1000).toFixed(1)}s`
+      });
+      await sleep(delayMs, signal);
+    }
+
+    if (next) {
+      emit({
+        type: 'engine_fallback',
+        engine: engineName,
+        to: next,
+        message: `${engineName} unavailable${lastError ? ` (${lastError.message})` : ''}, falling back to ${next}`
+      });
+    }
+  }
+
+  throw new EngineUnavailableError(engineNames, lastError);
+}
+
+export default {
+  callWithResilience,
+  getResiliencePolicy,
+  getCircuitStates,
+  isRetryableError,
+  getRetryAfterMs,
+  getBackoffDelay,
+  isAbortError,
+  EngineUnavailableError
+};
@@ -0,0 +1,282 @@
+import { getModelPricing } from './engines/pricing.js';
+
+/**
+ * Generation estimates calibrated from past runs.
+ *
+ * Each completed phase of a past generation is a sample:
+ *   { phase, engine, features, inputTokens, outputTokens, elapsed, filesGenerated, lines }
+ * (elapsed in ms, features = the project's feature list). Estimates for a
+ * phase weight samples by how close their feature set is to the requested
+ * one and shrink the result toward the default profile below, so a handful
+ * of runs moves the estimate without letting a single outlier decide it.
+ */
+
+/**
+ * Typical size of each phase when there is no history to learn from, for a
+ * project with no optional features. Covers the batch phases and the
+ * GenerationPipeline phases.
+ */
+const DEFAULT_PHASE_PROFILES = {
+  planning: { inputTokens: 500, outputTokens: 2000, seconds: 30, files: 0, lines: 0 },
+  architecture: { inputTokens: 1000, outputTokens: 2500, seconds: 35, files: 0, lines: 0 },
+  backend: { inputTokens: 3500, outputTokens: 12000, seconds: 60, files: 12, lines: 900 },
+  frontend: { inputTokens: 3500, outputTokens: 12000, seconds: 70, files: 14, lines: 1000 },
+  database: { inputTokens: 1500, outputTokens: 4000, seconds: 25, files: 4, lines: 250 },
+  infrastructure: { inputTokens: 1500, outputTokens: 3000, seconds: 20, files: 5, lines: 150 },
+  documentation: { inputTokens: 1500, outputTokens: 3000, seconds: 20, files: 3, lines: 200 },
+  testing: { inputTokens: 3000, outputTokens: 3000, seconds: 40, files: 4, lines: 300 }
+};
+
+// Default profiles grow by this fraction per selected feature
+const FEATURE_COMPLEXITY = 0.1;
+
+// How many samples the default profile is worth when blended with history
+const PRIOR_WEIGHT = 2;
+
+// Relative standard deviation assumed for the default profile
+const PRIOR_SPREAD = 0.35;
+
+// Two-sided z-scores for the supported confidence levels
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+const DEFAULT_CONFIDENCE = 0.9;
+
+const METRICS = ['inputTokens', 'outputTokens', 'seconds', 'files', 'lines'];
+
+/**
+ * Similarity of two feature sets (Jaccard index; two empty sets are identical)
+ */
+function featureSimilarity(a, b) {
+  const left = new Set(a);
+  const right = new Set(b);
+  if (left.size === 0 && right.size === 0) return 1;
+
+  let shared = 0;
+  for (const feature of left) {
+    if (right.has(feature)) shared++;
+  }
+  return shared / (left.size + right.size - shared);
+}
+
+function sampleValue(sample, metric) {
+  switch (metric) {
+    case 'seconds':
+      return sample.elapsed ? sample.elapsed / 1000 : null;
+    case 'files':
+      return sample.filesGenerated ?? null;
+    default:
+      return sample[metric] ?? null;
+  }
+}
+
+/**
+ * Weighted mean and variance with the effective sample size (Kish)
+ */
+function weightedStats(points) {
+  const totalWeight = points.reduce((sum, p) => sum + p.weight, 0);
+  if (totalWeight === 0) return null;
+
+  const mean = points.reduce((sum, p) => sum + p.weight * p.value, 0) / totalWeight;
+  const variance = points.reduce((sum, p) => sum + p.weight * (p.value - mean) ** 2, 0) / totalWeight;
+  const effectiveSize = totalWeight ** 2 / points.reduce((sum, p) => sum + p.weight ** 2, 0);
+
+  return { mean, variance, effectiveSize };
+}
+
+/**
+ * Blend history into the default for one metric
+ * @returns {{expected: number, sd: number, n: number}} - n counts the prior's pseudo-samples
+ */
+function blend(prior, points) {
+  const priorVariance = (prior * PRIOR_SPREAD) ** 2;
+  const stats = weightedStats(points);
+  if (!stats) {
+    return { expected: prior, sd: Math.sqrt(priorVariance), n: PRIOR_WEIGHT };
+  }
+
+  const n = stats.effectiveSize + PRIOR_WEIGHT;
+  return {
+    expected: (stats.effectiveSize * stats.mean + PRIOR_WEIGHT * prior) / n,
+    sd: Math.sqrt((stats.effectiveSize * stats.variance + PRIOR_WEIGHT * priorVariance) / n),
+    n
+  };
+}
+
+function getZScore(confidence) {
+  const z = Z_SCORES[confidence];
+  if (!z) {
+    throw new Error(`Unsupported confidence level: ${confidence}. Use one of: ${Object.keys(Z_SCORES).join(', ')}`);
+  }
+  return z;
+}
+
+/**
+ * Prediction interval for a single future run
+ * @returns {{low: number, expected: number, high: number}}
+ */
+function toRange(expected, sd, n, z, round) {
+  const margin = z * sd * Math.sqrt(1 + 1 / n);
+  return {
+    low: round(Math.max(0, expected - margin)),
+    expected: round(expected),
+    high: round(expected + margin)
+  };
+}
+
+const roundCount = (value) => Math.round(value);
+const roundCost = (value) => Math.round(value * 1_000_000) / 1_000_000;
+
+/**
+ * Estimate one phase, keeping the spread of each figure so runs can combine them
+ */
+function estimateWithSpread(phase, engineName, options) {
+  const features = options.features || [];
+  const z = getZScore(options.confidence ?? DEFAULT_CONFIDENCE);
+  const profileName = options.profile || phase;
+  const profile = DEFAULT_PHASE_PROFILES[profileName];
+  if (!profile) {
+    throw new Error(`Unknown phase: ${profileName}. Available: ${Object.keys(DEFAULT_PHASE_PROFILES).join(', ')}`);
+  }
+
+  const engineId = engineName.toLowerCase();
+  const phaseSamples = (options.samples || []).filter((sample) => sample.phase === phase);
+  const engineSamples = phaseSamples.filter((sample) => sample.engine?.toLowerCase() === engineId);
+
+  // Output size depends mostly on the prompt, so other engines' runs count
+  // (at half weight); duration only transfers between runs on the same engine
+  const weighted = (samples, metric, sameEngineOnly) =>
+    samples
+      .filter((sample) => !sameEngineOnly || sample.engine?.toLowerCase() === engineId)
+      .map((sample) => ({
+        value: sampleValue(sample, metric),
+        weight:
+          (0.25 + featureSimilarity(features, sample.features || [])) *
+          (sample.engine?.toLowerCase() === engineId ? 1 : 0.5)
+      }))
+      .filter((point) => typeof point.value === 'number' && Number.isFinite(point.value));
+
+  const complexity = 1 + FEATURE_COMPLEXITY * features.length;
+  const blended = {};
+  for (const metric of METRICS) {
+    blended[metric] = blend(profile[metric] * complexity, weighted(phaseSamples, metric, metric === 'seconds'));
+  }
+
+  // Tokens and cost combine input and output as independent quantities
+  const { inputTokens, outputTokens } = blended;
+  const pricing = getModelPricing(engineId);
+  const n = Math.min(inputTokens.n, outputTokens.n);
+  const tokens = {
+    expected: inputTokens.expected + outputTokens.expected,
+    sd: Math.hypot(inputTokens.sd, outputTokens.sd),
+    n
+  };
+  const cost = {
+    expected: (inputTokens.expected * pricing.input + outputTokens.expected * pricing.output) / 1_000_000,
+    sd: Math.hypot(inputTokens.sd * pricing.input, outputTokens.sd * pricing.output) / 1_000_000,
+    n
+  };
+
+  const estimate = {
+    phase,
+    engine: engineName,
+    samples: phaseSamples.length,
+    basis: engineSamples.length > 0 ? 'history' : phaseSamples.length > 0 ? 'other-engines' : 'defaults',
+    inputTokens: toRange(inputTokens.expected, inputTokens.sd, inputTokens.n, z, roundCount),
+    outputTokens: toRange(outputTokens.expected, outputTokens.sd, outputTokens.n, z, roundCount),
+    tokens: toRange(tokens.expected, tokens.sd, n, z, roundCount),
+    cost: toRange(cost.expected, cost.sd, n, z, roundCost),
+    seconds: toRange(blended.seconds.expected, blended.seconds.sd, blended.seconds.n, z, roundCount),
+    files: toRange(blended.files.expected, blended.files.sd, blended.files.n, z, roundCount),
+    lines: toRange(blended.lines.expected, blended.lines.sd, blended.lines.n, z, roundCount)
+  };
+
+  return { estimate, spread: { tokens, cost, seconds: blended.seconds, files: blended.files, lines: blended.lines } };
+}
+
+/**
+ * Estimate one phase on an engine
+ * @param {string} phase - Phase name (batch or pipeline phase)
+ * @param {string} engineName - Engine id
+ * @param {Object} [options]
+ * @param {Object[]} [options.samples] - Past phase runs (see module comment)
+ * @param {string[]} [options.features] - Features of the project being estimated
+ * @param {number} [options.confidence] - Interval confidence level (0.8, 0.9, 0.95 or 0.99)
+ * @param {string} [options.profile] - Default profile to start from when it differs from the phase name
+ * @returns {Object} - { phase, engine, samples, basis, inputTokens, outputTokens, tokens, cost, seconds, files, lines }
+ *   where every figure is a { low, expected, high } range
+ */
+export function estimatePhaseRange(phase, engineName, options = {}) {
+  return estimateWithSpread(phase, engineName, options).estimate;
+}
+
+/**
+ * Phases on the longest chain of dependencies, which bounds the duration of a
+ * run whose independent phases execute in parallel
+ * @param {Object[]} estimates - Phase estimates with spreads
+ * @param {Object<string, string[]>} inputs - Map of phase to the phases it waits for
+ */
+function criticalPath(estimates, inputs) {
+  const byPhase = new Map(estimates.map((e) => [e.estimate.phase, e]));
+  const chains = new Map();
+
+  const chainTo = (phase) => {
+    if (!chains.has(phase)) {
+      const longestInput = (inputs[phase] || [])
+        .filter((input) => byPhase.has(input))
+        .map(chainTo)
+        .sort((a, b) => b.seconds - a.seconds)[0];
+      chains.set(phase, {
+        seconds: (longestInput?.seconds || 0) + byPhase.get(phase).spread.seconds.expected,
+        path: [...(longestInput?.path || []), phase]
+      });
+    }
+    return chains.get(phase);
+  };
+
+  const longest = [...byPhase.keys()].map(chainTo).sort((a, b) => b.seconds - a.seconds)[0];
+  return longest.path.map((phase) => byPhase.get(phase));
+}
+
+/**
+ * Estimate a run of several phases. Totals add up expected values and
+ * combine spreads as independent variances. Phases run one after another
+ * unless options.inputs describes their dependencies, in which case the
+ * duration is that of the longest dependency chain.
+ * @param {Object<string, string>} phaseEngines - Map of phase to engine id
+ * @param {Object} [options] - Same options as estimatePhaseRange, plus
+ * @param {Object<string, string>} [options.profiles] - Map of phase to the default profile it starts from
+ * @param {Object<string, string[]>} [options.inputs] - Map of phase to the phases it waits for
+ * @returns {{phases: Object[], total: Object, confidence: number, samples: number}}
+ */
+export function estimateRun(phaseEngines, options = {}) {
+  const { profiles = {}, inputs, ...phaseOptions } = options;
+  const confidence = options.confidence ?? DEFAULT_CONFIDENCE;
+  const z = getZScore(confidence);
+  const estimates = Object.entries(phaseEngines).map(([phase, engineName]) =>
+    estimateWithSpread(phase, engineName, { ...phaseOptions, confidence, profile: profiles[phase] })
+  );
+
+  const combine = (key, round, included = estimates) => {
+    const expected = included.reduce((sum, e) => sum + e.spread[key].expected, 0);
+    const sd = Math.sqrt(included.reduce((sum, e) => sum + e.spread[key].sd ** 2, 0));
+    const n = Math.min(...included.map((e) => e.spread[key].n));
+    return toRange(expected, sd, n, z, round);
+  };
+
+  return {
+    phases: estimates.map((e) => e.estimate),
+    total: {
+      tokens: combine('tokens', roundCount),
+      cost: combine('cost', roundCost),
+      seconds: combine('seconds', roundCount, inputs ? criticalPath(estimates, inputs) : estimates),
+      files: combine('files', roundCount),
+      lines: combine('lines', roundCount)
+    },
+    confidence,
+    samples: estimates.reduce((sum, e) => sum + e.estimate.samples, 0)
+  };
+}
+
+export { DEFAULT_PHASE_PROFILES };
+
+export default { estimatePhaseRange, estimateRun, DEFAULT_PHASE_PROFILES };
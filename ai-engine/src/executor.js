@@ -1,5 +1,5 @@
-import { readFile } from "fs/promises";
-import { dirname, join } from "path";
+import { readFile, readdir, cp } from "fs/promises";
+import { dirname, join, relative } from "path";
 import { fileURLToPath } from "url";
 import chalk from "chalk";
 import {
@@ -14,6 +14,29 @@ import {
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const TEST_ENV_BASE = join(__dirname, "..", "test-environments");
 
+// Most server stderr kept in a result, from the end
+const MAX_STDERR_CHARS = 8000;
+
+// Left out when a project folder is copied into a test environment
+const SKIPPED_DIRS = new Set(["node_modules", ".git", ".next", "dist", "build", "coverage"]);
+
+/**
+ * Paths of the JavaScript files in a folder, recursively
+ * @param {string} dir - Folder
+ * @returns {Promise<string[]>}
+ */
+async function listScripts(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) return SKIPPED_DIRS.has(entry.name) ? [] : listScripts(fullPath);
+      return /\.(c|m)?js$/.test(entry.name) ? [fullPath] : [];
+    })
+  );
+  return nested.flat();
+}
+
 /**
  * Result of executing generated code
  * @typedef {Object} ExecutionResult
@@ -21,6 +44,8 @@ const TEST_ENV_BASE = join(__dirname, "..", "test-environments");
  * @property {string[]} steps - List of steps that were executed
  * @property {Object[]} tests - Results of any tests that were run
  * @property {string} [error] - Error message if execution failed
+ * @property {string} stderr - What the server wrote to stderr (the last MAX_STDERR_CHARS), with
+ *   test environment paths made relative to the copied folder
  * @property {number} duration - Total execution time in ms
  */
 
@@ -31,6 +56,9 @@ const TEST_ENV_BASE = join(__dirname, "..", "test-environments");
  * @param {Object[]} options.testCases - Array of test cases to run
  * @param {number} options.port - Port to run test server on
  * @param {boolean} options.cleanup - Whether to cleanup test environment after
+ * @param {string} [options.rootDir] - Folder the code file belongs to (e.g. a generated backend). It is
+ *   copied into the test environment so the code's relative imports resolve, and dependencies are
+ *   detected across all of its files.
  * @returns {Promise<ExecutionResult>}
  */
 export async function executeCode(codeFilePath, options = {}) {
@@ -38,6 +66,7 @@ export async function executeCode(codeFilePath, options = {}) {
     testCases = [],
     port = 3456,
     cleanup = true,
+    rootDir = null,
   } = options;
 
   const startTime = Date.now();
@@ -45,6 +74,9 @@ export async function executeCode(codeFilePath, options = {}) {
   const testResults = [];
   let testDir = null;
   let serverProcess = null;
+  let serverStderr = () => "";
+  const withoutTestDir = (text) => (testDir ? text.split(`${testDir}/`).join("") : text);
+  const getStderr = () => withoutTestDir(serverStderr()).slice(-MAX_STDERR_CHARS);
 
   console.log(chalk.cyan("\n" + "═".repeat(60)));
   console.log(chalk.cyan.bold("   Code Executor - Verification Pipeline"));
@@ -59,13 +91,22 @@ export async function executeCode(codeFilePath, options = {}) {
 
     // Step 2: Detect dependencies
     console.log(chalk.blue("\nStep 2: Detecting dependencies..."));
-    const dependencies = detectDependencies(code);
+    const sources = rootDir
+      ? await Promise.all((await listScripts(rootDir)).map((file) => readFile(file, "utf-8")))
+      : [code];
+    const dependencies = detectDependencies(sources.join("\n"));
     steps.push({ step: "Detect dependencies", success: true, dependencies });
     console.log(chalk.green(`   ✅ Found ${dependencies.length} dependencies: ${dependencies.join(", ") || "none"}`));
 
     // Step 3: Create test environment
     console.log(chalk.blue("\nStep 3: Creating test environment..."));
     testDir = await createTestEnvironment(TEST_ENV_BASE);
+    if (rootDir) {
+      await cp(rootDir, testDir, {
+        recursive: true,
+        filter: (source) => !relative(rootDir, source).split(/[\\/]/).some((part) => SKIPPED_DIRS.has(part)),
+      });
+    }
     steps.push({ step: "Create test environment", success: true, path: testDir });
 
     // Step 4: Install dependencies
@@ -78,7 +119,9 @@ export async function executeCode(codeFilePath, options = {}) {
 
     // Step 5: Start the test server
     console.log(chalk.blue("\nStep 5: Starting test server..."));
-    const serverResult = await createTestServer(code, testDir, port);
+    const entry = rootDir ? relative(rootDir, codeFilePath) : "server.js";
+    const serverResult = await createTestServer(code, testDir, port, entry);
+    serverStderr = serverResult.stderr;
     if (!serverResult.success) {
       throw new Error(`Failed to start server: ${serverResult.error}`);
     }
@@ -210,6 +253,7 @@ export async function executeCode(codeFilePath, options = {}) {
       success: allTestsPassed || testResults.length === 0,
       steps,
       tests: testResults,
+      stderr: getStderr(),
       duration,
     };
   } catch (error) {
@@ -220,7 +264,8 @@ export async function executeCode(codeFilePath, options = {}) {
       success: false,
       steps,
       tests: testResults,
-      error: error.message,
+      error: withoutTestDir(error.message),
+      stderr: getStderr(),
       duration,
     };
   } finally {
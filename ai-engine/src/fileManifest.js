@@ -0,0 +1,215 @@
+/**
+ * Structured output protocol for generated files.
+ *
+ * Engines that support tool use or JSON schema output answer with a file
+ * manifest instead of ===FILE: path=== markers: one JSON object whose "files"
+ * array holds a typed entry per file. Content is a JSON string, so it may hold
+ * anything (including "===") and paths may contain any character.
+ *
+ * Like streamParser.js, the parser here reads the manifest incrementally, so
+ * a file is reported as soon as its entry is complete, and a response cut off
+ * by the token limit still yields every entry that was closed.
+ */
+
+/**
+ * Protocols a completion can use for its files
+ */
+export const OutputFormat = {
+  MARKERS: "markers",
+  MANIFEST: "manifest",
+};
+
+/**
+ * Tool (Claude) / JSON schema (OpenAI-compatible) that a manifest answer follows
+ */
+export const FILE_MANIFEST_SCHEMA = {
+  name: "write_files",
+  description: "Write the generated files of the application",
+  schema: {
+    type: "object",
+    properties: {
+      files: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            path: { type: "string", description: "Path relative to the project root, e.g. backend/src/server.js" },
+            language: { type: "string", description: "Language of the file, e.g. javascript, typescript, json, sql" },
+            content: { type: "string", description: "Complete content of the file" },
+            purpose: { type: "string", description: "One line on what the file is for" },
+          },
+          required: ["path", "language", "content", "purpose"],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ["files"],
+    additionalProperties: false,
+  },
+};
+
+// Nesting of a file entry: { "files": [ { ... } ] }
+const FILE_DEPTH = 3;
+
+/**
+ * @typedef {Object} ManifestFile
+ * @property {string} path - File path
+ * @property {string} content - File content (trimmed like parseMultiFileResponse)
+ * @property {string|null} language - Language the engine gave
+ * @property {string|null} purpose - What the file is for, as the engine described it
+ * @property {number} lines - Line count of the content
+ */
+
+/**
+ * Normalize the path of an entry
+ * @param {*} value - "path" of the entry
+ * @returns {string|null} - null for a missing, absolute or escaping path
+ */
+function normalizePath(value) {
+  if (typeof value !== "string") return null;
+  const filePath = value.trim().replace(/\\/g, "/").replace(/^(\.\/)+/, "");
+  if (!filePath || filePath.startsWith("/") || /^[A-Za-z]:/.test(filePath)) return null;
+  if (filePath.split("/").includes("..")) return null;
+  return filePath;
+}
+
+/**
+ * Turn a parsed entry into a ManifestFile
+ * @param {*} entry - Parsed JSON of one entry of "files"
+ * @returns {ManifestFile|null} - null when it has no usable path or no content
+ */
+function toManifestFile(entry) {
+  const filePath = normalizePath(entry?.path);
+  if (!filePath || typeof entry.content !== "string") return null;
+
+  const content = entry.content.trim();
+  return {
+    path: filePath,
+    content,
+    language: typeof entry.language === "string" ? entry.language : null,
+    purpose: typeof entry.purpose === "string" ? entry.purpose : null,
+    lines: content.split("\n").length,
+  };
+}
+
+/**
+ * Create a streaming parser for file manifests
+ * @param {Object} [handlers]
+ * @param {function(string): void} [handlers.onFileStarted] - Called with the path once an entry's path is complete
+ * @param {function(ManifestFile): void} [handlers.onFileCompleted] - Called when an entry closes
+ * @returns {{push: function(string): void, pendingFile: function(): ({path: string, content: string}|null)}}
+ */
+export function createManifestStreamParser({ onFileStarted = () => {}, onFileCompleted = () => {} } = {}) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  // Raw JSON of the entry being read, null between entries
+  let entryText = null;
+  let stringStart = -1;
+  let key = null;
+  let expectValue = false;
+  let currentPath = null;
+
+  function readString() {
+    try {
+      return JSON.parse(entryText.slice(stringStart));
+    } catch {
+      return null;
+    }
+  }
+
+  function closeEntry() {
+    let file = null;
+    try {
+      file = toManifestFile(JSON.parse(entryText));
+    } catch {
+      // Not valid JSON; the entry is skipped
+    }
+    entryText = null;
+    currentPath = null;
+    if (file) onFileCompleted(file);
+  }
+
+  function step(char) {
+    if (entryText !== null) entryText += char;
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (entryText !== null && stack.length === FILE_DEPTH) {
+          const value = readString();
+          if (!expectValue) {
+            key = value;
+          } else if (key === "path" && currentPath === null) {
+            currentPath = normalizePath(value);
+            if (currentPath) onFileStarted(currentPath);
+          }
+        }
+      }
+      return;
+    }
+
+    if (char === '"') {
+      inString = true;
+      if (entryText !== null) stringStart = entryText.length - 1;
+    } else if (char === "{" || char === "[") {
+      stack.push(char);
+      if (char === "{" && stack.length === FILE_DEPTH && stack[0] === "{" && stack[1] === "[") {
+        entryText = "{";
+        key = null;
+        expectValue = false;
+      }
+    } else if (char === "}" || char === "]") {
+      const closesEntry = entryText !== null && stack.length === FILE_DEPTH;
+      stack.pop();
+      if (closesEntry) closeEntry();
+    } else if (entryText !== null && stack.length === FILE_DEPTH) {
+      if (char === ":") expectValue = true;
+      else if (char === ",") expectValue = false;
+    }
+  }
+
+  return {
+    /**
+     * Feed the next chunk of streamed text
+     * @param {string} text
+     */
+    push(text) {
+      for (const char of text) step(char);
+    },
+
+    /**
+     * Report the entry still open at the end of the text pushed so far
+     * @returns {{path: string, content: string}|null} - Its path and raw JSON, once the path is known
+     */
+    pendingFile() {
+      if (entryText === null || currentPath === null) return null;
+      return { path: currentPath, content: entryText };
+    },
+  };
+}
+
+/**
+ * Read every complete entry of a file manifest. Text around the JSON object
+ * (such as a code fence) is ignored, and so is an entry left open by a
+ * response that was cut off.
+ * @param {string} response - Manifest JSON
+ * @returns {ManifestFile[]}
+ */
+export function parseFileManifest(response) {
+  const files = [];
+  const parser = createManifestStreamParser({ onFileCompleted: (file) => files.push(file) });
+  parser.push(response || "");
+  return files;
+}
+
+export default {
+  OutputFormat,
+  FILE_MANIFEST_SCHEMA,
+  createManifestStreamParser,
+  parseFileManifest,
+};
@@ -0,0 +1,392 @@
+/**
+ * Import graph of a generated file map.
+ *
+ * Every JavaScript and TypeScript file is parsed with the TypeScript compiler
+ * API, its imports (ES imports, re-exports, require() and dynamic import())
+ * are resolved across the file map the way Node and Next.js would, and each
+ * imported name is checked against what the target module exports. Package
+ * imports are left to the package.json fixes.
+ */
+
+import path from "path";
+import ts from "typescript";
+
+const SOURCE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+
+// Tried in order when an import leaves out the extension
+const RESOLVE_EXTENSIONS = [...SOURCE_EXTENSIONS, ".json"];
+
+// What `@/` maps to when an app has no tsconfig.json paths (the create-next-app default)
+const DEFAULT_ALIASES = { "@/*": ["./*"] };
+
+/**
+ * @typedef {Object} ModuleImport
+ * @property {string} specifier - Module specifier as written
+ * @property {string[]} names - Named bindings taken from the module ("default" for a default import)
+ * @property {"import"|"export"|"require"|"dynamic"} kind - Statement the import came from
+ */
+
+/**
+ * @typedef {Object} ModuleExports
+ * @property {Set<string>} names - Named exports, "default" included
+ * @property {string[]} star - Specifiers re-exported with `export * from`
+ * @property {boolean} dynamic - module.exports is assigned something other than an object
+ *   literal, so its names cannot be known without running it
+ * @property {boolean} commonjs - The module exports with module.exports / exports
+ */
+
+/**
+ * @typedef {Object} MissingModule
+ * @property {string} from - File with the import
+ * @property {string} specifier - Module specifier as written
+ * @property {string} path - Where the module is expected (resolved path with a guessed extension)
+ * @property {string[]} names - Names the file takes from it
+ */
+
+/**
+ * @typedef {Object} MissingExport
+ * @property {string} from - File with the import
+ * @property {string} specifier - Module specifier as written
+ * @property {string} path - File the specifier resolved to
+ * @property {string[]} names - Names the file imports that the module does not export
+ */
+
+/**
+ * Whether a path is a JavaScript or TypeScript source file
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isSourceFile(filePath) {
+  return SOURCE_EXTENSIONS.includes(path.posix.extname(filePath)) && !filePath.endsWith(".d.ts");
+}
+
+function scriptKind(filePath) {
+  switch (path.posix.extname(filePath)) {
+    case ".ts":
+      return ts.ScriptKind.TS;
+    case ".tsx":
+      return ts.ScriptKind.TSX;
+    case ".jsx":
+      return ts.ScriptKind.JSX;
+    default:
+      return ts.ScriptKind.JS;
+  }
+}
+
+function hasModifier(node, kind) {
+  return Boolean(ts.canHaveModifiers(node) && ts.getModifiers(node)?.some((m) => m.kind === kind));
+}
+
+function bindingNames(name) {
+  if (ts.isIdentifier(name)) return [name.text];
+  return name.elements.flatMap((element) => (ts.isOmittedExpression(element) ? [] : bindingNames(element.name)));
+}
+
+function propertyName(name) {
+  return ts.isIdentifier(name) || ts.isStringLiteral(name) ? name.text : null;
+}
+
+// module.exports, exports, or module.exports.x / exports.x
+function commonJsTarget(expression) {
+  const isModuleExports = (node) =>
+    ts.isPropertyAccessExpression(node) &&
+    ts.isIdentifier(node.expression) &&
+    node.expression.text === "module" &&
+    node.name.text === "exports";
+  const isExports = (node) => ts.isIdentifier(node) && node.text === "exports";
+
+  if (isModuleExports(expression) || isExports(expression)) return { whole: true };
+  const owner = ts.isPropertyAccessExpression(expression) ? expression.expression : null;
+  if (owner && (isModuleExports(owner) || isExports(owner))) {
+    return { name: expression.name.text };
+  }
+  return null;
+}
+
+function stringArgument(call) {
+  const [argument] = call.arguments;
+  return argument && ts.isStringLiteralLike(argument) ? argument.text : null;
+}
+
+// Names taken from a require() result: `const { a, b } = require(...)` or `require(...).a`
+function requiredNames(call) {
+  const parent = call.parent;
+  if (ts.isVariableDeclaration(parent) && ts.isObjectBindingPattern(parent.name)) {
+    return parent.name.elements
+      .filter((element) => !element.dotDotDotToken)
+      .map((element) => propertyName(element.propertyName || element.name))
+      .filter(Boolean);
+  }
+  if (ts.isPropertyAccessExpression(parent) && parent.expression === call) return [parent.name.text];
+  return [];
+}
+
+/**
+ * Parse the imports and exports of one source file
+ * @param {string} filePath - Path in the file map (decides JS, JSX, TS or TSX parsing)
+ * @param {string} content - File content
+ * @returns {{imports: ModuleImport[], exports: ModuleExports}}
+ */
+export function parseModule(filePath, content) {
+  const source = ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKind(filePath));
+  const imports = [];
+  const exports = { names: new Set(), star: [], dynamic: false, commonjs: false };
+
+  for (const statement of source.statements) {
+    if (ts.isImportDeclaration(statement) && ts.isStringLiteral(statement.moduleSpecifier)) {
+      const clause = statement.importClause;
+      const names = [];
+      // Type-only imports are erased, a missing type is the type checker's business
+      if (clause && !clause.isTypeOnly) {
+        if (clause.name) names.push("default");
+        if (clause.namedBindings && ts.isNamedImports(clause.namedBindings)) {
+          for (const element of clause.namedBindings.elements) {
+            if (!element.isTypeOnly) names.push((element.propertyName || element.name).text);
+          }
+        }
+      }
+      imports.push({ specifier: statement.moduleSpecifier.text, names, kind: "import" });
+    } else if (ts.isExportDeclaration(statement)) {
+      const { moduleSpecifier } = statement;
+      const specifier = moduleSpecifier && ts.isStringLiteral(moduleSpecifier) ? moduleSpecifier.text : null;
+      const clause = statement.exportClause;
+
+      if (!clause) {
+        if (specifier) exports.star.push(specifier);
+      } else if (ts.isNamespaceExport(clause)) {
+        exports.names.add(clause.name.text);
+      } else {
+        for (const element of clause.elements) exports.names.add(element.name.text);
+      }
+
+      if (specifier) {
+        const names =
+          clause && ts.isNamedExports(clause) && !statement.isTypeOnly
+            ? clause.elements.filter((e) => !e.isTypeOnly).map((e) => (e.propertyName || e.name).text)
+            : [];
+        imports.push({ specifier, names, kind: "export" });
+      }
+    } else if (ts.isExportAssignment(statement)) {
+      exports.names.add("default");
+    } else if (hasModifier(statement, ts.SyntaxKind.ExportKeyword)) {
+      if (hasModifier(statement, ts.SyntaxKind.DefaultKeyword)) {
+        exports.names.add("default");
+      } else if (ts.isVariableStatement(statement)) {
+        for (const declaration of statement.declarationList.declarations) {
+          bindingNames(declaration.name).forEach((name) => exports.names.add(name));
+        }
+      } else if (statement.name && ts.isIdentifier(statement.name)) {
+        exports.names.add(statement.name.text);
+      }
+    }
+  }
+
+  const visit = (node) => {
+    if (ts.isCallExpression(node)) {
+      const specifier = stringArgument(node);
+      if (specifier !== null && ts.isIdentifier(node.expression) && node.expression.text === "require") {
+        imports.push({ specifier, names: requiredNames(node), kind: "require" });
+      } else if (specifier !== null && node.expression.kind === ts.SyntaxKind.ImportKeyword) {
+        imports.push({ specifier, names: [], kind: "dynamic" });
+      }
+    } else if (ts.isBinaryExpression(node) && node.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+      const target = commonJsTarget(node.left);
+      if (target?.name) {
+        exports.commonjs = true;
+        exports.names.add(target.name);
+      } else if (target?.whole) {
+        exports.commonjs = true;
+        if (ts.isObjectLiteralExpression(node.right)) {
+          for (const property of node.right.properties) {
+            if (ts.isSpreadAssignment(property)) {
+              exports.dynamic = true;
+            } else if (property.name) {
+              const name = propertyName(property.name);
+              if (name) exports.names.add(name);
+            }
+          }
+        } else {
+          exports.dynamic = true;
+        }
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(source);
+
+  return { imports, exports };
+}
+
+/**
+ * Path aliases that apply to a file: the `paths` of the nearest tsconfig.json
+ * or jsconfig.json in the file map, and `@/*` for a Next.js app without one
+ * @param {string} filePath - Importing file
+ * @param {Object<string, string>} files - File map
+ * @returns {{baseDir: string, paths: Object<string, string[]>}|null}
+ */
+function findAliases(filePath, files) {
+  let dir = path.posix.dirname(filePath);
+  for (;;) {
+    for (const name of ["tsconfig.json", "jsconfig.json"]) {
+      const configPath = dir === "." ? name : `${dir}/${name}`;
+      if (typeof files[configPath] !== "string") continue;
+
+      try {
+        const { config } = ts.parseConfigFileTextToJson(configPath, files[configPath]);
+        const options = config?.compilerOptions || {};
+        if (options.paths) {
+          return { baseDir: path.posix.join(dir, options.baseUrl || "."), paths: options.paths };
+        }
+      } catch {
+        // A broken config resolves no aliases
+      }
+      return null;
+    }
+    if (dir === ".") break;
+    dir = path.posix.dirname(dir);
+  }
+
+  // No config generated (yet): assume the app root is the top-level folder
+  const [root] = filePath.split("/");
+  return root === "frontend" ? { baseDir: root, paths: DEFAULT_ALIASES } : null;
+}
+
+/**
+ * Path an import points at, before extensions are tried
+ * @param {string} fromFile - Importing file
+ * @param {string} specifier - Module specifier
+ * @param {Object<string, string>} files - File map (for tsconfig.json aliases)
+ * @returns {string|null} - null for package imports
+ */
+function importBase(fromFile, specifier, files) {
+  if (specifier.startsWith("./") || specifier.startsWith("../") || specifier === "." || specifier === "..") {
+    return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+  }
+
+  const aliases = findAliases(fromFile, files);
+  for (const [pattern, targets] of Object.entries(aliases?.paths || {})) {
+    const [prefix, suffix = ""] = pattern.split("*");
+    const wildcard = pattern.includes("*");
+    if (wildcard ? specifier.startsWith(prefix) && specifier.endsWith(suffix) : specifier === pattern) {
+      const matched = wildcard ? specifier.slice(prefix.length, specifier.length - suffix.length) : "";
+      const target = targets[0] || "";
+      return path.posix.normalize(path.posix.join(aliases.baseDir, target.replace("*", matched)));
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve an import to a path of the file map
+ * @param {string} fromFile - Importing file
+ * @param {string} specifier - Module specifier
+ * @param {Set<string>} existing - Every path that exists
+ * @param {Object<string, string>} files - File map (for tsconfig.json aliases)
+ * @returns {{base: string|null, path: string|null}} - base is null for package imports, path
+ *   null when nothing exists at the base
+ */
+export function resolveImport(fromFile, specifier, existing, files = {}) {
+  const base = importBase(fromFile, specifier, files);
+  if (base === null) return { base, path: null };
+
+  // TypeScript sources import each other with .js extensions under NodeNext resolution
+  const withoutJs = /\.(c|m)?js$/.test(base) ? base.replace(/\.(c|m)?js$/, "") : null;
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map((ext) => base + ext),
+    ...(withoutJs ? [".ts", ".tsx"].map((ext) => withoutJs + ext) : []),
+    ...RESOLVE_EXTENSIONS.map((ext) => `${base}/index${ext}`),
+  ];
+  return { base, path: candidates.find((candidate) => existing.has(candidate)) || null };
+}
+
+// Where a missing module should be created, for the repair prompt
+function expectedPath(fromFile, base) {
+  if (path.posix.extname(base)) return base;
+
+  const ext = path.posix.extname(fromFile);
+  if (ext === ".tsx" || ext === ".ts") {
+    return base + (/(^|\/)(components|app|pages)\//.test(base) ? ".tsx" : ".ts");
+  }
+  return base + (ext === ".jsx" ? ".jsx" : ext || ".js");
+}
+
+/**
+ * Names a module exports, following `export * from` through the file map
+ * @returns {Set<string>|null} - null when they cannot be known statically
+ */
+function collectExports(filePath, modules, existing, files, seen = new Set()) {
+  const parsed = modules.get(filePath);
+  if (!parsed || parsed.exports.dynamic || seen.has(filePath)) return null;
+  seen.add(filePath);
+
+  const names = new Set(parsed.exports.names);
+  for (const specifier of parsed.exports.star) {
+    const target = resolveImport(filePath, specifier, existing, files).path;
+    const starred = target && collectExports(target, modules, existing, files, seen);
+    if (!starred) return null;
+    starred.forEach((name) => name !== "default" && names.add(name));
+  }
+  return names;
+}
+
+/**
+ * Check every import of a file map
+ * @param {Object<string, string>} files - Path to content; only these files are checked
+ * @param {Object} [options]
+ * @param {string[]} [options.knownPaths] - Files that exist besides the map; imports may resolve to them
+ * @param {Object<string, string>} [options.knownFiles] - Content of some of those files, so imports of
+ *   them get their names checked too
+ * @returns {{missingModules: MissingModule[], missingExports: MissingExport[]}}
+ */
+export function validateImportGraph(files, options = {}) {
+  const knownFiles = options.knownFiles || {};
+  const allFiles = { ...knownFiles, ...files };
+  const existing = new Set([...(options.knownPaths || []), ...Object.keys(allFiles)]);
+
+  const modules = new Map();
+  for (const [filePath, content] of Object.entries(allFiles)) {
+    if (!isSourceFile(filePath) || typeof content !== "string") continue;
+    modules.set(filePath, parseModule(filePath, content));
+  }
+
+  const missingModules = [];
+  const missingExports = [];
+
+  for (const filePath of Object.keys(files)) {
+    const parsed = modules.get(filePath);
+    if (!parsed) continue;
+
+    for (const { specifier, names, kind } of parsed.imports) {
+      const { base, path: target } = resolveImport(filePath, specifier, existing, allFiles);
+      if (base === null) continue;
+
+      if (!target) {
+        missingModules.push({ from: filePath, specifier, path: expectedPath(filePath, base), names });
+        continue;
+      }
+
+      const targetModule = modules.get(target);
+      if (!targetModule || names.length === 0) continue;
+
+      // Node hands ES modules the whole module.exports object as the default export
+      const exported = collectExports(target, modules, existing, allFiles);
+      if (!exported) continue;
+      const missing = names.filter(
+        (name) => !exported.has(name) && !(name === "default" && targetModule.exports.commonjs && kind !== "require")
+      );
+      if (missing.length > 0) {
+        missingExports.push({ from: filePath, specifier, path: target, names: missing });
+      }
+    }
+  }
+
+  return { missingModules, missingExports };
+}
+
+export default {
+  isSourceFile,
+  parseModule,
+  resolveImport,
+  validateImportGraph,
+};
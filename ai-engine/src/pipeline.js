@@ -1,4 +1,9 @@
 import { getEngine, getAllEngines } from './engines/index.js';
+import { callWithResilience } from './engines/resilience.js';
+import { getCachedResponse, setCachedResponse } from './engines/cache.js';
+import { estimateRun } from './estimator.js';
+import { loadPipeline, runPipeline, PipelineDefinitionError } from './pipelineRunner.js';
+import { getStackProfile } from './stackProfiles.js';
 
 /**
  * Predefined engine configuration presets
@@ -39,8 +44,32 @@ const PRESETS = {
       frontend: 'cerebras',
       testing: 'cerebras'
     }
+  },
+  local: {
+    name: 'Self-Hosted Generation',
+    description: 'Use a self-hosted OpenAI-compatible model for all tasks - code never leaves your network',
+    config: {
+      planning: 'local',
+      architecture: 'local',
+      database: 'local',
+      backend: 'local',
+      frontend: 'local',
+      testing: 'local'
+    }
+  },
+  offline: {
+    name: 'Offline Generation',
+    description: 'Replay recorded responses with the mock engine - no API keys required',
+    config: {
+      planning: 'mock',
+      architecture: 'mock',
+      database: 'mock',
+      backend: 'mock',
+      frontend: 'mock',
+      testing: 'mock'
+    }
   }
-;
+};
 
 /**
  * Default engine configuration for custom mode
@@ -52,7 +81,33 @@ const DEFAULT_ENGINE_CONFIG = {
   backend: 'cerebras',
   frontend: 'cerebras',
   testing: 'cerebras'
-;
+};
+
+/**
+ * Pipeline definition generateProject runs when none is given
+ */
+const DEFAULT_STAGED_PIPELINE = 'staged';
+
+/**
+ * Prompt builders staged pipeline phases can name, called with the pipeline,
+ * the project config and the outputs of the phase's inputs
+ */
+const STAGED_PROMPT_BUILDERS = {
+  planning: (pipeline, config) => pipeline.buildPlanningPrompt(config),
+  database: (pipeline, config, inputs) => pipeline.buildDatabasePrompt(config, inputs.planning?.content || ''),
+  backend: (pipeline, config, inputs) =>
+    pipeline.buildBackendPrompt(config, inputs.planning?.content || '', inputs.database?.content || ''),
+  frontend: (pipeline, config, inputs) =>
+    pipeline.buildFrontendPrompt(config, inputs.planning?.content || '', inputs.backend?.content || ''),
+  testing: (pipeline, config, inputs) =>
+    pipeline.buildTestingPrompt(config, inputs.backend?.content || '', inputs.frontend?.content || '')
+};
+
+/**
+ * Pipeline phases that estimateGeneration covers (architecture is planned
+ * alongside planning and not estimated separately)
+ */
+const PIPELINE_ESTIMATE_PHASES = ['planning', 'database', 'backend', 'frontend', 'testing'];
 
 /**
  * Generation pipeline that orchestrates multiple AI engines
@@ -60,9 +115,19 @@ const DEFAULT_ENGINE_CONFIG = {
 class GenerationPipeline {
   constructor(engineConfig = DEFAULT_ENGINE_CONFIG) {
     this.engineConfig = engineConfig;
+    this.fallbacks = {};
     this.progressCallback = null;
   }
 
+  /**
+   * Set fallback engines tried, in order, when a phase's engine is unavailable
+   * @param {string[]|Object<string, string[]>} fallbacks - One chain for every phase or a phase map
+   */
+  withFallbacks(fallbacks) {
+    this.fallbacks = fallbacks || {};
+    return this;
+  }
+
   /**
    * Set progress callback for real-time updates
    */
@@ -86,20 +151,57 @@ class GenerationPipeline {
   }
 
   /**
-   * Run a single generation phase with specified engine
+   * Run a single generation phase with specified engine. Identical calls are
+   * served from the response cache unless options.cache is false.
+   * options.defaultEngine is used when the engine config has no entry for the phase.
+   * options.signal cancels the call, including its retries and fallbacks.
    */
   async runPhase(phaseName, prompt, options = {}) {
-    const engineName = this.engineConfig[phaseName] || 'claude';
-    const engine = getEngine(engineName);
+    const { cache, defaultEngine, ...engineOptions } = options;
+    const primaryEngine = this.engineConfig[phaseName] || defaultEngine || 'claude';
+    const fallbacks = Array.isArray(this.fallbacks) ? this.fallbacks : this.fallbacks[phaseName] || [];
 
-    this.reportProgress(phaseName, `Starting ${phaseName} with ${engine.name}...`, {
-      engine: engineName
+    this.reportProgress(phaseName, `Starting ${phaseName} with ${getEngine(primaryEngine).name}...`, {
+      engine: primaryEngine
     });
 
+    engineOptions.signal?.throwIfAborted();
+
+    const cached = cache === false ? null : getCachedResponse(primaryEngine, prompt, engineOptions);
+    if (cached) {
+      this.reportProgress(phaseName, `Reused cached ${phaseName} response`, {
+        engine: primaryEngine,
+        cached: true,
+        tokens: cached.tokens
+      });
+      return {
+        content: cached.content,
+        tokens: cached.tokens,
+        elapsed: 0,
+        model: cached.model,
+        stopReason: cached.stopReason,
+        phase: phaseName,
+        engine: primaryEngine,
+        cached: true
+      };
+    }
+
     const startTime = Date.now();
 
     try {
-      const result = await engine.generate(prompt, options);
+      const { result, engine: engineName } = await callWithResilience(
+        [primaryEngine, ...fallbacks],
+        (client) => client.generate(prompt, engineOptions),
+        {
+          onEvent: (event) => this.reportProgress(phaseName, event.message, { engine: event.engine, event: event.type }),
+          signal: engineOptions.signal
+        }
+      );
+
+      // Lookups go by the phase's own engine, so a fallback's answer would never be read back
+      if (engineName === primaryEngine.toLowerCase()) {
+        setCachedResponse(primaryEngine, prompt, engineOptions, result);
+      }
 
       const elapsed = Date.now() - startTime;
       this.reportProgress(phaseName, `Completed ${phaseName} in ${elapsed}ms`, {
@@ -112,10 +214,10 @@ class GenerationPipeline {
         ...result,
         phase: phaseName,
         engine: engineName
-      ;
+      };
     } catch (error) {
       this.reportProgress(phaseName, `Error in ${phaseName}: ${error.message}`, {
-        engine: engineName,
+        engine: primaryEngine,
         error: error.message
       });
       throw error;
@@ -123,58 +225,55 @@ class GenerationPipeline {
   }
 
   /**
-   * Generate complete project using configured engines
+   * Generate complete project using configured engines. Phases run as the
+   * DAG described by a staged pipeline definition (pipelines/staged.json by
+   * default), so stages that do not depend on each other run in parallel.
+   * @param {Object} config - Project config
+   * @param {string|Object} [pipeline] - Pipeline name, file or definition
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the running phases and starts no further ones
    */
-  async generateProject(config) {
+  async generateProject(config, pipeline = DEFAULT_STAGED_PIPELINE, options = {}) {
     const results = {
       phases: {},
       totalTokens: { input: 0, output: 0 },
       totalElapsed: 0,
       enginesUsed: {}
-    ;
+    };
 
     const startTime = Date.now();
 
     try {
-      // Phase 1: Planning
-      this.reportProgress('planning', 'Creating project plan and architecture...');
-      const planningResult = await this.runPhase('planning',
-        this.buildPlanningPrompt(config),
-        { systemPrompt: 'You are an expert software architect. Create a detailed project plan.' }
-      );
-      results.phases.planning = planningResult;
-
-      // Phase 2: Database Schema
-      this.reportProgress('database', 'Designing database schema...');
-      const databaseResult = await this.runPhase('database',
-        this.buildDatabasePrompt(config, planningResult.content),
-        { systemPrompt: 'You are a database expert. Design an efficient, normalized schema.' }
-      );
-      results.phases.database = databaseResult;
+      const definition = loadPipeline(pipeline);
+      if (definition.mode !== 'staged') {
+        throw new PipelineDefinitionError(`Pipeline ${definition.name} is a ${definition.mode} pipeline, not a staged one`);
+      }
+      const unknown = definition.phases.find((phase) => !STAGED_PROMPT_BUILDERS[phase.prompt]);
+      if (unknown) {
+        throw new PipelineDefinitionError(
+          `Unknown prompt builder for phase ${unknown.id}: ${unknown.prompt}. Available: ${Object.keys(STAGED_PROMPT_BUILDERS).join(', ')}`
+        );
+      }
 
-      // Phase 3: Backend Code
-      this.reportProgress('backend', 'Generating backend API code...');
-      const backendResult = await this.runPhase('backend',
-        this.buildBackendPrompt(config, planningResult.content, databaseResult.content),
-        { systemPrompt: 'You are a backend developer. Generate clean, RESTful API code.' }
+      const run = await runPipeline(
+        definition,
+        (phase, inputs) =>
+          this.runPhase(phase.id, STAGED_PROMPT_BUILDERS[phase.prompt](this, config, inputs), {
+            systemPrompt: phase.systemPrompt,
+            defaultEngine: this.engineConfig[phase.engineKey] || phase.engine,
+            signal: options.signal
+          }),
+        { haltOnFailure: true }
       );
-      results.phases.backend = backendResult;
 
-      // Phase 4: Frontend Code
-      this.reportProgress('frontend', 'Generating frontend UI code...');
-      const frontendResult = await this.runPhase('frontend',
-        this.buildFrontendPrompt(config, planningResult.content, backendResult.content),
-        { systemPrompt: 'You are a frontend developer. Generate modern, responsive UI code.' }
-      );
-      results.phases.frontend = frontendResult;
+      const [firstFailure] = Object.values(run.failed);
+      if (firstFailure) {
+        throw firstFailure;
+      }
 
-      // Phase 5: Testing
-      this.reportProgress('testing', 'Generating test suites...');
-      const testingResult = await this.runPhase('testing',
-        this.buildTestingPrompt(config, backendResult.content, frontendResult.content),
-        { systemPrompt: 'You are a QA engineer. Generate comprehensive test coverage.' }
-      );
-      results.phases.testing = testingResult;
+      for (const id of definition.order) {
+        results.phases[id] = run.outputs[id];
+      }
 
       // Calculate totals
       for (const [phase, result] of Object.entries(results.phases)) {
@@ -238,6 +337,8 @@ Use PostgreSQL syntax. Consider ${config.multiTenant ? 'multi-tenant architectur
   }
 
   buildBackendPrompt(config, plan, schema) {
+    const stack = getStackProfile(config.stack);
+
     return `Based on this plan and database schema:
 
 PLAN:
@@ -246,9 +347,9 @@ ${plan}
 SCHEMA:
 ${schema}
 
-Generate a complete Node.js/Express backend with:
+Generate a complete Node.js/${stack.framework} backend (${stack.language}) with:
 1. RESTful API endpoints for all features
-2. Database integration with Prisma/Knex
+2. Database integration with ${stack.orm}
 3. ${config.authentication || 'Basic'} authentication
 4. Input validation and error handling
 5. API documentation
@@ -306,54 +407,49 @@ Cover all major features: ${config.features?.join(', ') || 'All functionality'}`
         engine: engineName,
         info: getEngine(engineName).getInfo()
       }))
-    ;
+    };
   }
 
   /**
-   * Estimate cost and time for generation
+   * Estimate cost and time for generation, calibrated from past runs when
+   * samples are given (see estimator.js)
+   * @param {Object} [config] - Project config; its features scale the estimate
+   * @param {Object[]} [samples] - Phase stats of past generations
    */
-  estimateGeneration(config) {
+  estimateGeneration(config = {}, samples = []) {
+    const phaseEngines = Object.fromEntries(
+      PIPELINE_ESTIMATE_PHASES.map((phase) => [phase, this.engineConfig[phase]])
+    );
+    const run = estimateRun(phaseEngines, { samples, features: config.features || [] });
+
     const estimates = {
       phases: {},
-      totalCost: 0,
-      totalTime: 0,
+      totalCost: run.total.cost.expected,
+      totalTime: run.total.seconds.expected,
+      range: run.total,
+      confidence: run.confidence,
       breakdown: []
-    ;
-
-    // Estimated token counts per phase (rough averages)
-    const phaseEstimates = {
-      planning: { input: 500, output: 2000, time: 30 },
-      database: { input: 1000, output: 1500, time: 25 },
-      backend: { input: 2000, output: 5000, time: 60 },
-      frontend: { input: 2000, output: 6000, time: 70 },
-      testing: { input: 3000, output: 3000, time: 40 }
-    ;
-
-    for (const [phase, estimate] of Object.entries(phaseEstimates)) {
-      const engineName = this.engineConfig[phase];
-      const engine = getEngine(engineName);
-      const info = engine.getInfo();
-
-      const totalTokens = estimate.input + estimate.output;
-      const cost = (totalTokens / 1000) * info.costPer1kTokens;
-
-      estimates.phases[phase] = {
-        engine: engineName,
-        tokens: estimate,
-        cost,
-        time: estimate.time
-      ;
+    };
+
+    for (const estimate of run.phases) {
+      const info = getEngine(estimate.engine).getInfo();
 
-      estimates.totalCost += cost;
-      estimates.totalTime += estimate.time;
+      estimates.phases[estimate.phase] = {
+        engine: estimate.engine,
+        tokens: { input: estimate.inputTokens.expected, output: estimate.outputTokens.expected },
+        cost: estimate.cost.expected,
+        time: estimate.seconds.expected,
+        range: { tokens: estimate.tokens, cost: estimate.cost, time: estimate.seconds },
+        basis: estimate.basis
+      };
 
       estimates.breakdown.push({
-        phase,
-        engine: engineName,
+        phase: estimate.phase,
+        engine: estimate.engine,
         speed: info.speed,
         quality: info.quality,
-        cost: `$${cost.toFixed(4)}`,
-        time: `~${estimate.time}s`
+        cost: `$${estimate.cost.low.toFixed(4)}-$${estimate.cost.high.toFixed(4)}`,
+        time: `${estimate.seconds.low}-${estimate.seconds.high}s`
       });
     }
 
@@ -381,4 +477,4 @@ export {
   DEFAULT_ENGINE_CONFIG,
   createPipelineFromPreset,
   getAllEngines
-;
+};
@@ -0,0 +1,313 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Built-in pipeline definitions, one file per project type. PIPELINES_DIR
+ * adds a directory that is searched first, so definitions can be added or
+ * overridden without a code change.
+ */
+const BUILTIN_PIPELINES_DIR = path.join(__dirname, '..', 'pipelines');
+const PIPELINE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+// What a pipeline name from outside the engine may look like: no paths, no extensions
+const PIPELINE_NAME_PATTERN = /^[\w-]+$/;
+
+/**
+ * How a pipeline's phases are executed:
+ *   batch  - multi-file phases (multiFileGenerator), outputs are generated files
+ *   staged - GenerationPipeline text phases, outputs are engine responses
+ */
+export const PIPELINE_MODES = ['batch', 'staged'];
+
+/**
+ * Phases started at the same time when nothing else limits them
+ */
+export function getMaxParallelPhases() {
+  return Math.max(1, Number(process.env.PIPELINE_MAX_PARALLEL_PHASES ?? 3));
+}
+
+/**
+ * Error thrown for a pipeline definition that cannot be loaded or run
+ */
+export class PipelineDefinitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PipelineDefinitionError';
+    this.code = 'INVALID_PIPELINE';
+  }
+}
+
+function getPipelineDirs() {
+  return [process.env.PIPELINES_DIR, BUILTIN_PIPELINES_DIR].filter(Boolean);
+}
+
+function findPipelineFile(name) {
+  for (const dir of getPipelineDirs()) {
+    for (const extension of PIPELINE_EXTENSIONS) {
+      const file = path.join(dir, `${name}${extension}`);
+      if (fs.existsSync(file)) return file;
+    }
+  }
+  return null;
+}
+
+function parsePipelineFile(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  try {
+    return file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new PipelineDefinitionError(`Could not parse ${path.basename(file)}: ${error.message}`);
+  }
+}
+
+/**
+ * Order phases so every phase comes after its inputs
+ * @throws {PipelineDefinitionError} On a dependency cycle
+ */
+function topologicalOrder(phases) {
+  const order = [];
+  const state = new Map();
+  const byId = new Map(phases.map((phase) => [phase.id, phase]));
+
+  const visit = (phase, trail) => {
+    if (state.get(phase.id) === 'done') return;
+    if (state.get(phase.id) === 'visiting') {
+      throw new PipelineDefinitionError(`Dependency cycle: ${[...trail, phase.id].join(' → ')}`);
+    }
+    state.set(phase.id, 'visiting');
+    for (const input of phase.inputs) {
+      visit(byId.get(input), [...trail, phase.id]);
+    }
+    state.set(phase.id, 'done');
+    order.push(phase.id);
+  };
+
+  for (const phase of phases) visit(phase, []);
+  return order;
+}
+
+/**
+ * Validate a pipeline definition and fill in defaults
+ *
+ * A definition is { name, description?, mode?, phases: [...] } where each phase is
+ *   id         - unique phase id (also the key in engine configs and phase stats)
+ *   prompt     - prompt builder that writes the phase prompt (defaults to id)
+ *   label      - display name (defaults to id)
+ *   inputs     - ids of phases whose outputs this phase builds on
+ *   outputs    - path prefixes the phase produces (batch mode)
+ *   engineKey  - engine config key consulted when the config has no entry for id
+ *   engine     - engine used when the config names none
+ *   weight     - share of the progress bar (default 1)
+ *   systemPrompt - system prompt (staged mode)
+ *
+ * @param {Object} definition - Parsed definition
+ * @returns {Object} - Normalized definition with `order` (a topological order of phase ids)
+ * @throws {PipelineDefinitionError}
+ */
+export function validatePipeline(definition) {
+  if (!definition || typeof definition !== 'object' || !Array.isArray(definition.phases)) {
+    throw new PipelineDefinitionError('A pipeline needs a phases list');
+  }
+  if (definition.phases.length === 0) {
+    throw new PipelineDefinitionError('A pipeline needs at least one phase');
+  }
+
+  const mode = definition.mode || 'batch';
+  if (!PIPELINE_MODES.includes(mode)) {
+    throw new PipelineDefinitionError(`Unknown pipeline mode: ${mode}. Use one of: ${PIPELINE_MODES.join(', ')}`);
+  }
+
+  const ids = new Set();
+  const phases = definition.phases.map((phase, index) => {
+    if (!phase?.id || typeof phase.id !== 'string') {
+      throw new PipelineDefinitionError(`Phase ${index + 1} needs a string id`);
+    }
+    if (ids.has(phase.id)) {
+      throw new PipelineDefinitionError(`Duplicate phase id: ${phase.id}`);
+    }
+    ids.add(phase.id);
+
+    return {
+      id: phase.id,
+      label: phase.label || phase.id,
+      prompt: phase.prompt || phase.id,
+      inputs: phase.inputs || [],
+      outputs: phase.outputs || [],
+      engineKey: phase.engineKey || null,
+      engine: phase.engine || null,
+      weight: phase.weight ?? 1,
+      systemPrompt: phase.systemPrompt || null
+    };
+  });
+
+  for (const phase of phases) {
+    const unknown = phase.inputs.find((input) => !ids.has(input));
+    if (unknown) {
+      throw new PipelineDefinitionError(`Phase ${phase.id} takes input from unknown phase: ${unknown}`);
+    }
+  }
+
+  return {
+    name: definition.name || 'custom',
+    description: definition.description || '',
+    mode,
+    phases,
+    order: topologicalOrder(phases)
+  };
+}
+
+/**
+ * Load a pipeline definition by name (file in PIPELINES_DIR or ai-engine/pipelines)
+ * or path. Already loaded definitions are validated and returned as-is.
+ * @param {string|Object} pipeline - Name, path to a .json/.yaml file, or definition object
+ * @returns {Object} - Normalized definition (see validatePipeline)
+ * @throws {PipelineDefinitionError}
+ */
+export function loadPipeline(pipeline) {
+  if (pipeline && typeof pipeline === 'object') {
+    return validatePipeline(pipeline);
+  }
+
+  const file = PIPELINE_EXTENSIONS.some((extension) => String(pipeline).endsWith(extension))
+    ? pipeline
+    : findPipelineFile(pipeline);
+  if (!file || !fs.existsSync(file)) {
+    throw new PipelineDefinitionError(
+      `Unknown pipeline: ${pipeline}. Available: ${listPipelines().map((p) => p.name).join(', ')}`
+    );
+  }
+
+  return validatePipeline({ name: path.basename(file, path.extname(file)), ...parsePipelineFile(file) });
+}
+
+/**
+ * Load a pipeline definition by bare name only. Meant for names that come from
+ * a request: paths, and names that listPipelines() does not return, are rejected
+ * before anything is read from disk.
+ * @param {string} name - Pipeline name (e.g. "fullstack")
+ * @returns {Object} - Normalized definition (see validatePipeline)
+ * @throws {PipelineDefinitionError}
+ */
+export function loadPipelineByName(name) {
+  const available = listPipelines().map((p) => p.name);
+  if (typeof name !== 'string' || !PIPELINE_NAME_PATTERN.test(name) || !available.includes(name)) {
+    throw new PipelineDefinitionError(`Unknown pipeline: ${name}. Available: ${available.join(', ')}`);
+  }
+  return loadPipeline(name);
+}
+
+/**
+ * Every pipeline definition that can be loaded by name
+ * @returns {Object[]} - [{ name, description, mode, phases: [{ id, label, inputs }] }]
+ */
+export function listPipelines() {
+  const pipelines = new Map();
+  for (const dir of getPipelineDirs()) {
+    if (!fs.existsSync(dir)) continue;
+    for (const fileName of fs.readdirSync(dir).sort()) {
+      const extension = path.extname(fileName);
+      const name = path.basename(fileName, extension);
+      if (!PIPELINE_EXTENSIONS.includes(extension) || pipelines.has(name)) continue;
+
+      try {
+        const definition = loadPipeline(path.join(dir, fileName));
+        pipelines.set(name, {
+          name,
+          description: definition.description,
+          mode: definition.mode,
+          phases: definition.phases.map(({ id, label, inputs }) => ({ id, label, inputs }))
+        });
+      } catch (error) {
+        console.log(`[Pipeline] Skipping ${fileName}: ${error.message}`);
+      }
+    }
+  }
+  return [...pipelines.values()];
+}
+
+/**
+ * Run a pipeline's phases as a DAG: a phase starts as soon as all of its
+ * inputs have finished, up to `concurrency` phases at a time. A failed phase
+ * skips everything downstream of it; independent phases keep running.
+ *
+ * @param {Object} pipeline - Normalized definition (see loadPipeline)
+ * @param {function(Object, Object, Object): Promise<*>} runPhase - Called as
+ *   (phase, inputs, control) where inputs maps each input phase id to its output
+ *   and control.halt(reason) stops new phases from starting
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Parallel phases (default PIPELINE_MAX_PARALLEL_PHASES, 3)
+ * @param {boolean} [options.haltOnFailure] - Stop starting phases after the first failure
+ * @returns {Promise<{outputs: Object, failed: Object<string, Error>, skipped: Object<string, string>, halted: string[], haltReason: string|null}>}
+ *   - skipped maps a phase id to the failed phase that blocked it; halted lists phases never started after a halt
+ */
+export async function runPipeline(pipeline, runPhase, options = {}) {
+  const concurrency = options.concurrency || getMaxParallelPhases();
+  const byId = new Map(pipeline.phases.map((phase) => [phase.id, phase]));
+  const pending = [...pipeline.order];
+  const running = new Map();
+  const outputs = {};
+  const failed = {};
+  const skipped = {};
+  let haltReason = null;
+
+  const control = {
+    halt: (reason = 'Pipeline halted') => {
+      haltReason = haltReason || reason;
+    }
+  };
+
+  const start = (phase) => {
+    const inputs = Object.fromEntries(phase.inputs.map((input) => [input, outputs[input]]));
+    const task = (async () => {
+      try {
+        outputs[phase.id] = await runPhase(phase, inputs, control);
+      } catch (error) {
+        failed[phase.id] = error;
+        if (options.haltOnFailure) control.halt(`${phase.id} failed: ${error.message}`);
+      } finally {
+        running.delete(phase.id);
+      }
+    })();
+    running.set(phase.id, task);
+  };
+
+  while (pending.length > 0 || running.size > 0) {
+    for (const id of [...pending]) {
+      const blocker = byId.get(id).inputs.find((input) => input in failed || input in skipped);
+      if (blocker) {
+        skipped[id] = blocker;
+        pending.splice(pending.indexOf(id), 1);
+      }
+    }
+
+    if (!haltReason) {
+      for (const id of [...pending]) {
+        if (running.size >= concurrency) break;
+        const phase = byId.get(id);
+        if (phase.inputs.every((input) => input in outputs)) {
+          pending.splice(pending.indexOf(id), 1);
+          start(phase);
+        }
+      }
+    }
+
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+
+  return { outputs, failed, skipped, halted: pending, haltReason };
+}
+
+export default {
+  PIPELINE_MODES,
+  PipelineDefinitionError,
+  getMaxParallelPhases,
+  validatePipeline,
+  loadPipeline,
+  loadPipelineByName,
+  listPipelines,
+  runPipeline
+};
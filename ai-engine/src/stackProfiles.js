@@ -0,0 +1,713 @@
+/**
+ * Backend stack profiles for generated applications.
+ *
+ * A project picks the stack its backend is generated in with config.stack.
+ * The profile supplies everything the generator used to assume about the
+ * backend: the file list of the backend prompt, the structure and import
+ * rules of the system prompt, the packages and scripts backend/package.json
+ * must have, the files a backend phase must produce, the files a feature is
+ * wired into, and the structure map of templates/file-structure.js.
+ *
+ * The frontend (Next.js) and the SQL database phase are the same for every
+ * stack. More stacks can be added with registerStackProfile.
+ */
+
+/**
+ * Stack used when a project does not name one
+ */
+export const DEFAULT_STACK = "express-sequelize";
+
+/**
+ * Raised for an unknown stack id or an incomplete profile
+ */
+export class StackProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StackProfileError";
+    this.code = "INVALID_STACK";
+  }
+}
+
+/**
+ * @typedef {Object} EntityFile
+ * @property {string} section - Key of the structure map's src section the file belongs to
+ * @property {string} path - File path
+ * @property {string} [purpose] - What the file is, when the path does not say it
+ */
+
+/**
+ * @typedef {Object} StackProfile
+ * @property {string} id - Id a project selects the stack with (config.stack)
+ * @property {string} name - Display name
+ * @property {string} description - One line on the stack
+ * @property {string} framework - Web framework, as prompts and docs name it
+ * @property {string} orm - Database layer, as prompts and docs name it
+ * @property {"javascript"|"typescript"} language - Language of the backend source
+ * @property {string} entry - File the server starts from; runtime tests run it when it is JavaScript
+ * @property {string} main - "main" of backend/package.json
+ * @property {Object<string, string>} scripts - Scripts backend/package.json must have
+ * @property {{dependencies: Object<string, string>, devDependencies: Object<string, string>}} packages -
+ *   Packages backend/package.json must have
+ * @property {function(Object): string[]} fixPackageJson - Stack-specific fixes of a parsed backend/package.json,
+ *   made after the shared ones; returns what it changed
+ * @property {string[]} criticalFiles - Files a backend phase must produce (the phase is retried otherwise)
+ * @property {string[]} featureContextFiles - Backend files that tie features together; a new feature is
+ *   generated with their current content
+ * @property {string} featureChanges - How a new feature is wired into those files
+ * @property {function(string): EntityFile[]} entityFiles - Backend files of one feature
+ * @property {Object} structure - Backend part of the file structure map
+ * @property {Object<string, string>} importPaths - Relative path from one layer of the backend to another
+ * @property {{structure: string, imports: string, validation: string}} rules - Backend rules of the system
+ *   prompt: the structure and import path lists, and how endpoints validate their input
+ * @property {function(Object): string} buildPrompt - Numbered file list of the backend phase prompt
+ * @property {string[]} dockerfile - Steps of backend/Dockerfile in the infrastructure prompt
+ */
+
+const PROFILE_FIELDS = [
+  "id",
+  "name",
+  "framework",
+  "orm",
+  "language",
+  "entry",
+  "main",
+  "scripts",
+  "packages",
+  "fixPackageJson",
+  "criticalFiles",
+  "featureContextFiles",
+  "featureChanges",
+  "entityFiles",
+  "structure",
+  "importPaths",
+  "rules",
+  "buildPrompt",
+  "dockerfile",
+];
+
+/**
+ * Package lists as the prompts show them, indented under their list item
+ * @param {Object} fields - package.json fields to show
+ */
+function describePackageJson(fields) {
+  return JSON.stringify(fields, null, 2)
+    .split("\n")
+    .map((line) => `   ${line}`)
+    .join("\n");
+}
+
+/**
+ * Per-feature file lists of a backend prompt
+ * @param {StackProfile} profile
+ * @param {string[]} features - Feature names
+ */
+function describeFeatureFiles(profile, features) {
+  return features
+    .map((feature) => `\nFeature: ${feature}\n${profile.entityFiles(feature).map((file) => `- ${file.path}`).join("\n")}`)
+    .join("\n");
+}
+
+/**
+ * Make backend/package.json declare the module system the stack's code is written in
+ * @param {Object} pkg - Parsed package.json (changed in place)
+ * @param {"commonjs"|"module"} type - Module system of the generated code
+ * @returns {string[]} - What was changed
+ */
+function setModuleType(pkg, type) {
+  if (type === "module" && pkg.type !== "module") {
+    pkg.type = "module";
+    return ['Set "type": "module" (the backend uses ES modules)'];
+  }
+  if (type === "commonjs" && pkg.type === "module") {
+    delete pkg.type;
+    return ['Removed "type": "module" (the backend is CommonJS)'];
+  }
+  return [];
+}
+
+const BACKEND_ROOT_FILES = ["backend/package.json", "backend/.env", "backend/.env.example", "backend/.gitignore"];
+
+// ============================================
+// EXPRESS + SEQUELIZE (CommonJS)
+// ============================================
+
+const EXPRESS_SEQUELIZE = {
+  id: "express-sequelize",
+  name: "Express + Sequelize",
+  description: "Express REST API in CommonJS JavaScript with Sequelize models",
+  framework: "Express",
+  orm: "Sequelize",
+  language: "javascript",
+  entry: "backend/src/server.js",
+  main: "src/server.js",
+  scripts: {
+    start: "node src/server.js",
+    dev: "node --watch src/server.js",
+  },
+  packages: {
+    dependencies: {
+      bcryptjs: "^2.4.3",
+      cors: "^2.8.5",
+      dotenv: "^16.3.1",
+      express: "^4.18.2",
+      "express-rate-limit": "^7.1.5",
+      "express-validator": "^7.0.1",
+      helmet: "^7.1.0",
+      jsonwebtoken: "^9.0.2",
+      pg: "^8.11.3",
+      sequelize: "^6.35.2",
+      uuid: "^9.0.1",
+      winston: "^3.11.0",
+    },
+    devDependencies: {
+      jest: "^29.7.0",
+      supertest: "^6.3.3",
+    },
+  },
+  fixPackageJson: (pkg) => setModuleType(pkg, "commonjs"),
+  criticalFiles: [
+    "backend/src/server.js",
+    "backend/package.json",
+    "backend/src/config/index.js",
+    "backend/src/routes/index.js",
+    "backend/src/middleware/auth.js",
+    "backend/src/middleware/errorHandler.js",
+  ],
+  featureContextFiles: ["backend/src/routes/index.js", "backend/src/models/index.js"],
+  featureChanges: "mount the new routes, register the model",
+  entityFiles(feature) {
+    const featureLower = feature.toLowerCase().replace(/\s+/g, "");
+    return [
+      { section: "routes", path: `backend/src/routes/${featureLower}.js` },
+      { section: "controllers", path: `backend/src/controllers/${featureLower}Controller.js` },
+      { section: "services", path: `backend/src/services/${featureLower}Service.js` },
+      { section: "models", path: `backend/src/models/${feature.replace(/\s+/g, "")}.js`, purpose: "Sequelize model" },
+    ];
+  },
+  structure: {
+    root: BACKEND_ROOT_FILES,
+    src: {
+      // Main entry point - CRITICAL
+      server: "backend/src/server.js",
+      config: ["backend/src/config/index.js", "backend/src/config/database.js"],
+      routes: ["backend/src/routes/index.js", "backend/src/routes/auth.js", "backend/src/routes/users.js"],
+      controllers: ["backend/src/controllers/authController.js", "backend/src/controllers/userController.js"],
+      services: ["backend/src/services/authService.js", "backend/src/services/userService.js"],
+      models: ["backend/src/models/index.js", "backend/src/models/User.js"],
+      middleware: [
+        "backend/src/middleware/auth.js",
+        "backend/src/middleware/errorHandler.js",
+        "backend/src/middleware/validator.js",
+      ],
+      utils: ["backend/src/utils/logger.js", "backend/src/utils/helpers.js", "backend/src/utils/constants.js"],
+    },
+    database: ["backend/src/database/migrate.js", "backend/src/database/seed.js"],
+  },
+  importPaths: {
+    "routes -> controllers": "../controllers/",
+    "routes -> middleware": "../middleware/",
+    "controllers -> services": "../services/",
+    "controllers -> models": "../models/",
+    "services -> models": "../models/",
+    "* -> config": "../config/", // or adjust based on nesting level
+  },
+  rules: {
+    structure: `   - backend/src/server.js (main entry)
+   - backend/src/config/index.js (configuration)
+   - backend/src/routes/*.js (route files)
+   - backend/src/controllers/*Controller.js (controllers)
+   - backend/src/services/*Service.js (services)
+   - backend/src/models/*.js (Sequelize models)
+   - backend/src/middleware/*.js (middleware)
+   - backend/src/utils/*.js (utilities)`,
+    imports: `   - From routes: controllers use '../controllers/xController'
+   - From routes: middleware use '../middleware/x'
+   - From controllers: services use '../services/xService'
+   - From controllers: models use '../models/X'
+   - From services: models use '../models/X'
+   - From any: config use '../config' or '../../config' based on depth`,
+    validation: "express-validator",
+  },
+  buildPrompt(config) {
+    const { features = [], multiTenant } = config;
+
+    return `1. backend/package.json - MUST include ALL these dependencies:
+${describePackageJson({ dependencies: this.packages.dependencies })}
+
+2. backend/src/server.js - Express entry point with:
+   - const express = require('express');
+   - const helmet = require('helmet');
+   - const cors = require('cors');
+   - const rateLimit = require('express-rate-limit');
+   - const config = require('./config');
+   - const routes = require('./routes');
+   - const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+   - Express setup with all middleware
+   - Routes mounted at /api
+   - Error handling middleware
+   - Graceful shutdown
+   - Server listening on config.server.port
+
+3. backend/src/config/index.js - Configuration loading from .env:
+   - require('dotenv').config() at top
+   - module.exports = { server: {port, env}, database: {...}, jwt: {...} }
+
+4. backend/src/middleware/errorHandler.js - Error handling:
+   - exports.errorHandler = (err, req, res, next) => {...}
+   - exports.notFoundHandler = (req, res, next) => {...}
+   - exports.asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next)
+
+5. backend/src/middleware/auth.js - JWT auth middleware:
+   - const jwt = require('jsonwebtoken');
+   - const config = require('../config');
+   - exports.authenticate = (req, res, next) => {...}
+   - exports.authorize = (...roles) => (req, res, next) => {...}
+
+6. backend/src/routes/index.js - Route aggregator:
+   - const authRoutes = require('./auth');
+   - router.use('/auth', authRoutes);
+
+7. backend/src/routes/auth.js - Auth routes:
+   - const { body } = require('express-validator');
+   - const authController = require('../controllers/authController');
+
+8. backend/src/controllers/authController.js:
+   - const authService = require('../services/authService');
+   - exports.register, exports.login, exports.me
+
+9. backend/src/services/authService.js:
+   - const bcrypt = require('bcryptjs'); // NOTE: bcryptjs NOT bcrypt!
+   - const jwt = require('jsonwebtoken');
+   - const User = require('../models/User');
+   - const config = require('../config');
+
+10. backend/src/models/index.js - Sequelize setup:
+    - const { Sequelize } = require('sequelize');
+    - const config = require('../config');
+
+11. backend/src/models/User.js - User model:
+    - const { DataTypes } = require('sequelize');
+
+12. backend/src/utils/logger.js - Winston logger
+
+${multiTenant ? "13. backend/src/middleware/tenantContext.js - Multi-tenant isolation" : ""}
+
+${describeFeatureFiles(this, features)}`;
+  },
+  dockerfile: [
+    "FROM node:20-alpine",
+    "WORKDIR /app",
+    "COPY package*.json ./",
+    "RUN npm ci --only=production",
+    "COPY . .",
+    "USER node",
+    "EXPOSE 5000",
+    'CMD ["node", "src/server.js"]',
+  ],
+};
+
+// ============================================
+// FASTIFY + PRISMA (ES modules)
+// ============================================
+
+const FASTIFY_PRISMA = {
+  id: "fastify-prisma",
+  name: "Fastify + Prisma",
+  description: "Fastify API in ES module JavaScript with a Prisma schema and client",
+  framework: "Fastify",
+  orm: "Prisma",
+  language: "javascript",
+  entry: "backend/src/server.js",
+  main: "src/server.js",
+  scripts: {
+    start: "node src/server.js",
+    dev: "node --watch src/server.js",
+    postinstall: "prisma generate",
+  },
+  packages: {
+    dependencies: {
+      "@fastify/cors": "^9.0.1",
+      "@fastify/helmet": "^11.1.1",
+      "@fastify/jwt": "^8.0.0",
+      "@fastify/rate-limit": "^9.1.0",
+      "@prisma/client": "^5.7.1",
+      bcryptjs: "^2.4.3",
+      dotenv: "^16.3.1",
+      fastify: "^4.25.2",
+      "fastify-plugin": "^4.5.1",
+    },
+    devDependencies: {
+      prisma: "^5.7.1",
+    },
+  },
+  fixPackageJson(pkg) {
+    const fixes = setModuleType(pkg, "module");
+    // The CLI only generates the client, so the Dockerfile prunes it with the other dev packages
+    if (pkg.dependencies.prisma) {
+      pkg.devDependencies.prisma ||= pkg.dependencies.prisma;
+      delete pkg.dependencies.prisma;
+      fixes.push("Removed prisma from dependencies (the CLI is a devDependency)");
+    }
+    return fixes;
+  },
+  criticalFiles: [
+    "backend/src/server.js",
+    "backend/package.json",
+    "backend/src/app.js",
+    "backend/src/config/index.js",
+    "backend/src/routes/index.js",
+    "backend/src/plugins/auth.js",
+    "backend/prisma/schema.prisma",
+  ],
+  featureContextFiles: ["backend/src/routes/index.js", "backend/prisma/schema.prisma"],
+  featureChanges: "register the new route plugin, add the model to the Prisma schema",
+  entityFiles(feature) {
+    const featureLower = feature.toLowerCase().replace(/\s+/g, "");
+    return [
+      { section: "routes", path: `backend/src/routes/${featureLower}.js`, purpose: "route plugin with JSON schemas" },
+      { section: "services", path: `backend/src/services/${featureLower}Service.js` },
+    ];
+  },
+  structure: {
+    root: BACKEND_ROOT_FILES,
+    prisma: ["backend/prisma/schema.prisma"],
+    src: {
+      // Main entry point - CRITICAL
+      server: "backend/src/server.js",
+      app: "backend/src/app.js",
+      config: ["backend/src/config/index.js"],
+      plugins: ["backend/src/plugins/prisma.js", "backend/src/plugins/auth.js"],
+      routes: ["backend/src/routes/index.js", "backend/src/routes/auth.js", "backend/src/routes/users.js"],
+      services: ["backend/src/services/authService.js", "backend/src/services/userService.js"],
+      utils: ["backend/src/utils/errors.js"],
+    },
+  },
+  importPaths: {
+    "server -> app": "./app.js",
+    "routes -> services": "../services/",
+    "routes -> utils": "../utils/",
+    "services -> utils": "../utils/",
+    "* -> config": "../config/index.js", // or adjust based on nesting level
+  },
+  rules: {
+    structure: `   - backend/src/server.js (main entry, ES modules: package.json has "type": "module")
+   - backend/src/app.js (builds the Fastify instance, registers plugins and routes)
+   - backend/src/config/index.js (configuration)
+   - backend/src/plugins/*.js (Fastify plugins wrapped in fastify-plugin: prisma, auth)
+   - backend/src/routes/*.js (route plugins with JSON schemas)
+   - backend/src/services/*Service.js (services taking the Prisma client)
+   - backend/prisma/schema.prisma (Prisma models)
+   - backend/src/utils/*.js (utilities)`,
+    imports: `   - Use import/export, never require(); relative imports end in '.js'
+   - From routes: services use '../services/xService.js'
+   - From routes and services: errors use '../utils/errors.js'
+   - From app.js: plugins use './plugins/x.js', routes use './routes/index.js'
+   - From any: config use '../config/index.js' based on depth
+   - The database is reached through fastify.prisma, never a second PrismaClient`,
+    validation: "JSON schemas on every route",
+  },
+  buildPrompt(config) {
+    const { features = [], multiTenant } = config;
+
+    return `1. backend/package.json - MUST include "type": "module" and ALL these packages:
+${describePackageJson({ type: "module", scripts: this.scripts, ...this.packages })}
+
+2. backend/src/server.js - Entry point:
+   - import { buildApp } from './app.js';
+   - import config from './config/index.js';
+   - const app = await buildApp();
+   - await app.listen({ port: config.server.port, host: '0.0.0.0' })
+   - Graceful shutdown: app.close() on SIGTERM and SIGINT
+
+3. backend/src/app.js - Fastify instance:
+   - export async function buildApp()
+   - Fastify({ logger: true }) with @fastify/helmet, @fastify/cors, @fastify/rate-limit, @fastify/jwt
+   - Registers ./plugins/prisma.js and ./plugins/auth.js
+   - Registers ./routes/index.js with prefix '/api'
+   - GET /health answered without touching the database
+   - setErrorHandler and setNotFoundHandler returning { success: false, error: { code, message } }
+
+4. backend/src/config/index.js - Configuration loading from .env:
+   - import 'dotenv/config';
+   - export default { server: {port, env}, database: {url}, jwt: {...} }
+
+5. backend/src/plugins/prisma.js - Prisma client plugin:
+   - import fp from 'fastify-plugin';
+   - import { PrismaClient } from '@prisma/client';
+   - fastify.decorate('prisma', prisma); disconnect in an onClose hook
+   - Does not connect at startup, so the server starts without a database
+
+6. backend/src/plugins/auth.js - JWT auth plugin:
+   - fastify.decorate('authenticate', async (request, reply) => request.jwtVerify())
+   - fastify.decorate('authorize', (...roles) => async (request, reply) => {...})
+
+7. backend/src/utils/errors.js - AppError, NotFoundError, ValidationError, UnauthorizedError
+
+8. backend/src/routes/index.js - Route aggregator:
+   - export default async function routes(fastify)
+   - fastify.register(authRoutes, { prefix: '/auth' })
+
+9. backend/src/routes/auth.js - Auth routes:
+   - POST /register, POST /login, GET /me (onRequest: [fastify.authenticate])
+   - JSON schema for every body and response
+
+10. backend/src/services/authService.js:
+    - import bcrypt from 'bcryptjs'; // NOTE: bcryptjs NOT bcrypt!
+    - Functions take the Prisma client as their first argument: register(prisma, data), login(prisma, data)
+
+11. backend/prisma/schema.prisma - Prisma schema:
+    - datasource db { provider = "postgresql" url = env("DATABASE_URL") }
+    - generator client { provider = "prisma-client-js" }
+    - model User with id (uuid), email (unique), passwordHash, name, role, createdAt, updatedAt
+    - One model per feature, matching the tables of database/schema.sql
+
+${multiTenant ? "12. backend/src/plugins/tenant.js - Multi-tenant isolation (organizationId from the JWT on every query)" : ""}
+
+${describeFeatureFiles(this, features)}`;
+  },
+  dockerfile: [
+    "FROM node:20-alpine",
+    "WORKDIR /app",
+    "COPY package*.json ./",
+    "COPY prisma ./prisma",
+    "RUN npm ci",
+    "COPY . .",
+    "RUN npm prune --omit=dev",
+    "USER node",
+    "EXPOSE 5000",
+    'CMD ["node", "src/server.js"]',
+  ],
+};
+
+// ============================================
+// NESTJS + TYPEORM (TypeScript)
+// ============================================
+
+const NESTJS_TYPEORM = {
+  id: "nestjs-typeorm",
+  name: "NestJS + TypeORM",
+  description: "NestJS API in TypeScript with feature modules and TypeORM entities",
+  framework: "NestJS",
+  orm: "TypeORM",
+  language: "typescript",
+  entry: "backend/src/main.ts",
+  main: "dist/main.js",
+  scripts: {
+    build: "nest build",
+    start: "nest start",
+    dev: "nest start --watch",
+    "start:prod": "node dist/main.js",
+  },
+  packages: {
+    dependencies: {
+      "@nestjs/common": "^10.3.0",
+      "@nestjs/config": "^3.1.1",
+      "@nestjs/core": "^10.3.0",
+      "@nestjs/jwt": "^10.2.0",
+      "@nestjs/platform-express": "^10.3.0",
+      "@nestjs/throttler": "^5.1.1",
+      "@nestjs/typeorm": "^10.0.1",
+      bcryptjs: "^2.4.3",
+      "class-transformer": "^0.5.1",
+      "class-validator": "^0.14.0",
+      helmet: "^7.1.0",
+      pg: "^8.11.3",
+      "reflect-metadata": "^0.2.1",
+      rxjs: "^7.8.1",
+      typeorm: "^0.3.19",
+    },
+    devDependencies: {
+      "@nestjs/cli": "^10.2.1",
+      "@types/bcryptjs": "^2.4.6",
+      "@types/node": "^20.10.5",
+      typescript: "^5.3.3",
+    },
+  },
+  // The Nest CLI compiles to CommonJS
+  fixPackageJson: (pkg) => setModuleType(pkg, "commonjs"),
+  criticalFiles: [
+    "backend/src/main.ts",
+    "backend/package.json",
+    "backend/tsconfig.json",
+    "backend/nest-cli.json",
+    "backend/src/app.module.ts",
+    "backend/src/config/configuration.ts",
+    "backend/src/auth/auth.module.ts",
+    "backend/src/auth/jwt-auth.guard.ts",
+  ],
+  featureContextFiles: ["backend/src/app.module.ts"],
+  featureChanges: "import the new module in AppModule",
+  entityFiles(feature) {
+    const folder = feature.toLowerCase().replace(/\s+/g, "-");
+    const className = feature.replace(/\s+/g, "");
+    return [
+      { section: "modules", path: `backend/src/${folder}/${folder}.module.ts` },
+      { section: "modules", path: `backend/src/${folder}/${folder}.controller.ts` },
+      { section: "modules", path: `backend/src/${folder}/${folder}.service.ts` },
+      { section: "modules", path: `backend/src/${folder}/${folder}.entity.ts`, purpose: `TypeORM entity ${className}` },
+      { section: "modules", path: `backend/src/${folder}/dto/create-${folder}.dto.ts`, purpose: "class-validator DTO" },
+    ];
+  },
+  structure: {
+    root: [...BACKEND_ROOT_FILES, "backend/tsconfig.json", "backend/nest-cli.json"],
+    src: {
+      // Main entry point - CRITICAL
+      main: "backend/src/main.ts",
+      app: "backend/src/app.module.ts",
+      config: ["backend/src/config/configuration.ts"],
+      common: ["backend/src/common/filters/http-exception.filter.ts", "backend/src/common/decorators/roles.decorator.ts"],
+      modules: [
+        "backend/src/health/health.controller.ts",
+        "backend/src/auth/auth.module.ts",
+        "backend/src/auth/auth.controller.ts",
+        "backend/src/auth/auth.service.ts",
+        "backend/src/auth/jwt-auth.guard.ts",
+        "backend/src/auth/roles.guard.ts",
+        "backend/src/users/users.module.ts",
+        "backend/src/users/users.service.ts",
+        "backend/src/users/user.entity.ts",
+      ],
+    },
+  },
+  importPaths: {
+    "feature -> own files": "./",
+    "feature -> other feature": "../",
+    "feature -> common": "../common/",
+    "* -> config": "../config/configuration", // or adjust based on nesting level
+  },
+  rules: {
+    structure: `   - backend/src/main.ts (main entry, bootstraps AppModule; TypeScript compiled by the Nest CLI)
+   - backend/src/app.module.ts (root module importing every feature module)
+   - backend/src/config/configuration.ts (configuration)
+   - backend/src/<feature>/<feature>.module.ts, .controller.ts, .service.ts (one folder per feature)
+   - backend/src/<feature>/<feature>.entity.ts (TypeORM entities)
+   - backend/src/<feature>/dto/*.dto.ts (DTOs)
+   - backend/src/common/**/*.ts (filters, guards and decorators shared by features)`,
+    imports: `   - Use TypeScript import/export; relative imports have no extension
+   - Within a feature folder: './x.service', './dto/create-x.dto'
+   - From a feature folder: other features use '../users/users.service'
+   - From a feature folder: shared code uses '../common/...'
+   - From any: config use '../config/configuration' based on depth
+   - Repositories are injected with @InjectRepository(Entity), never created by hand`,
+    validation: "class-validator DTOs and a global ValidationPipe",
+  },
+  buildPrompt(config) {
+    const { features = [], multiTenant } = config;
+
+    return `1. backend/package.json - MUST include ALL these packages and scripts:
+${describePackageJson({ scripts: this.scripts, ...this.packages })}
+
+2. backend/src/main.ts - Entry point:
+   - import 'reflect-metadata';
+   - const app = await NestFactory.create(AppModule);
+   - app.use(helmet()); app.enableCors(...);
+   - app.setGlobalPrefix('api', { exclude: ['health'] });
+   - app.useGlobalPipes(new ValidationPipe({ whitelist: true, transform: true }));
+   - app.useGlobalFilters(new HttpExceptionFilter());
+   - app.enableShutdownHooks(); await app.listen(port)
+
+3. backend/tsconfig.json - module commonjs, target ES2021, outDir ./dist,
+   experimentalDecorators and emitDecoratorMetadata true
+
+4. backend/nest-cli.json - { "sourceRoot": "src" }
+
+5. backend/src/app.module.ts - Root module:
+   - ConfigModule.forRoot({ isGlobal: true, load: [configuration] })
+   - TypeOrmModule.forRootAsync with autoLoadEntities and the database settings from ConfigService
+   - ThrottlerModule for rate limiting
+   - Imports AuthModule, UsersModule and every feature module
+   - Controllers: HealthController
+
+6. backend/src/config/configuration.ts - export default () => ({ server: {port, env}, database: {...}, jwt: {...} })
+
+7. backend/src/common/filters/http-exception.filter.ts - Answers { success: false, error: { code, message } }
+
+8. backend/src/common/decorators/roles.decorator.ts - export const Roles = (...roles: string[]) => SetMetadata(...)
+
+9. backend/src/health/health.controller.ts - GET /health, answered without touching the database
+
+10. backend/src/auth/auth.module.ts - JwtModule.registerAsync, imports UsersModule
+
+11. backend/src/auth/jwt-auth.guard.ts and backend/src/auth/roles.guard.ts - CanActivate guards using JwtService
+
+12. backend/src/auth/auth.controller.ts - POST /auth/register, POST /auth/login, GET /auth/me
+
+13. backend/src/auth/auth.service.ts:
+    - import * as bcrypt from 'bcryptjs'; // NOTE: bcryptjs NOT bcrypt!
+
+14. backend/src/auth/dto/register.dto.ts and backend/src/auth/dto/login.dto.ts - class-validator DTOs
+
+15. backend/src/users/user.entity.ts - @Entity('users') User with uuid id, email, passwordHash, name, role
+
+16. backend/src/users/users.module.ts and backend/src/users/users.service.ts - TypeOrmModule.forFeature([User])
+
+${multiTenant ? "17. backend/src/common/guards/tenant.guard.ts - Multi-tenant isolation (organizationId from the JWT)" : ""}
+
+${describeFeatureFiles(this, features)}`;
+  },
+  dockerfile: [
+    "FROM node:20-alpine",
+    "WORKDIR /app",
+    "COPY package*.json ./",
+    "RUN npm ci",
+    "COPY . .",
+    "RUN npm run build",
+    "RUN npm prune --omit=dev",
+    "USER node",
+    "EXPOSE 5000",
+    'CMD ["node", "dist/main.js"]',
+  ],
+};
+
+const profiles = new Map([EXPRESS_SEQUELIZE, FASTIFY_PRISMA, NESTJS_TYPEORM].map((profile) => [profile.id, profile]));
+
+/**
+ * Get a stack profile
+ * @param {string} [id] - Stack id (default DEFAULT_STACK)
+ * @returns {StackProfile}
+ * @throws {StackProfileError} For an unknown id
+ */
+export function getStackProfile(id = DEFAULT_STACK) {
+  const profile = profiles.get(id || DEFAULT_STACK);
+  if (!profile) {
+    throw new StackProfileError(`Unknown stack: ${id}. Available: ${[...profiles.keys()].join(", ")}`);
+  }
+  return profile;
+}
+
+/**
+ * Every stack a project can select
+ * @returns {Object[]} - [{ id, name, description, framework, orm, language, default }]
+ */
+export function listStackProfiles() {
+  return [...profiles.values()].map(({ id, name, description, framework, orm, language }) => ({
+    id,
+    name,
+    description,
+    framework,
+    orm,
+    language,
+    default: id === DEFAULT_STACK,
+  }));
+}
+
+/**
+ * Add a stack profile, or replace the one with the same id
+ * @param {StackProfile} profile
+ * @throws {StackProfileError} When a field of StackProfile is missing
+ */
+export function registerStackProfile(profile) {
+  const missing = PROFILE_FIELDS.filter((field) => profile?.[field] === undefined);
+  if (missing.length > 0) {
+    throw new StackProfileError(`Stack profile ${profile?.id || "(no id)"} is missing: ${missing.join(", ")}`);
+  }
+  profiles.set(profile.id, profile);
+}
+
+export default {
+  DEFAULT_STACK,
+  StackProfileError,
+  getStackProfile,
+  listStackProfiles,
+  registerStackProfile,
+};
@@ -0,0 +1,74 @@
+/**
+ * Incremental parser for the ===FILE: path=== / ===END FILE=== response format.
+ *
+ * Engines stream completions in arbitrary chunks, so markers can be split
+ * across pushes. The parser buffers only what it cannot resolve yet and
+ * reports each file as soon as its start or end marker is complete.
+ */
+
+const FILE_START_REGEX = /===FILE:\s*([^\s=]+)\s*===\n/;
+const FILE_END_MARKER = "===END FILE===";
+
+/**
+ * @typedef {Object} StreamedFile
+ * @property {string} path - File path from the start marker
+ * @property {string} content - File content (trimmed like parseMultiFileResponse)
+ * @property {number} lines - Line count of the content
+ */
+
+/**
+ * Create a streaming file parser
+ * @param {Object} [handlers]
+ * @param {function(string): void} [handlers.onFileStarted] - Called with the path when a start marker completes
+ * @param {function(StreamedFile): void} [handlers.onFileCompleted] - Called when an end marker completes
+ * @returns {{push: function(string): void, pendingFile: function(): ({path: string, content: string}|null)}}
+ */
+export function createFileStreamParser({ onFileStarted = () => {}, onFileCompleted = () => {} } = {}) {
+  let buffer = "";
+  let currentPath = null;
+
+  function drain() {
+    for (;;) {
+      if (currentPath === null) {
+        const match = FILE_START_REGEX.exec(buffer);
+        if (!match) return;
+
+        currentPath = match[1].trim();
+        buffer = buffer.slice(match.index + match[0].length);
+        onFileStarted(currentPath);
+      } else {
+        const endIndex = buffer.indexOf(FILE_END_MARKER);
+        if (endIndex === -1) return;
+
+        const content = buffer.slice(0, endIndex).trim();
+        const filePath = currentPath;
+        buffer = buffer.slice(endIndex + FILE_END_MARKER.length);
+        currentPath = null;
+        onFileCompleted({ path: filePath, content, lines: content.split("\n").length });
+      }
+    }
+  }
+
+  return {
+    /**
+     * Feed the next chunk of streamed text
+     * @param {string} text
+     */
+    push(text) {
+      buffer += text;
+      drain();
+    },
+
+    /**
+     * Report the file still open at the end of the text pushed so far.
+     * Pushing more text afterwards (e.g. a continuation) is allowed.
+     * @returns {{path: string, content: string}|null} - The unterminated file, if any
+     */
+    pendingFile() {
+      if (currentPath === null) return null;
+      return { path: currentPath, content: buffer };
+    },
+  };
+}
+
+export default { createFileStreamParser };
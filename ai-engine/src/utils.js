@@ -156,9 +156,12 @@ export async function cleanupTestEnvironment(testDir) {
  * @param {string} code - The generated Express code
  * @param {string} testDir - Directory to run the server in
  * @param {number} port - Port to run the server on
- * @returns {Promise<{server: ChildProcess, port: number, success: boolean, error?: string}>}
+ * @param {string} [entry] - Path of the server file inside testDir (default "server.js"), for code
+ *   that requires files next to it
+ * @returns {Promise<{server: ChildProcess, port: number, success: boolean, error?: string, stderr: function(): string}>}
+ *   - stderr returns everything the server wrote to stderr so far
  */
-export async function createTestServer(code, testDir, port = 3456) {
+export async function createTestServer(code, testDir, port = 3456, entry = "server.js") {
   const { spawn } = await import("child_process");
 
   // Strip markdown code blocks if present (Claude sometimes adds them)
@@ -200,20 +203,23 @@ if (expressApp && typeof expressApp.listen === 'function') {
 }
 `;
 
-  const serverFile = join(testDir, "server.js");
+  const serverFile = join(testDir, entry);
   await writeFile(serverFile, wrappedCode);
 
   return new Promise((resolve) => {
     console.log(chalk.yellow(`🚀 Starting test server on port ${port}...`));
 
-    const serverProcess = spawn("node", ["server.js"], {
+    // Code that listens by itself gets PORT=0, a free port, so it never collides with TEST_PORT
+    // or with a deployed copy of the app
+    const serverProcess = spawn("node", [entry], {
       cwd: testDir,
-      env: { ...process.env, TEST_PORT: port.toString() },
+      env: { ...process.env, TEST_PORT: port.toString(), PORT: "0" },
       stdio: ["pipe", "pipe", "pipe"],
     });
 
     let started = false;
     let errorOutput = "";
+    const stderr = () => errorOutput;
 
     const timeout = setTimeout(() => {
       if (!started) {
@@ -223,6 +229,7 @@ if (expressApp && typeof expressApp.listen === 'function') {
           port,
           success: false,
           error: `Server failed to start within 10 seconds. Error: ${errorOutput}`,
+          stderr,
         });
       }
     }, 10000);
@@ -233,7 +240,7 @@ if (expressApp && typeof expressApp.listen === 'function') {
         started = true;
         clearTimeout(timeout);
         console.log(chalk.green(`✅ Test server running on port ${port}`));
-        resolve({ server: serverProcess, port, success: true });
+        resolve({ server: serverProcess, port, success: true, stderr });
       }
     });
 
@@ -248,6 +255,7 @@ if (expressApp && typeof expressApp.listen === 'function') {
         port,
         success: false,
         error: error.message,
+        stderr,
       });
     });
 
@@ -259,6 +267,7 @@ if (expressApp && typeof expressApp.listen === 'function') {
           port,
           success: false,
           error: `Server exited with code ${code}. Error: ${errorOutput}`,
+          stderr,
         });
       }
     });
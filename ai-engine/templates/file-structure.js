@@ -1,84 +1,16 @@
 /**
  * Standardized File Structure Map
  * This defines the EXACT file paths and structure for generated applications.
- * All generators MUST follow these paths exactly.
+ * All generators MUST follow these paths exactly. The backend part comes from
+ * the project's stack profile (see src/stackProfiles.js).
  */
 
-const FILE_STRUCTURE = {
-  // ============================================
-  // BACKEND FILES - Express.js API
-  // ============================================
-  backend: {
-    // Root files
-    root: [
-      'backend/package.json',
-      'backend/.env',
-      'backend/.env.example',
-      'backend/.gitignore'
-    ],
-
-    // Source directory
-    src: {
-      // Main entry point - CRITICAL
-      server: 'backend/src/server.js',
-
-      // Configuration
-      config: [
-        'backend/src/config/index.js',
-        'backend/src/config/database.js'
-      ],
-
-      // Routes - API endpoints
-      routes: [
-        'backend/src/routes/index.js',
-        'backend/src/routes/auth.js',
-        'backend/src/routes/users.js'
-        // Additional routes based on entities
-      ],
-
-      // Controllers - Request handlers
-      controllers: [
-        'backend/src/controllers/authController.js',
-        'backend/src/controllers/userController.js'
-        // Additional controllers based on entities
-      ],
-
-      // Services - Business logic
-      services: [
-        'backend/src/services/authService.js',
-        'backend/src/services/userService.js'
-        // Additional services based on entities
-      ],
-
-      // Models - Sequelize models
-      models: [
-        'backend/src/models/index.js',
-        'backend/src/models/User.js'
-        // Additional models based on entities
-      ],
-
-      // Middleware
-      middleware: [
-        'backend/src/middleware/auth.js',
-        'backend/src/middleware/errorHandler.js',
-        'backend/src/middleware/validator.js'
-      ],
-
-      // Utilities
-      utils: [
-        'backend/src/utils/logger.js',
-        'backend/src/utils/helpers.js',
-        'backend/src/utils/constants.js'
-      ]
-    },
-
-    // Database files
-    database: [
-      'backend/src/database/migrate.js',
-      'backend/src/database/seed.js'
-    ]
-  },
+import { getStackProfile } from '../src/stackProfiles.js';
 
+/**
+ * Everything but the backend, which is the same for every stack
+ */
+const SHARED_STRUCTURE = {
   // ============================================
   // FRONTEND FILES - Next.js 14 App Router
   // ============================================
@@ -190,72 +122,69 @@ const FILE_STRUCTURE = {
   ]
 };
 
+/**
+ * Complete file structure map of a stack
+ * @param {string} [stack] - Stack profile id (default: the default stack)
+ * @returns {Object}
+ */
+function getFileStructure(stack) {
+  return { backend: getStackProfile(stack).structure, ...SHARED_STRUCTURE };
+}
+
 /**
  * Import path mappings - CRITICAL for consistent imports
  * Maps from the file doing the import to the file being imported
+ * @param {string} [stack] - Stack profile id (default: the default stack)
+ * @returns {Object<string, string>}
  */
-const IMPORT_PATHS = {
-  // From routes, import controllers
-  'routes -> controllers': '../controllers/',
-
-  // From routes, import middleware
-  'routes -> middleware': '../middleware/',
-
-  // From controllers, import services
-  'controllers -> services': '../services/',
-
-  // From controllers, import models
-  'controllers -> models': '../models/',
-
-  // From services, import models
-  'services -> models': '../models/',
-
-  // From any file, import config
-  '* -> config': '../config/' // or adjust based on nesting level
-};
+function getImportPaths(stack) {
+  return getStackProfile(stack).importPaths;
+}
 
 /**
  * Critical files that MUST exist for the app to run
+ * @param {string} [stack] - Stack profile id (default: the default stack)
+ * @returns {{backend: string[], frontend: string[], database: string[]}}
  */
-const CRITICAL_FILES = {
-  backend: [
-    'backend/package.json',
-    'backend/src/server.js',
-    'backend/src/config/index.js',
-    'backend/src/routes/index.js',
-    'backend/src/models/index.js',
-    'backend/src/middleware/auth.js',
-    'backend/src/middleware/errorHandler.js'
-  ],
-  frontend: [
-    'frontend/package.json',
-    'frontend/app/layout.tsx',
-    'frontend/app/page.tsx',
-    'frontend/next.config.js',
-    'frontend/tailwind.config.js'
-  ],
-  database: [
-    'database/schema.sql'
-  ]
-};
+function getCriticalFiles(stack) {
+  return {
+    backend: getStackProfile(stack).criticalFiles,
+    frontend: [
+      'frontend/package.json',
+      'frontend/app/layout.tsx',
+      'frontend/app/page.tsx',
+      'frontend/next.config.js',
+      'frontend/tailwind.config.js'
+    ],
+    database: [
+      'database/schema.sql'
+    ]
+  };
+}
+
+// Maps of the default stack
+const FILE_STRUCTURE = getFileStructure();
+const IMPORT_PATHS = getImportPaths();
+const CRITICAL_FILES = getCriticalFiles();
 
 /**
  * Generate dynamic file paths based on entities
  * @param {string[]} entities - Array of entity names (e.g., ['User', 'Product', 'Order'])
+ * @param {string} [stack] - Stack profile id (default: the default stack)
  * @returns {Object} Complete file structure with entity-specific files
  */
-function generateFileStructure(entities = []) {
-  const structure = JSON.parse(JSON.stringify(FILE_STRUCTURE));
+function generateFileStructure(entities = [], stack) {
+  const profile = getStackProfile(stack);
+  const structure = JSON.parse(JSON.stringify(getFileStructure(stack)));
 
   entities.forEach(entity => {
     const entityLower = entity.toLowerCase();
     const entityCapital = entity.charAt(0).toUpperCase() + entity.slice(1);
 
     // Add backend files for entity
-    structure.backend.src.routes.push(`backend/src/routes/${entityLower}.js`);
-    structure.backend.src.controllers.push(`backend/src/controllers/${entityLower}Controller.js`);
-    structure.backend.src.services.push(`backend/src/services/${entityLower}Service.js`);
-    structure.backend.src.models.push(`backend/src/models/${entityCapital}.js`);
+    profile.entityFiles(entityCapital).forEach(({ section, path }) => {
+      (structure.backend.src[section] ||= []).push(path);
+    });
 
     // Add frontend files for entity
     structure.frontend.app[entityLower] = [
@@ -305,10 +234,25 @@ function isValidFilePath(filePath) {
   return validPrefixes.some(prefix => filePath.startsWith(prefix));
 }
 
-module.exports = {
+export {
+  FILE_STRUCTURE,
+  IMPORT_PATHS,
+  CRITICAL_FILES,
+  getFileStructure,
+  getImportPaths,
+  getCriticalFiles,
+  generateFileStructure,
+  flattenStructure,
+  isValidFilePath
+};
+
+export default {
   FILE_STRUCTURE,
   IMPORT_PATHS,
   CRITICAL_FILES,
+  getFileStructure,
+  getImportPaths,
+  getCriticalFiles,
   generateFileStructure,
   flattenStructure,
   isValidFilePath
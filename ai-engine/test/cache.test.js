@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+  cacheKey,
+  clearCache,
+  getCachedResponse,
+  pruneCache,
+  setCachedResponse,
+} from "../src/engines/cache.js";
+import { engines } from "../src/engines/index.js";
+import { GenerationPipeline } from "../src/pipeline.js";
+
+const RESULT = { content: "answer", tokens: { input: 10, output: 5 }, model: "claude-test", stopReason: "end_turn" };
+
+let cacheDir;
+
+beforeEach(() => {
+  cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "engine-cache-"));
+  process.env.ENGINE_CACHE_DIR = cacheDir;
+  delete process.env.ENGINE_CACHE;
+  delete process.env.ENGINE_CACHE_TTL_MS;
+});
+
+afterEach(() => {
+  delete process.env.ENGINE_CACHE_DIR;
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+describe("cacheKey", () => {
+  it("depends on engine, model, prompts and options, but not on their order or the signal", () => {
+    const key = cacheKey("claude", "prompt", { systemPrompt: "system", maxTokens: 100, temperature: 0 });
+
+    assert.equal(key, cacheKey("Claude", "prompt", { temperature: 0, maxTokens: 100, systemPrompt: "system" }));
+    const { signal } = new AbortController();
+    assert.equal(key, cacheKey("claude", "prompt", { systemPrompt: "system", maxTokens: 100, temperature: 0, signal }));
+    for (const other of [
+      cacheKey("cerebras", "prompt", { systemPrompt: "system", maxTokens: 100, temperature: 0 }),
+      cacheKey("claude", "prompt", { systemPrompt: "other", maxTokens: 100, temperature: 0 }),
+      cacheKey("claude", "prompt", { systemPrompt: "system", maxTokens: 200, temperature: 0 }),
+      cacheKey("claude", "prompt", { systemPrompt: "system", maxTokens: 100, temperature: 0, model: "other-model" }),
+    ]) {
+      assert.notEqual(other, key);
+    }
+  });
+});
+
+describe("response cache", () => {
+  it("serves a stored result to the same call only", () => {
+    setCachedResponse("claude", "prompt", { maxTokens: 100 }, RESULT);
+
+    const cached = getCachedResponse("claude", "prompt", { maxTokens: 100 });
+    assert.equal(cached.content, "answer");
+    assert.deepEqual(cached.tokens, RESULT.tokens);
+    assert.equal(cached.model, "claude-test");
+    assert.equal(cached.key, cacheKey("claude", "prompt", { maxTokens: 100 }));
+    assert.equal(getCachedResponse("claude", "prompt", { maxTokens: 200 }), null);
+    assert.equal(getCachedResponse("cerebras", "prompt", { maxTokens: 100 }), null);
+  });
+
+  it("stores nothing for the mock engine or with ENGINE_CACHE=off", () => {
+    setCachedResponse("mock", "prompt", {}, RESULT);
+    process.env.ENGINE_CACHE = "off";
+    setCachedResponse("claude", "prompt", {}, RESULT);
+
+    assert.deepEqual(fs.readdirSync(cacheDir), []);
+    assert.equal(getCachedResponse("claude", "prompt", {}), null);
+  });
+
+  it("drops expired and unreadable entries", () => {
+    setCachedResponse("claude", "prompt", {}, RESULT);
+    process.env.ENGINE_CACHE_TTL_MS = "0";
+    assert.equal(getCachedResponse("claude", "prompt", {}), null);
+    assert.deepEqual(fs.readdirSync(cacheDir), []);
+
+    delete process.env.ENGINE_CACHE_TTL_MS;
+    fs.writeFileSync(path.join(cacheDir, `${cacheKey("claude", "prompt", {})}.json`), "{ not json");
+    assert.equal(getCachedResponse("claude", "prompt", {}), null);
+    assert.deepEqual(fs.readdirSync(cacheDir), []);
+  });
+
+  it("evicts the least recently used entries past the size cap", () => {
+    for (const prompt of ["a", "b", "c"]) setCachedResponse("claude", prompt, {}, RESULT);
+    const files = ["a", "b", "c"].map((prompt) => path.join(cacheDir, `${cacheKey("claude", prompt, {})}.json`));
+    files.forEach((file, index) => fs.utimesSync(file, new Date(index * 1000), new Date(index * 1000)));
+    // "a" was read last
+    fs.utimesSync(files[0], new Date(), new Date());
+
+    const size = fs.statSync(files[0]).size;
+    const result = pruneCache({ dir: cacheDir, ttlMs: Infinity, maxBytes: size * 2 });
+
+    assert.deepEqual(result, { entries: 2, bytes: size * 2, removed: 1 });
+    assert.equal(fs.existsSync(files[1]), false);
+  });
+
+  it("clears every entry", () => {
+    setCachedResponse("claude", "prompt", {}, RESULT);
+    clearCache();
+    assert.equal(fs.existsSync(cacheDir), false);
+  });
+});
+
+describe("GenerationPipeline.runPhase cache", () => {
+  const originals = {};
+
+  beforeEach(() => {
+    process.env.ENGINE_MAX_RETRIES = "0";
+    for (const name of ["claude", "local"]) originals[name] = engines[name].generate;
+  });
+
+  afterEach(() => {
+    delete process.env.ENGINE_MAX_RETRIES;
+    for (const name of ["claude", "local"]) engines[name].generate = originals[name];
+  });
+
+  it("serves the phase engine's own answer from the cache", async () => {
+    let calls = 0;
+    engines.claude.generate = async () => {
+      calls++;
+      return RESULT;
+    };
+    const pipeline = new GenerationPipeline({ planning: "claude" });
+
+    assert.equal((await pipeline.runPhase("planning", "prompt")).cached, undefined);
+    const second = await pipeline.runPhase("planning", "prompt");
+    assert.equal(second.cached, true);
+    assert.equal(second.content, "answer");
+    assert.equal(calls, 1);
+  });
+
+  it("does not cache a fallback's answer under the phase engine", async () => {
+    engines.claude.generate = async () => {
+      throw Object.assign(new Error("Overloaded"), { status: 529 });
+    };
+    engines.local.generate = async () => ({ ...RESULT, content: "from local" });
+    const pipeline = new GenerationPipeline({ planning: "claude" }).withFallbacks(["local"]);
+
+    const first = await pipeline.runPhase("planning", "prompt");
+    assert.equal(first.engine, "local");
+    assert.deepEqual(fs.readdirSync(cacheDir), []);
+
+    engines.claude.generate = async () => ({ ...RESULT, content: "from claude" });
+    const second = await pipeline.runPhase("planning", "prompt");
+    assert.equal(second.engine, "claude");
+    assert.equal(second.content, "from claude");
+  });
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { checkGeneratedCode, checkSyntax, typeCheck } from "../src/codeCheck.js";
+
+describe("checkSyntax", () => {
+  it("accepts files that parse", () => {
+    assert.deepEqual(checkSyntax("backend/src/server.js", "const a = require('a');\nmodule.exports = a;"), []);
+    assert.deepEqual(checkSyntax("frontend/app/page.tsx", "export default () => <main>{1}</main>;"), []);
+    assert.deepEqual(checkSyntax("backend/package.json", '{"name": "api"}'), []);
+    assert.deepEqual(checkSyntax("database/schema.sql", "CREATE TABLE t (id INT, note TEXT DEFAULT 'a;(');"), []);
+  });
+
+  it("reports JavaScript syntax errors with their position", () => {
+    const [diagnostic] = checkSyntax("backend/src/server.js", "const a = 1;\nfunction (\n");
+    assert.equal(diagnostic.path, "backend/src/server.js");
+    assert.equal(diagnostic.line, 2);
+    assert.match(diagnostic.code, /^TS\d+$/);
+    assert.equal(diagnostic.source, "syntax");
+  });
+
+  it("reads JSON strictly but tsconfig.json as JSONC", () => {
+    const [diagnostic] = checkSyntax("backend/package.json", '{\n  "name": "api",\n}');
+    assert.equal(diagnostic.line, 3);
+    assert.equal(diagnostic.code, null);
+
+    assert.deepEqual(checkSyntax("frontend/tsconfig.json", '{\n  // comment\n  "compilerOptions": {},\n}'), []);
+  });
+
+  it("reports unterminated SQL strings and unbalanced parentheses", () => {
+    assert.match(checkSyntax("database/schema.sql", "INSERT INTO t VALUES ('a);")[0].message, /Unterminated/);
+    assert.deepEqual(
+      checkSyntax("database/schema.sql", "CREATE TABLE t (id INT;\nSELECT 1);)").map((d) => d.message),
+      ["Unmatched )"]
+    );
+    assert.deepEqual(checkSyntax("database/schema.sql", "CREATE TABLE t (\n  id INT\n;").map((d) => d.line), [1]);
+  });
+
+  it("ignores file types it has no parser for", () => {
+    assert.deepEqual(checkSyntax("README.md", "```js\nfunction (\n"), []);
+  });
+});
+
+describe("typeCheck", () => {
+  it("reports type errors of the frontend only", () => {
+    const diagnostics = typeCheck({
+      "frontend/lib/api.ts": "export const count: number = 'three';",
+      "backend/src/types.ts": "export const count: number = 'three';",
+    });
+
+    assert.deepEqual(
+      diagnostics.map(({ path, line, code, source }) => ({ path, line, code, source })),
+      [{ path: "frontend/lib/api.ts", line: 1, code: "TS2322", source: "types" }]
+    );
+  });
+
+  it("types package imports as any", () => {
+    const diagnostics = typeCheck({
+      "frontend/app/page.tsx": [
+        "import { useState } from 'react';",
+        "import { Widget } from 'some-package';",
+        "export default function Page() {",
+        "  const [value] = useState<string>('');",
+        "  return <Widget value={value} />;",
+        "}",
+      ].join("\n"),
+    });
+    assert.deepEqual(diagnostics, []);
+  });
+
+  it("resolves @/ imports between frontend files", () => {
+    const diagnostics = typeCheck({
+      "frontend/app/page.tsx": "import { api } from '@/lib/api';\nexport const name: string = api.count;",
+      "frontend/lib/api.ts": "export const api = { count: 3 };",
+    });
+    assert.deepEqual(
+      diagnostics.map((d) => [d.path, d.code]),
+      [["frontend/app/page.tsx", "TS2322"]]
+    );
+  });
+});
+
+describe("checkGeneratedCode", () => {
+  it("syntax-checks every file and type-checks the frontend files that parse", () => {
+    const result = checkGeneratedCode({
+      "backend/src/server.js": "module.exports = {",
+      "frontend/lib/api.ts": "export const count: number = 'three';",
+      "frontend/lib/broken.ts": "export const = 1;",
+      "README.md": "# App",
+    });
+
+    assert.equal(result.checked, 3);
+    assert.equal(result.typeChecked, true);
+    assert.deepEqual(Object.keys(result.diagnostics).sort(), [
+      "backend/src/server.js",
+      "frontend/lib/api.ts",
+      "frontend/lib/broken.ts",
+    ]);
+    assert.equal(result.diagnostics["frontend/lib/api.ts"][0].source, "types");
+    assert.ok(result.diagnostics["frontend/lib/broken.ts"].every((d) => d.source === "syntax"));
+  });
+
+  it("skips the type check when there is no frontend TypeScript", () => {
+    const result = checkGeneratedCode({ "backend/src/server.js": "module.exports = {};" });
+    assert.deepEqual(result, { diagnostics: {}, checked: 1, typeChecked: false });
+  });
+});
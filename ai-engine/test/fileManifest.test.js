@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createManifestStreamParser, parseFileManifest } from "../src/fileManifest.js";
+
+const manifest = (files) => JSON.stringify({ files });
+
+describe("parseFileManifest", () => {
+  it("reads every entry with its language, purpose and line count", () => {
+    const files = parseFileManifest(
+      manifest([
+        {
+          path: "backend/src/server.js",
+          language: "javascript",
+          content: "const a = 1;\nmodule.exports = a;\n",
+          purpose: "Entry point",
+        },
+        { path: "README.md", language: "markdown", content: "# Demo", purpose: "Docs" },
+      ])
+    );
+
+    assert.deepEqual(files, [
+      {
+        path: "backend/src/server.js",
+        content: "const a = 1;\nmodule.exports = a;",
+        language: "javascript",
+        purpose: "Entry point",
+        lines: 2,
+      },
+      { path: "README.md", content: "# Demo", language: "markdown", purpose: "Docs", lines: 1 },
+    ]);
+  });
+
+  it("keeps content that looks like file markers", () => {
+    const content = "===FILE: other.js===\nconst x = '===';\n===END FILE===";
+    const [file] = parseFileManifest(manifest([{ path: "a.js", language: "javascript", content, purpose: "" }]));
+    assert.equal(file.content, content);
+  });
+
+  it("drops absolute and escaping paths and normalizes the rest", () => {
+    const files = parseFileManifest(
+      manifest([
+        { path: "../outside.js", content: "x" },
+        { path: "src/../../outside.js", content: "x" },
+        { path: "/etc/passwd", content: "x" },
+        { path: "C:\\temp\\a.js", content: "x" },
+        { path: "./frontend\\app\\page.tsx", content: "x" },
+      ])
+    );
+    assert.deepEqual(
+      files.map((file) => file.path),
+      ["frontend/app/page.tsx"]
+    );
+  });
+
+  it("ignores text around the object and an entry left open", () => {
+    const complete = JSON.stringify({ path: "a.js", language: "javascript", content: "a", purpose: "" });
+    const response = '```json\n{"files": [' + complete + ', {"path": "b.js", "content": "cut of';
+
+    assert.deepEqual(
+      parseFileManifest(response).map((file) => file.path),
+      ["a.js"]
+    );
+  });
+
+  it("returns no files for an empty response", () => {
+    assert.deepEqual(parseFileManifest(""), []);
+    assert.deepEqual(parseFileManifest(null), []);
+  });
+});
+
+describe("createManifestStreamParser", () => {
+  it("reports each file as its path and then its entry complete across chunks", () => {
+    const events = [];
+    const parser = createManifestStreamParser({
+      onFileStarted: (filePath) => events.push(["started", filePath]),
+      onFileCompleted: (file) => events.push(["completed", file.path, file.content]),
+    });
+    const text = manifest([
+      { path: "a.js", language: "javascript", content: "const a = \"}\";", purpose: "" },
+      { path: "b.js", language: "javascript", content: "b", purpose: "" },
+    ]);
+
+    for (let i = 0; i < text.length; i += 7) parser.push(text.slice(i, i + 7));
+
+    assert.deepEqual(events, [
+      ["started", "a.js"],
+      ["completed", "a.js", 'const a = "}";'],
+      ["started", "b.js"],
+      ["completed", "b.js", "b"],
+    ]);
+  });
+
+  it("reports the open entry once its path is known", () => {
+    const parser = createManifestStreamParser();
+
+    parser.push('{"files": [{"path": "a.j');
+    assert.equal(parser.pendingFile(), null);
+
+    parser.push('s", "content": "par');
+    assert.deepEqual(parser.pendingFile(), { path: "a.js", content: '{"path": "a.js", "content": "par' });
+
+    parser.push('tial"}');
+    assert.equal(parser.pendingFile(), null);
+  });
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { resolveImport, validateImportGraph } from "../src/importGraph.js";
+
+describe("resolveImport", () => {
+  const existing = new Set([
+    "backend/src/config/index.js",
+    "backend/src/routes/users.js",
+    "frontend/lib/api.ts",
+    "frontend/components/Nav.tsx",
+  ]);
+
+  it("tries extensions and index files for relative imports", () => {
+    assert.deepEqual(resolveImport("backend/src/server.js", "./config", existing), {
+      base: "backend/src/config",
+      path: "backend/src/config/index.js",
+    });
+    assert.equal(resolveImport("backend/src/routes/index.js", "./users", existing).path, "backend/src/routes/users.js");
+  });
+
+  it("maps .js imports of TypeScript sources to the .ts file", () => {
+    assert.equal(resolveImport("frontend/app/page.tsx", "../lib/api.js", existing).path, "frontend/lib/api.ts");
+  });
+
+  it("resolves the @/ alias of a frontend without a tsconfig.json", () => {
+    assert.equal(
+      resolveImport("frontend/app/page.tsx", "@/components/Nav", existing).path,
+      "frontend/components/Nav.tsx"
+    );
+  });
+
+  it("resolves aliases from tsconfig.json paths", () => {
+    const files = { "frontend/tsconfig.json": JSON.stringify({ compilerOptions: { paths: { "~/*": ["./lib/*"] } } }) };
+    assert.equal(resolveImport("frontend/app/page.tsx", "~/api", existing, files).path, "frontend/lib/api.ts");
+  });
+
+  it("leaves package imports alone", () => {
+    assert.deepEqual(resolveImport("backend/src/server.js", "express", existing), { base: null, path: null });
+  });
+
+  it("returns no path when nothing exists at the base", () => {
+    assert.deepEqual(resolveImport("backend/src/server.js", "./missing", existing), {
+      base: "backend/src/missing",
+      path: null,
+    });
+  });
+});
+
+describe("validateImportGraph", () => {
+  it("accepts a graph whose imports all resolve", () => {
+    const result = validateImportGraph({
+      "backend/src/server.js": "const express = require('express');\nconst routes = require('./routes');",
+      "backend/src/routes/index.js": "module.exports = require('express').Router();",
+      "frontend/app/page.tsx": "import { api } from '@/lib/api';\nexport default function Page() { return api; }",
+      "frontend/lib/api.ts": "export const api = {};",
+    });
+    assert.deepEqual(result, { missingModules: [], missingExports: [] });
+  });
+
+  it("reports missing modules with the path they are expected at", () => {
+    const { missingModules } = validateImportGraph({
+      "backend/src/server.js": "const { authenticate } = require('./middleware/auth');",
+      "frontend/app/page.tsx": "import { Button } from '@/components/Button';",
+    });
+
+    assert.deepEqual(missingModules, [
+      {
+        from: "backend/src/server.js",
+        specifier: "./middleware/auth",
+        path: "backend/src/middleware/auth.js",
+        names: ["authenticate"],
+      },
+      {
+        from: "frontend/app/page.tsx",
+        specifier: "@/components/Button",
+        path: "frontend/components/Button.tsx",
+        names: ["Button"],
+      },
+    ]);
+  });
+
+  it("reports names the target module does not export", () => {
+    const { missingExports } = validateImportGraph({
+      "frontend/app/page.tsx": "import Api, { api, client } from '../lib/api';",
+      "frontend/lib/api.ts": "export const api = {};",
+    });
+
+    assert.deepEqual(missingExports, [
+      {
+        from: "frontend/app/page.tsx",
+        specifier: "../lib/api",
+        path: "frontend/lib/api.ts",
+        names: ["default", "client"],
+      },
+    ]);
+  });
+
+  it("follows export * re-exports", () => {
+    const { missingExports } = validateImportGraph({
+      "frontend/app/page.tsx": "import { api, missing } from '@/lib';",
+      "frontend/lib/index.ts": "export * from './api';",
+      "frontend/lib/api.ts": "export const api = {};",
+    });
+    assert.deepEqual(
+      missingExports.map((entry) => entry.names),
+      [["missing"]]
+    );
+  });
+
+  it("gives ES imports of a CommonJS module its module.exports as the default", () => {
+    const { missingExports } = validateImportGraph({
+      "backend/src/app.mjs": "import config from './config.js';",
+      "backend/src/server.js": "const { port, host } = require('./config');",
+      "backend/src/config.js": "module.exports = { port: 5000 };",
+    });
+
+    assert.deepEqual(missingExports, [
+      {
+        from: "backend/src/server.js",
+        specifier: "./config",
+        path: "backend/src/config.js",
+        names: ["host"],
+      },
+    ]);
+  });
+
+  it("resolves imports to known paths outside the map without checking them", () => {
+    const { missingModules } = validateImportGraph(
+      { "backend/src/server.js": "const db = require('./db');" },
+      { knownPaths: ["backend/src/db.js"] }
+    );
+    assert.deepEqual(missingModules, []);
+  });
+});
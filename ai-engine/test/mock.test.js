@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, describe, it } from "node:test";
+import { MockEngine, fixtureKey } from "../src/engines/mock.js";
+
+describe("MockEngine", () => {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "mock-fixtures-"));
+
+  after(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  it("replays a fixture by the key of its prompt and system prompt", async () => {
+    const key = fixtureKey("Generate files", "You are a generator");
+    fs.writeFileSync(
+      path.join(fixturesDir, `${key}.json`),
+      JSON.stringify({ key, content: "recorded", tokens: { input: 3, output: 1 }, model: "m", stopReason: "end_turn" })
+    );
+    const engine = new MockEngine({ fixturesDir });
+
+    const result = await engine.generate("Generate files", { systemPrompt: "You are a generator" });
+    assert.equal(result.content, "recorded");
+    assert.deepEqual(result.tokens, { input: 3, output: 1 });
+    await assert.rejects(engine.generate("Generate files"), /No mock fixture for key/);
+  });
+
+  it("fails only the call when the record engine is mock", async () => {
+    const engine = new MockEngine({ fixturesDir, mode: "record", recordEngine: "Mock" });
+
+    await assert.rejects(engine.generate("Generate files"), /MOCK_ENGINE_RECORD_ENGINE cannot be mock/);
+    assert.equal(fs.existsSync(path.join(fixturesDir, `${fixtureKey("Generate files")}.json`)), false);
+  });
+
+  it("leaves the engine registry importable when MOCK_ENGINE_RECORD_ENGINE=mock", async () => {
+    process.env.MOCK_ENGINE_RECORD_ENGINE = "mock";
+    try {
+      const { getEngine } = await import("../src/engines/index.js");
+      assert.equal(getEngine("mock").recordEngine, "mock");
+    } finally {
+      delete process.env.MOCK_ENGINE_RECORD_ENGINE;
+    }
+  });
+});
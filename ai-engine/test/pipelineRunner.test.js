@@ -0,0 +1,168 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  PipelineDefinitionError,
+  listPipelines,
+  loadPipelineByName,
+  runPipeline,
+  validatePipeline,
+} from "../src/pipelineRunner.js";
+
+// backend and frontend build on database; docs waits for both
+const DIAMOND = {
+  name: "diamond",
+  phases: [
+    { id: "docs", inputs: ["backend", "frontend"] },
+    { id: "backend", inputs: ["database"] },
+    { id: "frontend", inputs: ["database"] },
+    { id: "database" },
+  ],
+};
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe("validatePipeline", () => {
+  it("fills in defaults and orders phases after their inputs", () => {
+    const pipeline = validatePipeline(DIAMOND);
+
+    assert.equal(pipeline.mode, "batch");
+    assert.deepEqual(pipeline.order, ["database", "backend", "frontend", "docs"]);
+    assert.deepEqual(pipeline.phases[1], {
+      id: "backend",
+      label: "backend",
+      prompt: "backend",
+      inputs: ["database"],
+      outputs: [],
+      engineKey: null,
+      engine: null,
+      weight: 1,
+      systemPrompt: null,
+    });
+  });
+
+  it("rejects cycles, unknown inputs, duplicate ids and unknown modes", () => {
+    const cases = [
+      [{ phases: [{ id: "a", inputs: ["b"] }, { id: "b", inputs: ["a"] }] }, /Dependency cycle: a → b → a/],
+      [{ phases: [{ id: "a", inputs: ["missing"] }] }, /unknown phase: missing/],
+      [{ phases: [{ id: "a" }, { id: "a" }] }, /Duplicate phase id: a/],
+      [{ mode: "parallel", phases: [{ id: "a" }] }, /Unknown pipeline mode: parallel/],
+      [{ phases: [] }, /at least one phase/],
+    ];
+
+    for (const [definition, message] of cases) {
+      assert.throws(() => validatePipeline(definition), (error) => {
+        assert.ok(error instanceof PipelineDefinitionError);
+        assert.equal(error.code, "INVALID_PIPELINE");
+        assert.match(error.message, message);
+        return true;
+      });
+    }
+  });
+});
+
+describe("loadPipelineByName", () => {
+  it("loads the built-in pipelines by name", () => {
+    const names = listPipelines().map((pipeline) => pipeline.name);
+    assert.ok(names.includes("fullstack"));
+    assert.equal(loadPipelineByName("fullstack").name, "fullstack");
+  });
+
+  it("rejects paths and names that are not listed", () => {
+    for (const name of ["../pipelines/fullstack", "fullstack.json", "/etc/passwd", "missing", undefined]) {
+      assert.throws(() => loadPipelineByName(name), PipelineDefinitionError);
+    }
+  });
+});
+
+describe("runPipeline", () => {
+  it("runs each phase after its inputs with their outputs, independent phases in parallel", async () => {
+    const events = [];
+    const result = await runPipeline(validatePipeline(DIAMOND), async (phase, inputs) => {
+      events.push(`start ${phase.id}`);
+      await tick();
+      events.push(`end ${phase.id}`);
+      return { id: phase.id, inputs: Object.keys(inputs) };
+    });
+
+    assert.deepEqual(events, [
+      "start database",
+      "end database",
+      "start backend",
+      "start frontend",
+      "end backend",
+      "end frontend",
+      "start docs",
+      "end docs",
+    ]);
+    assert.deepEqual(result.outputs.docs, { id: "docs", inputs: ["backend", "frontend"] });
+    assert.deepEqual(result.failed, {});
+    assert.deepEqual(result.halted, []);
+  });
+
+  it("keeps at most `concurrency` phases running", async () => {
+    let running = 0;
+    let most = 0;
+    const pipeline = validatePipeline({ phases: ["a", "b", "c", "d"].map((id) => ({ id })) });
+
+    await runPipeline(
+      pipeline,
+      async () => {
+        most = Math.max(most, ++running);
+        await tick();
+        running--;
+      },
+      { concurrency: 2 }
+    );
+    assert.equal(most, 2);
+  });
+
+  it("skips everything downstream of a failed phase and keeps independent phases running", async () => {
+    const pipeline = validatePipeline({
+      phases: [
+        { id: "database" },
+        { id: "backend", inputs: ["database"] },
+        { id: "docs", inputs: ["backend"] },
+        { id: "assets" },
+      ],
+    });
+    const ran = [];
+
+    const result = await runPipeline(pipeline, async (phase) => {
+      ran.push(phase.id);
+      if (phase.id === "database") throw new Error("engine down");
+      return phase.id;
+    });
+
+    assert.deepEqual(ran.sort(), ["assets", "database"]);
+    assert.equal(result.failed.database.message, "engine down");
+    assert.deepEqual(result.skipped, { backend: "database", docs: "backend" });
+    assert.deepEqual(result.outputs, { assets: "assets" });
+  });
+
+  it("starts no new phases after a halt", async () => {
+    const result = await runPipeline(validatePipeline(DIAMOND), async (phase, inputs, control) => {
+      if (phase.id === "backend") control.halt("Budget exceeded");
+      await tick();
+      return phase.id;
+    });
+
+    assert.equal(result.haltReason, "Budget exceeded");
+    assert.deepEqual(Object.keys(result.outputs).sort(), ["backend", "database", "frontend"]);
+    assert.deepEqual(result.halted, ["docs"]);
+  });
+
+  it("halts on the first failure with haltOnFailure", async () => {
+    const pipeline = validatePipeline({ phases: [{ id: "a" }, { id: "b" }] });
+
+    const result = await runPipeline(
+      pipeline,
+      async (phase) => {
+        throw new Error(`${phase.id} broke`);
+      },
+      { concurrency: 1, haltOnFailure: true }
+    );
+
+    assert.equal(result.haltReason, "a failed: a broke");
+    assert.deepEqual(result.halted, ["b"]);
+  });
+});
@@ -0,0 +1,379 @@
+/**
+ * Record the engine fixtures that replay.test.js replays.
+ *
+ * Fixture keys hash the system prompt and the prompt, so a change to a
+ * prompt of the fullstack pipeline needs new fixtures:
+ *
+ *   npm run test:record-fixtures
+ *
+ * The mock engine runs in record mode against the local engine, which talks
+ * to an OpenAI-compatible stub started here. The stub answers each phase
+ * prompt with the same small app, so re-recording only changes the keys.
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { REPLAY_CONFIG, REPLAY_ENV, REPLAY_PIPELINE } from "./replayConfig.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures", "engine-responses");
+
+// One ===FILE: block of a response
+const file = (filePath, content) => `===FILE: ${filePath}===\n${content.trim()}\n===END FILE===\n`;
+
+const BACKEND = [
+  file("backend/package.json", JSON.stringify({
+    name: "demo-crm-backend",
+    version: "1.0.0",
+    main: "src/server.js",
+    scripts: { start: "node src/server.js", dev: "node --watch src/server.js" },
+    dependencies: {
+      bcryptjs: "^2.4.3", cors: "^2.8.5", dotenv: "^16.3.1", express: "^4.18.2",
+      "express-rate-limit": "^7.1.5", "express-validator": "^7.0.1", helmet: "^7.1.0",
+      jsonwebtoken: "^9.0.2", pg: "^8.11.3", sequelize: "^6.35.2", uuid: "^9.0.1", winston: "^3.11.0",
+    },
+    devDependencies: { jest: "^29.7.0", supertest: "^6.3.3" },
+  }, null, 2)),
+  file("backend/src/server.js", `
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const config = require('./config');
+const routes = require('./routes');
+const { errorHandler } = require('./middleware/errorHandler');
+
+const app = express();
+
+app.use(helmet());
+app.use(cors({ origin: config.corsOrigin }));
+app.use(express.json());
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+app.use('/api', routes);
+app.use(errorHandler);
+
+app.listen(config.port, () => {
+  console.log(\`Demo CRM API listening on port \${config.port}\`);
+});
+
+module.exports = app;
+`),
+  file("backend/src/config/index.js", `
+module.exports = {
+  port: Number(process.env.PORT) || 5000,
+  corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+  jwt: {
+    secret: process.env.JWT_SECRET || 'change-me',
+    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+  },
+};
+`),
+  file("backend/src/routes/index.js", `
+const express = require('express');
+const contactRoutes = require('./contactRoutes');
+
+const router = express.Router();
+
+router.use('/contacts', contactRoutes);
+
+module.exports = router;
+`),
+  file("backend/src/routes/contactRoutes.js", `
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const contactController = require('../controllers/contactController');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.get('/', contactController.list);
+router.post('/', body('name').isString().notEmpty(), body('email').isEmail(), contactController.create);
+
+module.exports = router;
+`),
+  file("backend/src/controllers/contactController.js", `
+const { validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+
+const contacts = [];
+
+exports.list = (req, res) => {
+  res.json({ success: true, data: contacts });
+};
+
+exports.create = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  const contact = { id: uuidv4(), name: req.body.name, email: req.body.email };
+  contacts.push(contact);
+  res.status(201).json({ success: true, data: contact });
+};
+`),
+  file("backend/src/middleware/auth.js", `
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+exports.authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  try {
+    req.user = jwt.verify(token, config.jwt.secret);
+    next();
+  } catch (error) {
+    res.status(401).json({ success: false, error: 'Invalid token' });
+  }
+};
+`),
+  file("backend/src/middleware/errorHandler.js", `
+exports.errorHandler = (err, req, res, next) => {
+  console.error(err);
+  res.status(err.status || 500).json({ success: false, error: err.message || 'Internal server error' });
+};
+`),
+].join("\n");
+
+const DATABASE = [
+  file("database/schema.sql", `
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+CREATE TABLE users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE contacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_contacts_user_id ON contacts(user_id);
+`),
+].join("\n");
+
+const FRONTEND = [
+  file("frontend/package.json", JSON.stringify({
+    name: "demo-crm-frontend",
+    version: "1.0.0",
+    private: true,
+    scripts: { dev: "next dev", build: "next build", start: "next start" },
+    dependencies: { next: "14.0.4", react: "^18.2.0", "react-dom": "^18.2.0" },
+    devDependencies: { tailwindcss: "^3.3.0", typescript: "^5.3.0" },
+  }, null, 2)),
+  file("frontend/app/layout.tsx", `
+import type { ReactNode } from 'react';
+import './globals.css';
+
+export const metadata = {
+  title: 'Demo CRM',
+  description: 'A small CRM to track contacts and deals',
+};
+
+export default function RootLayout({ children }: { children: ReactNode }) {
+  return (
+    <html lang="en">
+      <body>{children}</body>
+    </html>
+  );
+}
+`),
+  file("frontend/app/page.tsx", `
+import { ContactList } from '@/components/ContactList';
+
+export default function Home() {
+  return (
+    <main className="p-8">
+      <h1 className="text-2xl font-bold">Demo CRM</h1>
+      <ContactList />
+    </main>
+  );
+}
+`),
+  file("frontend/components/ContactList.tsx", `
+'use client';
+
+import { useEffect, useState } from 'react';
+import { api } from '@/lib/api';
+
+interface Contact {
+  id: string;
+  name: string;
+  email: string;
+}
+
+export function ContactList() {
+  const [contacts, setContacts] = useState<Contact[]>([]);
+
+  useEffect(() => {
+    api.get('/contacts').then((result: { data: Contact[] }) => setContacts(result.data));
+  }, []);
+
+  return (
+    <ul className="mt-4 space-y-2">
+      {contacts.map((contact) => (
+        <li key={contact.id}>
+          {contact.name} ({contact.email})
+        </li>
+      ))}
+    </ul>
+  );
+}
+`),
+  file("frontend/lib/api.ts", `
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000';
+
+export const api = {
+  async get(path: string) {
+    const response = await fetch(\`\${API_URL}/api\${path}\`);
+    return response.json();
+  },
+};
+`),
+  file("frontend/app/globals.css", `
+@tailwind base;
+@tailwind components;
+@tailwind utilities;
+`),
+  file("frontend/tailwind.config.js", `
+module.exports = {
+  content: ['./app/**/*.{ts,tsx}', './components/**/*.{ts,tsx}'],
+  theme: { extend: {} },
+  plugins: [],
+};
+`),
+].join("\n");
+
+const INFRASTRUCTURE = [
+  file("docker-compose.yml", `
+services:
+  postgres:
+    image: postgres:16-alpine
+    environment:
+      POSTGRES_PASSWORD: postgres
+      POSTGRES_DB: demo_crm
+    ports:
+      - "5432:5432"
+  backend:
+    build: ./backend
+    ports:
+      - "5000:5000"
+    depends_on:
+      - postgres
+  frontend:
+    build: ./frontend
+    ports:
+      - "3000:3000"
+    depends_on:
+      - backend
+`),
+  file("backend/Dockerfile", `
+FROM node:20-alpine
+WORKDIR /app
+COPY package*.json ./
+RUN npm install --production
+COPY . .
+EXPOSE 5000
+CMD ["node", "src/server.js"]
+`),
+].join("\n");
+
+const DOCUMENTATION = file("README.md", `
+# Demo CRM
+
+A small CRM to track contacts and deals.
+
+## Tech stack
+
+Node.js, Express, Next.js, PostgreSQL, Sequelize
+
+## Quick start
+
+1. \`docker compose up\`
+2. Open http://localhost:3000
+`);
+
+// What the stub answers each phase prompt with, by the prompt's first words
+const ANSWERS = [
+  ["Generate COMPLETE backend files", BACKEND],
+  ["Generate COMPLETE PostgreSQL database files", DATABASE],
+  ["Generate COMPLETE Next.js 14 frontend files", FRONTEND],
+  ["Generate infrastructure files", INFRASTRUCTURE],
+  ["Generate documentation files", DOCUMENTATION],
+];
+
+/**
+ * Start the OpenAI-compatible stub on a free port
+ * @returns {Promise<http.Server>}
+ */
+function startStub() {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const prompt = JSON.parse(body).messages.at(-1).content;
+      const answer = ANSWERS.find(([start]) => prompt.startsWith(start));
+      if (!answer) {
+        // Repair and retry prompts mean the app above no longer satisfies the generator
+        console.error(`Unexpected prompt: ${prompt.slice(0, 200)}`);
+        res.writeHead(400, { "content-type": "application/json" });
+        res.end(JSON.stringify({ error: { message: "Unexpected prompt" } }));
+        return;
+      }
+
+      const content = answer[1];
+      res.setHeader("content-type", "application/json");
+      res.end(
+        JSON.stringify({
+          model: "local-model",
+          choices: [{ message: { content }, finish_reason: "stop" }],
+          usage: { prompt_tokens: Math.ceil(prompt.length / 4), completion_tokens: Math.ceil(content.length / 4) },
+        })
+      );
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+const server = await startStub();
+Object.assign(process.env, REPLAY_ENV, {
+  MOCK_ENGINE_MODE: "record",
+  MOCK_ENGINE_RECORD_ENGINE: "local",
+  OPENAI_COMPAT_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+  OPENAI_COMPAT_STRUCTURED_OUTPUT: "false",
+});
+
+try {
+  for (const fileName of fs.existsSync(FIXTURES_DIR) ? fs.readdirSync(FIXTURES_DIR) : []) {
+    if (fileName.endsWith(".json")) fs.rmSync(path.join(FIXTURES_DIR, fileName));
+  }
+
+  // Imported once the environment is set: engines read it when they are created
+  const { generateMultipleFiles } = await import("../src/multiFileGenerator.js");
+  const result = await generateMultipleFiles(REPLAY_CONFIG, null, { engine: "mock", pipeline: REPLAY_PIPELINE });
+
+  const failed = result.phases.filter((phase) => phase.error);
+  if (failed.length > 0) {
+    throw new Error(`Phases failed: ${failed.map((phase) => `${phase.phase} (${phase.error})`).join(", ")}`);
+  }
+  console.log(`Recorded ${fs.readdirSync(FIXTURES_DIR).length} fixtures in ${FIXTURES_DIR}`);
+} finally {
+  server.close();
+}
@@ -0,0 +1,89 @@
+/**
+ * A full generation replayed from fixtures/engine-responses by the mock
+ * engine: no API key and no network. When a prompt changes, re-record the
+ * fixtures with `npm run test:record-fixtures`.
+ */
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { REPLAY_CONFIG, REPLAY_ENV, REPLAY_PIPELINE } from "./replayConfig.js";
+
+const EXPECTED_FILES = {
+  backend: [
+    "backend/package.json",
+    "backend/src/server.js",
+    "backend/src/config/index.js",
+    "backend/src/routes/index.js",
+    "backend/src/routes/contactRoutes.js",
+    "backend/src/controllers/contactController.js",
+    "backend/src/middleware/auth.js",
+    "backend/src/middleware/errorHandler.js",
+  ],
+  database: ["database/schema.sql"],
+  frontend: [
+    "frontend/package.json",
+    "frontend/app/layout.tsx",
+    "frontend/app/page.tsx",
+    "frontend/components/ContactList.tsx",
+    "frontend/lib/api.ts",
+    "frontend/app/globals.css",
+    "frontend/tailwind.config.js",
+  ],
+  infrastructure: ["docker-compose.yml", "backend/Dockerfile"],
+  documentation: ["README.md"],
+};
+
+let generateMultipleFiles;
+
+before(async () => {
+  Object.assign(process.env, REPLAY_ENV, { MOCK_ENGINE_MODE: "replay" });
+  // Imported once the environment is set: engines read it when they are created
+  ({ generateMultipleFiles } = await import("../src/multiFileGenerator.js"));
+});
+
+describe("generateMultipleFiles replayed from fixtures", () => {
+  it("generates every file of the fullstack pipeline", async () => {
+    const { files, stats, phases } = await generateMultipleFiles(REPLAY_CONFIG, null, {
+      engine: "mock",
+      pipeline: REPLAY_PIPELINE,
+    });
+
+    assert.deepEqual(
+      phases.filter((phase) => phase.error),
+      []
+    );
+    assert.deepEqual(Object.keys(files).sort(), Object.values(EXPECTED_FILES).flat().sort());
+
+    assert.equal(stats.pipeline, REPLAY_PIPELINE);
+    assert.equal(stats.totalFiles, 19);
+    assert.equal(stats.cost, 0);
+    assert.equal(stats.cacheHits, 0);
+    for (const phase of stats.phases) {
+      assert.equal(phase.engine, "mock");
+      assert.equal(phase.filesGenerated, EXPECTED_FILES[phase.phase].length, phase.phase);
+      assert.equal(phase.outputFormat, "markers");
+      assert.equal(phase.continuations, 0);
+      assert.equal(phase.importRepair.unresolved, 0);
+      assert.equal(phase.validation.errors, 0);
+    }
+    assert.equal(stats.phases.find((phase) => phase.phase === "frontend").validation.typeChecked, true);
+
+    const backendPackage = JSON.parse(files["backend/package.json"]);
+    assert.equal(backendPackage.main, "src/server.js");
+    assert.ok(backendPackage.dependencies.express);
+    assert.match(files["database/schema.sql"], /CREATE TABLE contacts/);
+  });
+
+  it("fails the phases whose prompts have no fixture", async () => {
+    const { files, phases } = await generateMultipleFiles({ ...REPLAY_CONFIG, name: "Other CRM" }, null, {
+      engine: "mock",
+      pipeline: REPLAY_PIPELINE,
+    });
+
+    assert.deepEqual(files, {});
+    for (const phase of ["backend", "database"]) {
+      assert.match(phases.find((entry) => entry.phase === phase).error, /No mock fixture/);
+    }
+    assert.ok(phases.every((phase) => phase.error));
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Generation that the recorded engine fixtures answer (see recordFixtures.js).
+ * Fixture keys hash the prompts, so any change here needs new fixtures.
+ */
+
+export const REPLAY_PIPELINE = "fullstack";
+
+export const REPLAY_CONFIG = {
+  name: "Demo CRM",
+  description: "A small CRM to track contacts and deals",
+  features: ["contacts"],
+  multiTenant: false,
+  authentication: "basic",
+};
+
+/**
+ * Environment for a run against the fixtures: nothing cached on disk, no
+ * fallback to a real engine, and no ai-engine/.env setting in the way
+ * (dotenv does not override variables that are already set)
+ */
+export const REPLAY_ENV = {
+  ENGINE_CACHE: "off",
+  ENGINE_FALLBACKS: "",
+  ENGINE_OUTPUT_FORMAT: "",
+  MOCK_ENGINE_FIXTURES_DIR: "",
+};
@@ -0,0 +1,207 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  EngineUnavailableError,
+  callWithResilience,
+  getBackoffDelay,
+  getCircuitStates,
+  isRetryableError,
+} from "../src/engines/resilience.js";
+
+// No real waits: backoff is 0 and an open circuit cools down in 20ms
+const POLICY = { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 0, circuitThreshold: 2, circuitCooldownMs: 20 };
+
+const failure = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call function that answers from a list of outcomes per engine (an Error is thrown)
+ * and records which engines were called
+ */
+function scripted(outcomes) {
+  const calls = [];
+  const call = async (engine, engineName) => {
+    calls.push(engineName);
+    const outcome = outcomes[engineName].shift();
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  };
+  return { call, calls };
+}
+
+async function run(chain, outcomes, policy = POLICY) {
+  const events = [];
+  const { call, calls } = scripted(outcomes);
+  const result = await callWithResilience(chain, call, { policy, onEvent: (event) => events.push(event) });
+  return { ...result, calls, events };
+}
+
+// Close a circuit again: wait out its cooldown and let a trial succeed
+async function closeCircuit(engineName) {
+  await wait(POLICY.circuitCooldownMs + 5);
+  await run([engineName], { [engineName]: ["ok"] });
+}
+
+describe("isRetryableError", () => {
+  it("retries rate limits, server errors and connection errors only", () => {
+    for (const error of [failure(429), failure(503), failure(529), failure(599), { code: "ECONNRESET" }]) {
+      assert.equal(isRetryableError(error), true);
+    }
+    for (const error of [failure(400), failure(401), failure(404), new Error("Invalid JSON")]) {
+      assert.equal(isRetryableError(error), false);
+    }
+  });
+});
+
+describe("getBackoffDelay", () => {
+  const policy = { baseDelayMs: 100, maxDelayMs: 250 };
+
+  it("backs off exponentially with jitter, up to the ceiling", () => {
+    for (let i = 0; i < 50; i++) {
+      assert.ok(getBackoffDelay(0, failure(503), policy) <= 100);
+      assert.ok(getBackoffDelay(1, failure(503), policy) <= 200);
+      assert.ok(getBackoffDelay(5, failure(503), policy) <= 250);
+    }
+  });
+
+  it("takes retry-after headers first, capped by the ceiling", () => {
+    const limited = (headers) => Object.assign(failure(429), { headers });
+    assert.equal(getBackoffDelay(0, limited({ "retry-after-ms": "120" }), policy), 120);
+    assert.equal(getBackoffDelay(0, limited({ "retry-after": "10" }), policy), 250);
+    assert.equal(getBackoffDelay(0, limited(new Headers({ "retry-after": "0.2" })), policy), 200);
+  });
+});
+
+describe("callWithResilience", () => {
+  it("retries retryable failures on the same engine and reports each retry", async () => {
+    const { result, engine, calls, events } = await run(
+      ["mock"],
+      { mock: [failure(503), failure(429), "ok"] },
+      { ...POLICY, circuitThreshold: 10 }
+    );
+
+    assert.equal(result, "ok");
+    assert.equal(engine, "mock");
+    assert.deepEqual(calls, ["mock", "mock", "mock"]);
+    assert.deepEqual(
+      events.map(({ type, attempt }) => [type, attempt]),
+      [
+        ["engine_retry", 1],
+        ["engine_retry", 2],
+      ]
+    );
+  });
+
+  it("falls back along the chain in order once an engine is out of retries", async () => {
+    const { result, engine, calls, events } = await run(
+      ["claude", "Cerebras", "claude", "local"],
+      { claude: [failure(500), failure(500)], cerebras: [failure(503), failure(503)], local: ["ok"] },
+      { ...POLICY, maxRetries: 1, circuitThreshold: 10 }
+    );
+
+    assert.equal(result, "ok");
+    assert.equal(engine, "local");
+    assert.deepEqual(calls, ["claude", "claude", "cerebras", "cerebras", "local"]);
+    assert.deepEqual(
+      events.filter((event) => event.type === "engine_fallback").map(({ engine: from, to }) => [from, to]),
+      [
+        ["claude", "cerebras"],
+        ["cerebras", "local"],
+      ]
+    );
+  });
+
+  it("throws EngineUnavailableError with the last failure when the whole chain fails", async () => {
+    await assert.rejects(
+      run(["claude", "cerebras"], { claude: [failure(503)], cerebras: [failure(502, "Bad gateway")] }, {
+        ...POLICY,
+        maxRetries: 0,
+        circuitThreshold: 10,
+      }),
+      (error) => {
+        assert.ok(error instanceof EngineUnavailableError);
+        assert.deepEqual(error.chain, ["claude", "cerebras"]);
+        assert.equal(error.status, 502);
+        assert.match(error.message, /All engines failed \(claude → cerebras\): Bad gateway/);
+        return true;
+      }
+    );
+  });
+
+  it("rethrows a non-retryable failure without retrying or falling back", async () => {
+    const events = [];
+    const { call, calls } = scripted({ claude: [failure(400, "Bad request")], cerebras: ["ok"] });
+
+    await assert.rejects(
+      callWithResilience(["claude", "cerebras"], call, { policy: POLICY, onEvent: (event) => events.push(event) }),
+      (error) => error.status === 400 && !(error instanceof EngineUnavailableError)
+    );
+    assert.deepEqual(calls, ["claude"]);
+    assert.deepEqual(events, []);
+  });
+
+  it("opens the circuit on repeated retryable failures only", async () => {
+    await run(["cerebras"], { cerebras: ["ok"] });
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(run(["cerebras"], { cerebras: [failure(400)] }), { status: 400 });
+    }
+    assert.deepEqual(getCircuitStates().cerebras, { state: "closed", failures: 0, reopensInMs: 0 });
+
+    await assert.rejects(run(["cerebras"], { cerebras: [failure(503), failure(503)] }), EngineUnavailableError);
+    assert.equal(getCircuitStates().cerebras.state, "open");
+
+    // An open circuit skips the engine without calling it
+    const { engine, calls, events } = await run(["cerebras", "local"], { cerebras: [], local: ["ok"] });
+    assert.equal(engine, "local");
+    assert.deepEqual(calls, ["local"]);
+    assert.equal(events[0].type, "engine_circuit_open");
+
+    await closeCircuit("cerebras");
+    assert.equal(getCircuitStates().cerebras.state, "closed");
+  });
+
+  it("lets a single trial through a half-open circuit", async () => {
+    await run(["claude"], { claude: ["ok"] });
+    await assert.rejects(run(["claude"], { claude: [failure(503), failure(503)] }), EngineUnavailableError);
+    await wait(POLICY.circuitCooldownMs + 5);
+    assert.equal(getCircuitStates().claude.state, "half-open");
+
+    // While the trial is in flight, other calls skip the engine
+    let finishTrial;
+    const trial = callWithResilience(["claude"], () => new Promise((resolve) => (finishTrial = resolve)), {
+      policy: POLICY,
+    });
+    await wait(0);
+    const { engine } = await run(["claude", "local"], { claude: [], local: ["ok"] });
+    assert.equal(engine, "local");
+
+    finishTrial("ok");
+    assert.deepEqual(await trial, { result: "ok", engine: "claude" });
+    assert.equal(getCircuitStates().claude.state, "closed");
+  });
+
+  it("reopens the circuit at once when the trial fails", async () => {
+    await assert.rejects(run(["local"], { local: [failure(503), failure(503)] }), EngineUnavailableError);
+    await wait(POLICY.circuitCooldownMs + 5);
+
+    const { call, calls } = scripted({ local: [failure(503), "ok"] });
+    await assert.rejects(callWithResilience(["local"], call, { policy: POLICY }), EngineUnavailableError);
+    assert.deepEqual(calls, ["local"]);
+    assert.equal(getCircuitStates().local.state, "open");
+
+    await closeCircuit("local");
+    assert.equal(getCircuitStates().local.state, "closed");
+  });
+
+  it("does not count a non-retryable trial, so the next call is the trial", async () => {
+    await assert.rejects(run(["mock"], { mock: [failure(503), failure(503)] }), EngineUnavailableError);
+    await wait(POLICY.circuitCooldownMs + 5);
+
+    await assert.rejects(run(["mock"], { mock: [failure(400)] }), { status: 400 });
+    assert.equal(getCircuitStates().mock.state, "half-open");
+
+    const { engine } = await run(["mock"], { mock: ["ok"] });
+    assert.equal(engine, "mock");
+    assert.equal(getCircuitStates().mock.state, "closed");
+  });
+});
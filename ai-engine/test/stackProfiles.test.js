@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DEFAULT_STACK,
+  StackProfileError,
+  getStackProfile,
+  listStackProfiles,
+  registerStackProfile,
+} from "../src/stackProfiles.js";
+
+const BUILT_IN = ["express-sequelize", "fastify-prisma", "nestjs-typeorm"];
+
+describe("getStackProfile", () => {
+  it("falls back to the default stack when none is named", () => {
+    assert.equal(DEFAULT_STACK, "express-sequelize");
+    assert.equal(getStackProfile().id, DEFAULT_STACK);
+    assert.equal(getStackProfile(null).id, DEFAULT_STACK);
+    assert.equal(getStackProfile("").id, DEFAULT_STACK);
+  });
+
+  it("rejects an unknown stack and lists the available ones", () => {
+    assert.throws(() => getStackProfile("django"), (error) => {
+      assert.ok(error instanceof StackProfileError);
+      assert.equal(error.code, "INVALID_STACK");
+      assert.match(error.message, /Unknown stack: django\. Available: express-sequelize, fastify-prisma/);
+      return true;
+    });
+  });
+
+  it("gives every built-in stack a consistent profile", () => {
+    for (const id of BUILT_IN) {
+      const profile = getStackProfile(id);
+
+      assert.ok(profile.criticalFiles.includes(profile.entry), `${id}: the entry is a critical file`);
+      assert.ok(profile.criticalFiles.includes("backend/package.json"), `${id}: package.json is critical`);
+      for (const file of profile.entityFiles("Order Items")) {
+        assert.ok(profile.structure.src[file.section], `${id}: ${file.section} is a section of the structure`);
+        assert.doesNotMatch(file.path, /\s/);
+      }
+
+      const prompt = profile.buildPrompt({ features: ["Invoices"], multiTenant: false });
+      assert.match(prompt, /backend\/package\.json/);
+      for (const file of profile.entityFiles("Invoices")) assert.ok(prompt.includes(file.path), `${id}: ${file.path}`);
+    }
+  });
+
+  it("names each feature's files the way its stack does", () => {
+    assert.deepEqual(
+      getStackProfile("express-sequelize")
+        .entityFiles("Order Items")
+        .map((file) => file.path),
+      [
+        "backend/src/routes/orderitems.js",
+        "backend/src/controllers/orderitemsController.js",
+        "backend/src/services/orderitemsService.js",
+        "backend/src/models/OrderItems.js",
+      ]
+    );
+    assert.ok(
+      getStackProfile("nestjs-typeorm")
+        .entityFiles("Order Items")
+        .some((file) => file.path === "backend/src/order-items/dto/create-order-items.dto.ts")
+    );
+  });
+});
+
+describe("fixPackageJson", () => {
+  it("sets the module system the stack's code is written in", () => {
+    const commonjs = { type: "module", dependencies: {}, devDependencies: {} };
+    assert.deepEqual(getStackProfile("express-sequelize").fixPackageJson(commonjs), [
+      'Removed "type": "module" (the backend is CommonJS)',
+    ]);
+    assert.equal(commonjs.type, undefined);
+
+    const esm = { dependencies: {}, devDependencies: {} };
+    assert.deepEqual(getStackProfile("fastify-prisma").fixPackageJson(esm), [
+      'Set "type": "module" (the backend uses ES modules)',
+    ]);
+    assert.equal(esm.type, "module");
+    assert.deepEqual(getStackProfile("fastify-prisma").fixPackageJson(esm), []);
+  });
+
+  it("moves the prisma CLI to the devDependencies", () => {
+    const pkg = { type: "module", dependencies: { prisma: "^5.7.1", "@prisma/client": "^5.7.1" }, devDependencies: {} };
+
+    assert.deepEqual(getStackProfile("fastify-prisma").fixPackageJson(pkg), [
+      "Removed prisma from dependencies (the CLI is a devDependency)",
+    ]);
+    assert.deepEqual(pkg.dependencies, { "@prisma/client": "^5.7.1" });
+    assert.deepEqual(pkg.devDependencies, { prisma: "^5.7.1" });
+  });
+});
+
+describe("listStackProfiles and registerStackProfile", () => {
+  it("lists the built-in stacks with the default marked", () => {
+    const stacks = listStackProfiles();
+
+    assert.deepEqual(
+      stacks.map((stack) => stack.id),
+      BUILT_IN
+    );
+    assert.deepEqual(
+      stacks.filter((stack) => stack.default).map((stack) => stack.id),
+      [DEFAULT_STACK]
+    );
+    assert.deepEqual(Object.keys(stacks[0]), ["id", "name", "description", "framework", "orm", "language", "default"]);
+  });
+
+  it("rejects an incomplete profile and adds a complete one", () => {
+    assert.throws(() => registerStackProfile({ id: "koa-knex", name: "Koa + Knex" }), (error) => {
+      assert.ok(error instanceof StackProfileError);
+      assert.match(error.message, /^Stack profile koa-knex is missing: framework, orm, language, entry/);
+      return true;
+    });
+    assert.throws(() => registerStackProfile(undefined), /Stack profile \(no id\) is missing: id, name/);
+
+    registerStackProfile({ ...getStackProfile("express-sequelize"), id: "koa-knex", name: "Koa + Knex" });
+    assert.equal(getStackProfile("koa-knex").name, "Koa + Knex");
+    assert.equal(listStackProfiles().at(-1).id, "koa-knex");
+  });
+});
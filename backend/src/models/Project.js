@@ -3,6 +3,10 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { releasePorts } from "../services/portManager.js";
+import { deleteProjectEvents } from "../services/eventLog.js";
+import { deleteProjectGenerations } from "../services/generations.js";
+import { deleteProjectMergeState } from "../services/merging.js";
+import { deleteProjectChangeSets } from "../services/changeSets.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -54,6 +58,7 @@ export const ProjectStatus = {
   TESTING: "testing",
   DEPLOYED: "deployed",
   FAILED: "failed",
+  INTERRUPTED: "interrupted", // Generation stopped by a server restart; resumable from its checkpoint
 };
 
 /**
@@ -77,6 +82,10 @@ export function createProject(data) {
       integrations: data.integrations || [],
       multiTenant: data.multiTenant || false,
       authentication: data.authentication || "basic",
+      projectType: data.projectType || "fullstack", // Pipeline definition the project generates with (ai-engine/pipelines)
+      stack: data.stack || "express-sequelize", // Backend stack profile (ai-engine/src/stackProfiles.js)
+      engineConfig: data.engineConfig || null, // Preset name or { preset, custom } from the wizard
+      budget: data.budget || null, // { maxCost, maxTokens, onExceed, downgradeEngine } (see services/budgets.js)
     },
     generationPrompt: data.generationPrompt || null,
     outputPath: null,
@@ -178,6 +187,12 @@ export async function deleteProject(id) {
   // Release port assignments
   releasePorts(id);
 
+  // Drop its generation event logs, records and merge state
+  deleteProjectEvents(id);
+  deleteProjectGenerations(id);
+  deleteProjectMergeState(id);
+  deleteProjectChangeSets(id);
+
   if (result) saveProjects();
   return result;
 }
@@ -0,0 +1,190 @@
+import { Router } from "express";
+import { getProjectById, updateProject } from "../models/Project.js";
+import {
+  normalizeBudget,
+  getUserBudget,
+  setUserBudget,
+  getBudgetStatus,
+} from "../services/budgets.js";
+import { getAvailableEngines } from "../services/multiFileGenerator.js";
+import { optionalAuth } from "../middleware/auth.js";
+
+const router = Router();
+
+/**
+ * Validate a budget from the request body, including its downgrade engine
+ * @returns {Promise<{budget?: Object|null, error?: Object}>}
+ */
+async function readBudget(body) {
+  if (body === undefined) {
+    return { error: { code: "MISSING_BUDGET", message: "budget is required (null clears it)" } };
+  }
+
+  let budget;
+  try {
+    budget = normalizeBudget(body);
+  } catch (error) {
+    return { error: { code: error.code || "INVALID_BUDGET", message: error.message } };
+  }
+
+  if (budget?.downgradeEngine) {
+    const available = await getAvailableEngines();
+    if (!available.includes(budget.downgradeEngine.toLowerCase())) {
+      return {
+        error: {
+          code: "INVALID_ENGINE",
+          message: `Unknown downgrade engine: ${budget.downgradeEngine}. Available: ${available.join(", ")}`,
+        },
+      };
+    }
+  }
+
+  return { budget };
+}
+
+/**
+ * Ownership check for budget routes, matching projects.js: signed-in users may only
+ * touch their own projects and their own user budget; anonymous (dev) access is unscoped.
+ * @param {Object} req - Request (req.user from optionalAuth)
+ * @param {string} ownerId - User ID the budget belongs to
+ * @returns {Object|null} - FORBIDDEN error payload, or null when allowed
+ */
+function checkBudgetAccess(req, ownerId) {
+  if (req.user.id === "anonymous" || ownerId === req.user.id) return null;
+  return { code: "FORBIDDEN", message: "You do not have access to this budget" };
+}
+
+/**
+ * GET /api/budgets/projects/:projectId
+ * Budgets that apply to a project (its own and its owner's) with spend to date
+ */
+router.get("/projects/:projectId", optionalAuth, async (req, res) => {
+  const project = getProjectById(req.params.projectId);
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: "PROJECT_NOT_FOUND",
+        message: "Project not found",
+      },
+    });
+  }
+
+  const accessError = checkBudgetAccess(req, project.userId);
+  if (accessError) {
+    return res.status(403).json({ success: false, error: accessError });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      projectId: project.id,
+      budgets: getBudgetStatus(project),
+    },
+  });
+});
+
+/**
+ * PUT /api/budgets/projects/:projectId
+ * Set or clear (budget: null) a project budget
+ * Body: { budget: { maxCost?, maxTokens?, onExceed?: "abort" | "downgrade", downgradeEngine? } | null }
+ */
+router.put("/projects/:projectId", optionalAuth, async (req, res) => {
+  try {
+    const project = getProjectById(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "PROJECT_NOT_FOUND",
+          message: "Project not found",
+        },
+      });
+    }
+
+    const accessError = checkBudgetAccess(req, project.userId);
+    if (accessError) {
+      return res.status(403).json({ success: false, error: accessError });
+    }
+
+    const { budget, error } = await readBudget(req.body?.budget);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const updated = updateProject(project.id, { config: { ...project.config, budget } });
+
+    res.json({
+      success: true,
+      data: {
+        projectId: project.id,
+        budgets: getBudgetStatus(updated),
+      },
+    });
+  } catch (error) {
+    console.error("[Budgets] Update error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "BUDGET_UPDATE_FAILED",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/budgets/users/:userId
+ */
+router.get("/users/:userId", optionalAuth, async (req, res) => {
+  const accessError = checkBudgetAccess(req, req.params.userId);
+  if (accessError) {
+    return res.status(403).json({ success: false, error: accessError });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      userId: req.params.userId,
+      budget: getUserBudget(req.params.userId),
+    },
+  });
+});
+
+/**
+ * PUT /api/budgets/users/:userId
+ * Set or clear (budget: null) the budget shared by all of a user's projects
+ * Body: { budget: { maxCost?, maxTokens?, onExceed?, downgradeEngine? } | null }
+ */
+router.put("/users/:userId", optionalAuth, async (req, res) => {
+  try {
+    const accessError = checkBudgetAccess(req, req.params.userId);
+    if (accessError) {
+      return res.status(403).json({ success: false, error: accessError });
+    }
+
+    const { budget, error } = await readBudget(req.body?.budget);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId: req.params.userId,
+        budget: setUserBudget(req.params.userId, budget),
+      },
+    });
+  } catch (error) {
+    console.error("[Budgets] Update error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "BUDGET_UPDATE_FAILED",
+        message: error.message,
+      },
+    });
+  }
+});
+
+export default router;
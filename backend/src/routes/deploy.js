@@ -5,6 +5,7 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { getAssignment } from '../services/portManager.js';
 import { getProjectById, updateProject } from '../models/Project.js';
+import { JobType, normalizePriority, registerJobHandler, enqueueJob, waitForJob } from '../services/jobQueue.js';
 
 const router = express.Router();
 
@@ -83,13 +84,184 @@ function runNpmInstall(directory) {
   });
 }
 
+/**
+ * Job handler for local deployments: installs dependencies and starts the
+ * backend and frontend dev servers
+ * Payload: { skipInstall }
+ * @returns {Promise<Object>} - Response body for POST /api/deploy/:projectId/local
+ */
+async function runDeployJob(job) {
+  const { projectId } = job;
+  const { skipInstall } = job.payload;
+
+  const portAssignment = getAssignment(projectId);
+  if (!portAssignment) {
+    throw new Error('No ports assigned to project. Generate the project first.');
+  }
+  const backendPort = portAssignment.backend;
+  const frontendPort = portAssignment.frontend;
+
+  // An earlier deploy job of the project may have started it meanwhile
+  if (runningProcesses.has(projectId)) {
+    const existing = runningProcesses.get(projectId);
+    return {
+      success: true,
+      message: 'Application is already running',
+      status: 'running',
+      urls: {
+        frontend: `http://localhost:${existing.frontendPort}`,
+        backend: `http://localhost:${existing.backendPort}`
+      }
+    };
+  }
+
+  const projectPath = findProjectFolder(projectId);
+  if (!projectPath) {
+    throw new Error('Project not found');
+  }
+  const backendPath = path.join(projectPath, 'backend');
+  const frontendPath = path.join(projectPath, 'frontend');
+
+  // Run npm install if not skipped
+  if (!skipInstall) {
+    try {
+      if (fs.existsSync(path.join(backendPath, 'package.json'))) {
+        await runNpmInstall(backendPath);
+      }
+      if (fs.existsSync(path.join(frontendPath, 'package.json'))) {
+        await runNpmInstall(frontendPath);
+      }
+    } catch (installError) {
+      console.error('npm install error:', installError);
+      // Continue anyway - might already be installed
+    }
+  }
+
+  const npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+  const processes = {
+    backend: null,
+    frontend: null,
+    backendPort,
+    frontendPort,
+    startTime: Date.now(),
+    logs: {
+      backend: [],
+      frontend: []
+    }
+  };
+
+  // Start backend
+  if (fs.existsSync(path.join(backendPath, 'package.json'))) {
+    // Update PORT in .env if it exists
+    const envPath = path.join(backendPath, '.env');
+    if (fs.existsSync(envPath)) {
+      let envContent = fs.readFileSync(envPath, 'utf-8');
+      envContent = envContent.replace(/^PORT=.*/m, `PORT=${backendPort}`);
+      fs.writeFileSync(envPath, envContent);
+    }
+
+    processes.backend = spawn(npmCmd, ['start'], {
+      cwd: backendPath,
+      shell: true,
+      env: { ...process.env, PORT: backendPort.toString() },
+      stdio: 'pipe'
+    });
+
+    processes.backend.stdout.on('data', (data) => {
+      const log = data.toString();
+      console.log(`[Backend ${projectId}] ${log}`);
+      processes.logs.backend.push({ time: new Date().toISOString(), message: log, type: 'stdout' });
+      if (processes.logs.backend.length > 100) {
+        processes.logs.backend.shift();
+      }
+    });
+
+    processes.backend.stderr.on('data', (data) => {
+      const log = data.toString();
+      console.error(`[Backend ${projectId}] ${log}`);
+      processes.logs.backend.push({ time: new Date().toISOString(), message: log, type: 'stderr' });
+      if (processes.logs.backend.length > 100) {
+        processes.logs.backend.shift();
+      }
+    });
+
+    processes.backend.on('close', (code) => {
+      console.log(`[Backend ${projectId}] Process exited with code ${code}`);
+      if (runningProcesses.has(projectId)) {
+        const p = runningProcesses.get(projectId);
+        p.backend = null;
+      }
+    });
+  }
+
+  // Start frontend
+  if (fs.existsSync(path.join(frontendPath, 'package.json'))) {
+    processes.frontend = spawn(npmCmd, ['run', 'dev', '--', '-p', frontendPort.toString()], {
+      cwd: frontendPath,
+      shell: true,
+      env: { ...process.env, PORT: frontendPort.toString() },
+      stdio: 'pipe'
+    });
+
+    processes.frontend.stdout.on('data', (data) => {
+      const log = data.toString();
+      console.log(`[Frontend ${projectId}] ${log}`);
+      processes.logs.frontend.push({ time: new Date().toISOString(), message: log, type: 'stdout' });
+      if (processes.logs.frontend.length > 100) {
+        processes.logs.frontend.shift();
+      }
+    });
+
+    processes.frontend.stderr.on('data', (data) => {
+      const log = data.toString();
+      console.error(`[Frontend ${projectId}] ${log}`);
+      processes.logs.frontend.push({ time: new Date().toISOString(), message: log, type: 'stderr' });
+      if (processes.logs.frontend.length > 100) {
+        processes.logs.frontend.shift();
+      }
+    });
+
+    processes.frontend.on('close', (code) => {
+      console.log(`[Frontend ${projectId}] Process exited with code ${code}`);
+      if (runningProcesses.has(projectId)) {
+        const p = runningProcesses.get(projectId);
+        p.frontend = null;
+      }
+    });
+  }
+
+  runningProcesses.set(projectId, processes);
+
+  // Update project status to deployed
+  updateProject(projectId, { status: 'deployed' });
+
+  // Wait a bit for servers to start
+  await new Promise(resolve => setTimeout(resolve, 3000));
+
+  return {
+    success: true,
+    message: 'Application starting...',
+    status: 'starting',
+    urls: {
+      frontend: processes.frontend ? `http://localhost:${frontendPort}` : null,
+      backend: processes.backend ? `http://localhost:${backendPort}` : null
+    },
+    pids: {
+      backend: processes.backend?.pid,
+      frontend: processes.frontend?.pid
+    }
+  };
+}
+
+registerJobHandler(JobType.DEPLOY, runDeployJob);
+
 /**
  * POST /api/deploy/:projectId/local
  * Start the application locally
  */
 router.post('/:projectId/local', async (req, res) => {
   const { projectId } = req.params;
-  const { skipInstall = false } = req.body;
+  const { skipInstall = false, priority } = req.body;
 
   try {
     // Get assigned ports from port manager
@@ -101,9 +273,6 @@ router.post('/:projectId/local', async (req, res) => {
       });
     }
 
-    const backendPort = portAssignment.backend;
-    const frontendPort = portAssignment.frontend;
-
     // Check if already running
     if (runningProcesses.has(projectId)) {
       const existing = runningProcesses.get(projectId);
@@ -128,146 +297,39 @@ router.post('/:projectId/local', async (req, res) => {
       });
     }
 
-    const backendPath = path.join(projectPath, 'backend');
-    const frontendPath = path.join(projectPath, 'frontend');
-
     // Check if backend exists
-    if (!fs.existsSync(backendPath)) {
+    if (!fs.existsSync(path.join(projectPath, 'backend'))) {
       return res.status(400).json({
         success: false,
         error: 'Backend folder not found'
       });
     }
 
-    // Run npm install if not skipped
-    if (!skipInstall) {
-      try {
-        if (fs.existsSync(path.join(backendPath, 'package.json'))) {
-          await runNpmInstall(backendPath);
-        }
-        if (fs.existsSync(path.join(frontendPath, 'package.json'))) {
-          await runNpmInstall(frontendPath);
-        }
-      } catch (installError) {
-        console.error('npm install error:', installError);
-        // Continue anyway - might already be installed
-      }
-    }
-
-    const npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
-    const processes = {
-      backend: null,
-      frontend: null,
-      backendPort,
-      frontendPort,
-      startTime: Date.now(),
-      logs: {
-        backend: [],
-        frontend: []
-      }
-    };
-
-    // Start backend
-    if (fs.existsSync(path.join(backendPath, 'package.json'))) {
-      // Update PORT in .env if it exists
-      const envPath = path.join(backendPath, '.env');
-      if (fs.existsSync(envPath)) {
-        let envContent = fs.readFileSync(envPath, 'utf-8');
-        envContent = envContent.replace(/^PORT=.*/m, `PORT=${backendPort}`);
-        fs.writeFileSync(envPath, envContent);
-      }
-
-      processes.backend = spawn(npmCmd, ['start'], {
-        cwd: backendPath,
-        shell: true,
-        env: { ...process.env, PORT: backendPort.toString() },
-        stdio: 'pipe'
-      });
-
-      processes.backend.stdout.on('data', (data) => {
-        const log = data.toString();
-        console.log(`[Backend ${projectId}] ${log}`);
-        processes.logs.backend.push({ time: new Date().toISOString(), message: log, type: 'stdout' });
-        if (processes.logs.backend.length > 100) {
-          processes.logs.backend.shift();
-        }
-      });
-
-      processes.backend.stderr.on('data', (data) => {
-        const log = data.toString();
-        console.error(`[Backend ${projectId}] ${log}`);
-        processes.logs.backend.push({ time: new Date().toISOString(), message: log, type: 'stderr' });
-        if (processes.logs.backend.length > 100) {
-          processes.logs.backend.shift();
-        }
-      });
-
-      processes.backend.on('close', (code) => {
-        console.log(`[Backend ${projectId}] Process exited with code ${code}`);
-        if (runningProcesses.has(projectId)) {
-          const p = runningProcesses.get(projectId);
-          p.backend = null;
-        }
+    const jobPriority = normalizePriority(priority);
+    if (jobPriority === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'priority must be "high", "normal" or "low"'
       });
     }
 
-    // Start frontend
-    if (fs.existsSync(path.join(frontendPath, 'package.json'))) {
-      processes.frontend = spawn(npmCmd, ['run', 'dev', '--', '-p', frontendPort.toString()], {
-        cwd: frontendPath,
-        shell: true,
-        env: { ...process.env, PORT: frontendPort.toString() },
-        stdio: 'pipe'
-      });
-
-      processes.frontend.stdout.on('data', (data) => {
-        const log = data.toString();
-        console.log(`[Frontend ${projectId}] ${log}`);
-        processes.logs.frontend.push({ time: new Date().toISOString(), message: log, type: 'stdout' });
-        if (processes.logs.frontend.length > 100) {
-          processes.logs.frontend.shift();
-        }
-      });
-
-      processes.frontend.stderr.on('data', (data) => {
-        const log = data.toString();
-        console.error(`[Frontend ${projectId}] ${log}`);
-        processes.logs.frontend.push({ time: new Date().toISOString(), message: log, type: 'stderr' });
-        if (processes.logs.frontend.length > 100) {
-          processes.logs.frontend.shift();
-        }
-      });
-
-      processes.frontend.on('close', (code) => {
-        console.log(`[Frontend ${projectId}] Process exited with code ${code}`);
-        if (runningProcesses.has(projectId)) {
-          const p = runningProcesses.get(projectId);
-          p.frontend = null;
-        }
+    // Installs and app starts go through the job queue, so they share its worker limit
+    const job = enqueueJob({
+      type: JobType.DEPLOY,
+      projectId,
+      userId: getProjectById(projectId)?.userId,
+      priority: jobPriority,
+      payload: { skipInstall }
+    });
+    const finished = await waitForJob(job.id);
+    if (!finished.result) {
+      return res.status(500).json({
+        success: false,
+        error: finished.error
       });
     }
 
-    runningProcesses.set(projectId, processes);
-
-    // Update project status to deployed
-    updateProject(projectId, { status: 'deployed' });
-
-    // Wait a bit for servers to start
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    res.json({
-      success: true,
-      message: 'Application starting...',
-      status: 'starting',
-      urls: {
-        frontend: processes.frontend ? `http://localhost:${frontendPort}` : null,
-        backend: processes.backend ? `http://localhost:${backendPort}` : null
-      },
-      pids: {
-        backend: processes.backend?.pid,
-        frontend: processes.frontend?.pid
-      }
-    });
+    res.json({ ...finished.result, job: { id: finished.id, status: finished.status } });
 
   } catch (error) {
     console.error('Deploy local error:', error);
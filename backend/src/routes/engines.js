@@ -58,4 +58,54 @@ router.get("/presets", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/engines/pipelines - Get pipeline definitions (project types and staged pipelines)
+ */
+router.get("/pipelines", async (req, res) => {
+  try {
+    const runnerModule = await import(join(__dirname, "..", "..", "..", "ai-engine", "src", "pipelineRunner.js"));
+
+    res.json({
+      success: true,
+      data: runnerModule.listPipelines(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("[Engines] Error fetching pipelines:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "PIPELINES_FETCH_ERROR",
+        message: "Failed to fetch pipeline definitions",
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/engines/stacks - Get the backend stack profiles a project can be generated in
+ */
+router.get("/stacks", async (req, res) => {
+  try {
+    const stacksModule = await import(join(__dirname, "..", "..", "..", "ai-engine", "src", "stackProfiles.js"));
+
+    res.json({
+      success: true,
+      data: stacksModule.listStackProfiles(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("[Engines] Error fetching stacks:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "STACKS_FETCH_ERROR",
+        message: "Failed to fetch stack profiles",
+        details: error.message,
+      },
+    });
+  }
+});
+
 export default router;
@@ -3,6 +3,7 @@ import { readFile, writeFile } from 'fs/promises';
 import { join, relative, normalize } from 'path';
 import { fileURLToPath } from 'url';
 import { getProjectById } from '../models/Project.js';
+import { commitChanges } from '../services/versioning.js';
 import fs from 'fs';
 
 const router = express.Router();
@@ -111,10 +112,14 @@ router.post('/:projectId/write', async (req, res) => {
     // Write file
     await writeFile(normalizedPath, content, 'utf-8');
 
+    // Each save is a commit in the project's history
+    const commit = await commitChanges(projectPath, `Edit ${relative(projectPath, normalizedPath)}`);
+
     res.json({
       success: true,
       message: 'File saved successfully',
-      path: filePath
+      path: filePath,
+      commit: commit?.hash || null
     });
 
   } catch (error) {
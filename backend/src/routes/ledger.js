@@ -0,0 +1,83 @@
+import { Router } from "express";
+import { queryLedger, summarizeLedger } from "../services/ledger.js";
+import { optionalAuth } from "../middleware/auth.js";
+
+const router = Router();
+
+/**
+ * Build ledger filters from the query string.
+ * Signed-in users only see their own spend; anonymous (dev) access sees everything,
+ * matching how projects are listed.
+ */
+function getLedgerFilters(req) {
+  const { projectId, userId, engine, from, to } = req.query;
+  return {
+    projectId,
+    engine,
+    from,
+    to,
+    userId: req.user.id !== "anonymous" ? req.user.id : userId,
+  };
+}
+
+function sendLedgerError(res, error, fallbackCode) {
+  const isValidationError = error.code === "INVALID_DATE" || error.code === "INVALID_GROUP_BY";
+  if (!isValidationError) {
+    console.error("[Ledger] Error:", error);
+  }
+
+  res.status(isValidationError ? 400 : 500).json({
+    success: false,
+    error: {
+      code: isValidationError ? error.code : fallbackCode,
+      message: error.message,
+    },
+  });
+}
+
+/**
+ * GET /api/ledger
+ * List recorded engine calls, newest first
+ * Query: projectId?, userId?, engine?, from?, to?, limit? (default 100)
+ */
+router.get("/", optionalAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const entries = queryLedger(getLedgerFilters(req)).reverse();
+
+    res.json({
+      success: true,
+      data: {
+        items: entries.slice(0, limit),
+        total: entries.length,
+      },
+    });
+  } catch (error) {
+    sendLedgerError(res, error, "LEDGER_FETCH_FAILED");
+  }
+});
+
+/**
+ * GET /api/ledger/summary
+ * Total spend, optionally grouped
+ * Query: groupBy? (project | user | engine | model | phase | day), projectId?, userId?, engine?, from?, to?
+ */
+router.get("/summary", optionalAuth, async (req, res) => {
+  try {
+    const summary = summarizeLedger(getLedgerFilters(req), req.query.groupBy || null);
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        currency: "USD",
+        from: req.query.from || null,
+        to: req.query.to || null,
+      },
+    });
+  } catch (error) {
+    sendLedgerError(res, error, "LEDGER_SUMMARY_FAILED");
+  }
+});
+
+export default router;
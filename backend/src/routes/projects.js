@@ -7,6 +7,11 @@ import {
   deleteProject,
 } from "../models/Project.js";
 import { listProjectFiles, readProjectFile } from "../services/fileSystem.js";
+import { normalizeBudget } from "../services/budgets.js";
+import { listGenerations, getGeneration, compareGenerations } from "../services/generations.js";
+import { VersioningError, getHistory, getDiff, restoreCommit } from "../services/versioning.js";
+import { getActiveJob } from "../services/jobQueue.js";
+import { loadPipeline, getStackProfile } from "../services/multiFileGenerator.js";
 import { optionalAuth, requireAuth } from "../middleware/auth.js";
 
 const router = Router();
@@ -17,8 +22,31 @@ const router = Router();
  */
 router.post("/", optionalAuth, async (req, res) => {
   try {
-    const { name, description, industry, features, integrations, multiTenant, authentication } =
-      req.body;
+    const {
+      name,
+      description,
+      industry,
+      features,
+      integrations,
+      multiTenant,
+      authentication,
+      engineConfig,
+      projectType,
+      stack,
+    } = req.body;
+
+    let budget = null;
+    try {
+      budget = req.body.budget ? normalizeBudget(req.body.budget) : null;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
 
     if (!name) {
       return res.status(400).json({
@@ -30,6 +58,34 @@ router.post("/", optionalAuth, async (req, res) => {
       });
     }
 
+    if (projectType !== undefined) {
+      try {
+        await loadPipeline(projectType);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "INVALID_PROJECT_TYPE",
+            message: error.message,
+          },
+        });
+      }
+    }
+
+    if (stack !== undefined) {
+      try {
+        await getStackProfile(stack);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "INVALID_STACK",
+            message: error.message,
+          },
+        });
+      }
+    }
+
     const project = createProject({
       name,
       description,
@@ -38,6 +94,10 @@ router.post("/", optionalAuth, async (req, res) => {
       integrations,
       multiTenant,
       authentication,
+      engineConfig,
+      projectType,
+      stack,
+      budget,
       userId: req.user.id,
     });
 
@@ -332,4 +392,297 @@ router.get("/:id/files/:filename", optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/projects/:id/generations
+ * Generation runs of a project, newest first (summaries)
+ */
+router.get("/:id/generations", optionalAuth, async (req, res) => {
+  try {
+    const project = getProjectById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Project not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { generations: listGenerations(project.id) },
+    });
+  } catch (error) {
+    console.error("[Projects] List generations error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "LIST_GENERATIONS_FAILED",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id/generations/:generationId
+ * Full record of a generation run: config, options, phases (engine, tokens, prompt,
+ * fixes), test results and file manifest
+ */
+router.get("/:id/generations/:generationId", optionalAuth, async (req, res) => {
+  try {
+    const project = getProjectById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Project not found",
+        },
+      });
+    }
+
+    const generation = getGeneration(project.id, req.params.generationId);
+
+    if (!generation) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "GENERATION_NOT_FOUND",
+          message: "Generation not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: generation,
+    });
+  } catch (error) {
+    console.error("[Projects] Get generation error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "GET_GENERATION_FAILED",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id/generations/:generationId/compare
+ * What changed in a generation run compared to another one
+ * Query: { base? } - generation ID to compare against (default: the run before it)
+ */
+router.get("/:id/generations/:generationId/compare", optionalAuth, async (req, res) => {
+  try {
+    const project = getProjectById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Project not found",
+        },
+      });
+    }
+
+    const target = getGeneration(project.id, req.params.generationId);
+    let baseId = req.query.base;
+    if (target && !baseId) {
+      const generations = listGenerations(project.id);
+      baseId = generations[generations.findIndex((g) => g.id === target.id) + 1]?.id;
+      if (!baseId) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NO_EARLIER_GENERATION",
+            message: "There is no earlier generation to compare with",
+          },
+        });
+      }
+    }
+    const base = baseId ? getGeneration(project.id, baseId) : null;
+
+    if (!target || !base) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "GENERATION_NOT_FOUND",
+          message: "Generation not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: compareGenerations(base, target),
+    });
+  } catch (error) {
+    console.error("[Projects] Compare generations error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "COMPARE_GENERATIONS_FAILED",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * Status of a versioning error code
+ */
+function versioningErrorStatus(code) {
+  return code === "INVALID_COMMIT" || code === "INVALID_PATH" ? 400 : 404;
+}
+
+/**
+ * GET /api/projects/:id/history
+ * Commits of the generated app, newest first
+ * Query: { path?, limit? } - only commits touching a file or folder; most commits returned (default 50)
+ */
+router.get("/:id/history", optionalAuth, async (req, res) => {
+  try {
+    const project = getProjectById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Project not found",
+        },
+      });
+    }
+
+    const commits = await getHistory(project.outputPath, { path: req.query.path, limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: { commits },
+    });
+  } catch (error) {
+    if (error instanceof VersioningError) {
+      return res.status(versioningErrorStatus(error.code)).json({
+        success: false,
+        error: { code: error.code, message: error.message },
+      });
+    }
+    console.error("[Projects] History error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "HISTORY_FAILED",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id/history/:commit
+ * Changes a commit made: changed files with line counts and the unified diff
+ * Query: { against?, path? } - commit to compare with instead of the parent; only changes to a file or folder
+ */
+router.get("/:id/history/:commit", optionalAuth, async (req, res) => {
+  try {
+    const project = getProjectById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Project not found",
+        },
+      });
+    }
+
+    const diff = await getDiff(project.outputPath, req.params.commit, {
+      against: req.query.against,
+      path: req.query.path,
+    });
+
+    res.json({
+      success: true,
+      data: diff,
+    });
+  } catch (error) {
+    if (error instanceof VersioningError) {
+      return res.status(versioningErrorStatus(error.code)).json({
+        success: false,
+        error: { code: error.code, message: error.message },
+      });
+    }
+    console.error("[Projects] Diff error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "DIFF_FAILED",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/projects/:id/history/:commit/restore
+ * Bring the generated app back to a commit; the restore is itself a new commit
+ * Body: { path? } - restore only a file or folder
+ */
+router.post("/:id/history/:commit/restore", optionalAuth, async (req, res) => {
+  try {
+    const project = getProjectById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Project not found",
+        },
+      });
+    }
+
+    if (getActiveJob(project.id)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: "PROJECT_BUSY",
+          message: "Project has a queued or running job; restore it once the job has finished",
+        },
+      });
+    }
+
+    const result = await restoreCommit(project.outputPath, req.params.commit, { path: req.body?.path });
+    updateProject(project.id, { generatedFiles: result.files });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof VersioningError) {
+      return res.status(versioningErrorStatus(error.code)).json({
+        success: false,
+        error: { code: error.code, message: error.message },
+      });
+    }
+    console.error("[Projects] Restore error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "RESTORE_FAILED",
+        message: error.message,
+      },
+    });
+  }
+});
+
 export default router;
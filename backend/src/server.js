@@ -9,6 +9,10 @@ import generateRouter from "./routes/generate.js";
 import deployRouter from "./routes/deploy.js";
 import enginesRouter from "./routes/engines.js";
 import filesRouter from "./routes/files.js";
+import ledgerRouter from "./routes/ledger.js";
+import budgetsRouter from "./routes/budgets.js";
+import { reconcileInterruptedGenerations } from "./services/checkpoints.js";
+import { startJobQueue } from "./services/jobQueue.js";
 
 // Load environment variables
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -62,16 +66,34 @@ app.get("/api", (req, res) => {
         delete: "DELETE /api/projects/:id",
         files: "GET /api/projects/:id/files",
         file: "GET /api/projects/:id/files/:filename",
+        generations: "GET /api/projects/:id/generations",
+        history: "GET /api/projects/:id/history",
+        diff: "GET /api/projects/:id/history/:commit",
+        restore: "POST /api/projects/:id/history/:commit/restore",
       },
       engines: {
         list: "GET /api/engines",
         presets: "GET /api/engines/presets",
+        pipelines: "GET /api/engines/pipelines",
       },
       generate: {
         start: "POST /api/generate",
         sync: "POST /api/generate/sync",
+        estimate: "GET /api/generate/estimate",
         status: "GET /api/generate/:projectId/status",
         cancel: "POST /api/generate/:projectId/cancel",
+        resume: "POST /api/generate/:projectId/resume",
+        jobs: "GET /api/generate/:projectId/jobs",
+        conflicts: "GET /api/generate/:projectId/conflicts",
+        resolveConflict: "POST /api/generate/:projectId/conflicts/resolve",
+        addFeature: "POST /api/generate/:projectId/features",
+        changeSets: "GET /api/generate/:projectId/changesets",
+        changeSet: "GET /api/generate/:projectId/changesets/:changeSetId",
+        applyChangeSet: "POST /api/generate/:projectId/changesets/:changeSetId/apply",
+        discardChangeSet: "POST /api/generate/:projectId/changesets/:changeSetId/discard",
+        stream: "GET /api/generate/:projectId/stream",
+        runs: "GET /api/generate/:projectId/runs",
+        runEvents: "GET /api/generate/:projectId/runs/:runId/events",
       },
       deploy: {
         local: "POST /api/deploy/:projectId/local",
@@ -81,6 +103,14 @@ app.get("/api", (req, res) => {
         logs: "GET /api/deploy/:projectId/logs",
         running: "GET /api/deploy/running",
       },
+      ledger: {
+        entries: "GET /api/ledger",
+        summary: "GET /api/ledger/summary?groupBy=project|user|engine|model|phase|day",
+      },
+      budgets: {
+        project: "GET|PUT /api/budgets/projects/:projectId",
+        user: "GET|PUT /api/budgets/users/:userId",
+      },
     },
   });
 });
@@ -91,6 +121,8 @@ app.use("/api/generate", generateRouter);
 app.use("/api/deploy", deployRouter);
 app.use("/api/engines", enginesRouter);
 app.use("/api/files", filesRouter);
+app.use("/api/ledger", ledgerRouter);
+app.use("/api/budgets", budgetsRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -115,6 +147,13 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Queued jobs survive a restart; jobs that were running are failed first, so
+// their projects count as interrupted below
+startJobQueue();
+
+// Projects a previous process left "generating" can never finish; make them resumable
+reconcileInterruptedGenerations();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`
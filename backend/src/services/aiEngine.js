@@ -1,5 +1,5 @@
 import { fileURLToPath, pathToFileURL } from "url";
-import { dirname, join } from "path";
+import { dirname, join, basename, extname } from "path";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const AI_ENGINE_PATH = join(__dirname, "..", "..", "..", "ai-engine", "src");
@@ -138,9 +138,12 @@ export async function generate(config) {
  * Test generated code using the AI engine executor
  * @param {string} codeFilePath - Path to the generated code file
  * @param {Object[]} testCases - Array of test cases
- * @returns {Promise<Object>} - Test results
+ * @param {Object} [options] - Test options
+ * @param {string} [options.rootDir] - Folder the file belongs to; copied into the test environment so
+ *   the file's relative imports resolve
+ * @returns {Promise<Object>} - Test results, with what the server wrote to stderr
  */
-export async function testCode(codeFilePath, testCases = []) {
+export async function testCode(codeFilePath, testCases = [], options = {}) {
   await initializeEngine();
 
   // Default test case if none provided
@@ -162,6 +165,7 @@ export async function testCode(codeFilePath, testCases = []) {
       testCases: tests,
       port: 3456 + Math.floor(Math.random() * 1000), // Random port to avoid conflicts
       cleanup: true,
+      rootDir: options.rootDir,
     });
 
     return {
@@ -170,14 +174,57 @@ export async function testCode(codeFilePath, testCases = []) {
       steps: result.steps,
       duration: result.duration,
       error: result.error,
+      stderr: result.stderr || "",
     };
   } catch (error) {
     console.error("[AIEngine] Testing failed:", error.message);
     return {
       success: false,
       error: error.message,
+      stderr: "",
     };
   }
 }
 
-export default { generate, testCode, buildPrompt };
+// Endpoint segments that name no resource
+const GENERIC_SEGMENTS = new Set(["api", "v1", "v2", "health"]);
+
+/**
+ * Pick the project files a failed test run points at: the server file, files
+ * named in the server's stderr, and route or controller files named after the
+ * resources of the failing endpoints
+ * @param {Object} testResult - Result of testCode
+ * @param {string[]} paths - Project-relative paths of every file in the project
+ * @param {Object} options - Lookup options
+ * @param {string} options.entry - Project-relative path of the tested server file
+ * @param {string} [options.root] - Folder the test ran in (e.g. "backend"); stderr paths are relative to it
+ * @param {number} [options.max] - Most files to pick
+ * @returns {string[]} - Project-relative paths, the server file first
+ */
+export function findImplicatedFiles(testResult, paths, { entry, root = "", max = 8 }) {
+  const prefix = root ? `${root}/` : "";
+  const scripts = paths.filter((p) => p.startsWith(prefix) && /\.(c|m)?js$/.test(p));
+  const picked = new Set([entry]);
+
+  const stderr = testResult.stderr || "";
+  for (const filePath of scripts) {
+    if (stderr.includes(filePath.slice(prefix.length))) picked.add(filePath);
+  }
+
+  const resources = new Set(
+    (testResult.tests || [])
+      .filter((test) => !test.passed)
+      .flatMap((test) => (test.endpoint || "").split("?")[0].split("/"))
+      .map((segment) => segment.toLowerCase())
+      .filter((segment) => /^[a-z][a-z-]*$/.test(segment) && !GENERIC_SEGMENTS.has(segment))
+      .map((segment) => segment.replace(/s$/, ""))
+  );
+  for (const filePath of scripts) {
+    const name = basename(filePath, extname(filePath)).toLowerCase().split(".")[0].replace(/s$/, "");
+    if (/(routes|controllers)\//.test(filePath) && resources.has(name)) picked.add(filePath);
+  }
+
+  return [...picked].slice(0, max);
+}
+
+export default { generate, testCode, findImplicatedFiles, buildPrompt };
@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { summarizeLedger } from "./ledger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// User budgets; project budgets live on the project (config.budget)
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+const BUDGETS_FILE = path.join(DATA_DIR, "budgets.json");
+
+/**
+ * What a generation does when the next phase would overrun a budget
+ */
+export const BUDGET_ACTIONS = {
+  ABORT: "abort",
+  DOWNGRADE: "downgrade",
+};
+
+const DEFAULT_DOWNGRADE_ENGINE = "cerebras";
+
+function loadUserBudgets() {
+  try {
+    if (fs.existsSync(BUDGETS_FILE)) {
+      return JSON.parse(fs.readFileSync(BUDGETS_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.error("[Budgets] Error loading budgets:", error);
+  }
+  return {};
+}
+
+function saveUserBudgets(budgets) {
+  try {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.writeFileSync(BUDGETS_FILE, JSON.stringify(budgets, null, 2));
+  } catch (error) {
+    console.error("[Budgets] Error saving budgets:", error);
+  }
+}
+
+/**
+ * Validate and fill in defaults for a budget from a request body
+ * @param {Object|null} input - { maxCost?, maxTokens?, onExceed?, downgradeEngine? }
+ * @returns {Object|null} - Normalized budget, or null to clear it
+ */
+export function normalizeBudget(input) {
+  if (input === null) return null;
+
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.code = "INVALID_BUDGET";
+    return error;
+  };
+
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw invalid("Budget must be an object or null");
+  }
+
+  const maxCost = input.maxCost ?? null;
+  const maxTokens = input.maxTokens ?? null;
+  if (maxCost === null && maxTokens === null) {
+    throw invalid("Budget needs maxCost (USD) and/or maxTokens");
+  }
+  if (maxCost !== null && !(typeof maxCost === "number" && maxCost > 0)) {
+    throw invalid("maxCost must be a positive number of US dollars");
+  }
+  if (maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    throw invalid("maxTokens must be a positive integer");
+  }
+
+  const onExceed = input.onExceed || BUDGET_ACTIONS.ABORT;
+  if (!Object.values(BUDGET_ACTIONS).includes(onExceed)) {
+    throw invalid(`onExceed must be one of: ${Object.values(BUDGET_ACTIONS).join(", ")}`);
+  }
+
+  return {
+    maxCost,
+    maxTokens,
+    onExceed,
+    // null means the default, which getDowngradeEngine never picks for self-hosted work
+    downgradeEngine: input.downgradeEngine || null,
+  };
+}
+
+/**
+ * Engine a "downgrade" budget switches to. The default downgrade engine is a
+ * cloud one, so work on a self-hosted engine only downgrades to an engine the
+ * budget names itself.
+ * @param {Object} budget - Budget (or budget status)
+ * @param {boolean} selfHosted - Whether any of the work runs on a self-hosted engine
+ * @returns {string|null} - null when the budget cannot downgrade this work
+ */
+export function getDowngradeEngine(budget, selfHosted) {
+  if (budget.downgradeEngine) return budget.downgradeEngine;
+  return selfHosted ? null : DEFAULT_DOWNGRADE_ENGINE;
+}
+
+/**
+ * @param {string} userId
+ * @returns {Object|null}
+ */
+export function getUserBudget(userId) {
+  return loadUserBudgets()[userId] || null;
+}
+
+/**
+ * @param {string} userId
+ * @param {Object|null} budget - Normalized budget, or null to remove it
+ */
+export function setUserBudget(userId, budget) {
+  const budgets = loadUserBudgets();
+  if (budget) {
+    budgets[userId] = budget;
+  } else {
+    delete budgets[userId];
+  }
+  saveUserBudgets(budgets);
+  return budget;
+}
+
+/**
+ * Every budget that applies to a project, with spend to date from the ledger
+ * @param {Object} project - Project record
+ * @returns {Object[]} - [{ scope, id, maxCost, maxTokens, onExceed, downgradeEngine, spent, remaining }]
+ */
+export function getBudgetStatus(project) {
+  const budgets = [];
+  if (project.config?.budget) {
+    budgets.push({ scope: "project", id: project.id, ...project.config.budget });
+  }
+  const userBudget = getUserBudget(project.userId);
+  if (userBudget) {
+    budgets.push({ scope: "user", id: project.userId, ...userBudget });
+  }
+
+  return budgets.map((budget) => {
+    const filter = budget.scope === "project" ? { projectId: budget.id } : { userId: budget.id };
+    const { totals } = summarizeLedger(filter);
+    const spent = { cost: totals.cost, tokens: totals.inputTokens + totals.outputTokens };
+
+    return {
+      ...budget,
+      spent,
+      remaining: {
+        cost: budget.maxCost === null ? null : Math.max(0, budget.maxCost - spent.cost),
+        tokens: budget.maxTokens === null ? null : Math.max(0, budget.maxTokens - spent.tokens),
+      },
+    };
+  });
+}
+
+/**
+ * Find the first budget that spend to date plus an estimate would overrun
+ * @param {Object[]} statuses - From getBudgetStatus
+ * @param {{cost: number, tokens: number}} estimate - Spend about to be incurred
+ * @returns {Object|null} - The overrun budget status, or null when everything fits
+ */
+export function findBudgetOverrun(statuses, estimate) {
+  return (
+    statuses.find(
+      (budget) =>
+        (budget.maxCost !== null && budget.spent.cost + estimate.cost > budget.maxCost) ||
+        (budget.maxTokens !== null && budget.spent.tokens + estimate.tokens > budget.maxTokens)
+    ) || null
+  );
+}
+
+/**
+ * Human-readable description of an overrun
+ */
+export function describeOverrun(budget, estimate) {
+  const limits = [];
+  if (budget.maxCost !== null) {
+    limits.push(`$${budget.spent.cost.toFixed(4)} spent + ~$${estimate.cost.toFixed(4)} of $${budget.maxCost}`);
+  }
+  if (budget.maxTokens !== null) {
+    limits.push(`${budget.spent.tokens} tokens used + ~${estimate.tokens} of ${budget.maxTokens}`);
+  }
+  return `${budget.scope === "project" ? "Project" : "User"} budget exceeded: ${limits.join(", ")}`;
+}
+
+export default {
+  BUDGET_ACTIONS,
+  normalizeBudget,
+  getDowngradeEngine,
+  getUserBudget,
+  setUserBudget,
+  getBudgetStatus,
+  findBudgetOverrun,
+  describeOverrun,
+};
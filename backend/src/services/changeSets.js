@@ -0,0 +1,295 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { v4 as uuidv4 } from "uuid";
+
+const execFileAsync = promisify(execFile);
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One folder per project, one JSON file per change set
+const DEFAULT_CHANGESETS_DIR = path.join(__dirname, "..", "..", "data", "changesets");
+
+/**
+ * Directory of the change sets (CHANGESETS_DIR, default data/changesets)
+ */
+export function getChangeSetsDir() {
+  return process.env.CHANGESETS_DIR || DEFAULT_CHANGESETS_DIR;
+}
+
+/**
+ * Change set lifecycle
+ */
+export const ChangeSetStatus = {
+  PENDING: "pending", // Generated, waiting for review
+  APPLIED: "applied", // Written to the project folder
+  DISCARDED: "discarded", // Rejected; nothing was written
+};
+
+/**
+ * What a change set does to a file
+ */
+export const FileChange = {
+  ADDED: "added",
+  MODIFIED: "modified",
+  DELETED: "deleted",
+};
+
+/**
+ * What the review decided for a file of a closed change set
+ */
+export const FileDecision = {
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+};
+
+function projectDir(projectId) {
+  return path.join(getChangeSetsDir(), projectId);
+}
+
+function changeSetFile(projectId, changeSetId) {
+  return path.join(projectDir(projectId), `${changeSetId}.json`);
+}
+
+function readChangeSet(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`[ChangeSets] Error reading ${file}:`, error);
+    return null;
+  }
+}
+
+function writeChangeSet(changeSet) {
+  fs.mkdirSync(projectDir(changeSet.projectId), { recursive: true });
+  const file = changeSetFile(changeSet.projectId, changeSet.id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(changeSet, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function readCurrent(projectPath, filePath) {
+  const fullPath = path.join(projectPath, filePath);
+  return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf8") : null;
+}
+
+/**
+ * Unified diff of one file with git diff --no-index
+ * @param {string} filePath - Path shown in the diff headers
+ * @param {string|null} before - Current content (null for a new file)
+ * @param {string|null} after - Proposed content (null for a deleted file)
+ * @returns {Promise<{diff: string, additions: number, deletions: number}>}
+ */
+async function diffText(filePath, before, after) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "changeset-"));
+  const [beforeFile, afterFile] = ["before", "after"].map((name) => path.join(dir, name));
+  fs.writeFileSync(beforeFile, before ?? "");
+  fs.writeFileSync(afterFile, after ?? "");
+
+  let output = "";
+  try {
+    ({ stdout: output } = await execFileAsync("git", ["diff", "--no-index", "--no-color", beforeFile, afterFile], {
+      maxBuffer: 20 * 1024 * 1024,
+    }));
+  } catch (error) {
+    // Exit code 1 means the files differ
+    if (error.code !== 1) throw error;
+    output = error.stdout;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Replace git's headers, which name the temporary files
+  const beforeName = before === null ? "/dev/null" : `a/${filePath}`;
+  const afterName = after === null ? "/dev/null" : `b/${filePath}`;
+  const hunkStart = output.indexOf("\n@@");
+  if (hunkStart === -1) {
+    // No hunks: the files are the same, or git found them binary and printed only headers
+    const binary = /^Binary files /m.test(output);
+    return { diff: binary ? `Binary files ${beforeName} and ${afterName} differ\n` : "", additions: 0, deletions: 0 };
+  }
+
+  const hunks = output.slice(hunkStart + 1);
+  const lines = hunks.split("\n");
+  return {
+    diff: `--- ${beforeName}\n+++ ${afterName}\n${hunks}`,
+    additions: lines.filter((line) => line.startsWith("+")).length,
+    deletions: lines.filter((line) => line.startsWith("-")).length,
+  };
+}
+
+/**
+ * Review view of a change set: everything but the diffs and file contents
+ * @param {Object} changeSet - Full change set
+ * @returns {Object}
+ */
+export function summarizeChangeSet(changeSet) {
+  const { files, ...rest } = changeSet;
+  return {
+    ...rest,
+    files: files.map(({ path: filePath, status, additions, deletions, decision }) => ({
+      path: filePath,
+      status,
+      additions,
+      deletions,
+      ...(decision && { decision }),
+    })),
+  };
+}
+
+/**
+ * Store generated files as a pending change set against a project folder's
+ * current content. Files the generation left as they are are not part of it.
+ * @param {string} projectId - Project ID
+ * @param {string} projectPath - Project folder
+ * @param {Object<string, string>} files - Path to generated content
+ * @param {Object} [details] - Stored with the change set (e.g. { source, title, feature, stats })
+ * @param {Object} [options]
+ * @param {string[]} [options.deleted] - Paths the generation dropped; the ones still on disk are proposed for deletion
+ * @returns {Promise<Object>} - The change set: { id, projectId, status, createdAt, ...details, summary, files }
+ *   - files: [{ path, status, additions, deletions, diff, content, previous }]; previous is null for added
+ *     files, content null for deleted ones
+ */
+export async function createChangeSet(projectId, projectPath, files, details = {}, options = {}) {
+  const proposed = { ...files };
+  for (const filePath of options.deleted || []) {
+    if (!(filePath in proposed)) proposed[filePath] = null;
+  }
+
+  const changes = [];
+  for (const [filePath, content] of Object.entries(proposed).sort(([a], [b]) => a.localeCompare(b))) {
+    const previous = readCurrent(projectPath, filePath);
+    if (previous === content) continue;
+
+    const { diff, additions, deletions } = await diffText(filePath, previous, content);
+    changes.push({
+      path: filePath,
+      status: previous === null ? FileChange.ADDED : content === null ? FileChange.DELETED : FileChange.MODIFIED,
+      additions,
+      deletions,
+      diff,
+      content,
+      previous,
+    });
+  }
+
+  const changeSet = {
+    id: uuidv4(),
+    projectId,
+    status: ChangeSetStatus.PENDING,
+    createdAt: new Date().toISOString(),
+    closedAt: null,
+    commit: null,
+    ...details,
+    summary: Object.fromEntries(
+      Object.values(FileChange).map((status) => [status, changes.filter((c) => c.status === status).length])
+    ),
+    files: changes,
+  };
+  writeChangeSet(changeSet);
+  console.log(`[ChangeSets] ${changeSet.id} for ${projectId}: ${changes.length} files`);
+  return changeSet;
+}
+
+/**
+ * A project's change sets, newest first
+ * @param {string} projectId - Project ID
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only change sets with this status
+ * @returns {Object[]} - Summaries: the change set with each file's path, status and line counts
+ */
+export function listChangeSets(projectId, options = {}) {
+  const dir = projectDir(projectId);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((fileName) => fileName.endsWith(".json"))
+    .map((fileName) => readChangeSet(path.join(dir, fileName)))
+    .filter((changeSet) => changeSet && (!options.status || changeSet.status === options.status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeChangeSet);
+}
+
+/**
+ * Full change set, with diffs and contents
+ * @param {string} projectId - Project ID
+ * @param {string} changeSetId - Change set ID
+ * @returns {Object|null}
+ */
+export function getChangeSet(projectId, changeSetId) {
+  // Ids come from URLs; anything but a plain file name cannot be a change set
+  if (path.basename(changeSetId) !== changeSetId) return null;
+
+  const file = changeSetFile(projectId, changeSetId);
+  return fs.existsSync(file) ? readChangeSet(file) : null;
+}
+
+/**
+ * Files of a change set that changed on disk since it was generated, so
+ * applying it would overwrite edits its diffs do not show
+ * @param {string} projectPath - Project folder
+ * @param {Object} changeSet - Full change set
+ * @param {string[]} [paths] - Only check these files
+ * @returns {string[]} - Paths
+ */
+export function findStaleFiles(projectPath, changeSet, paths = null) {
+  return changeSet.files
+    .filter((file) => !paths || paths.includes(file.path))
+    .filter((file) => readCurrent(projectPath, file.path) !== file.previous)
+    .map((file) => file.path);
+}
+
+/**
+ * Mark a pending change set applied or discarded, with the decision for each of its files
+ * @param {string} projectId - Project ID
+ * @param {string} changeSetId - Change set ID
+ * @param {string} status - ChangeSetStatus.APPLIED or ChangeSetStatus.DISCARDED
+ * @param {Object} [details]
+ * @param {string[]} [details.accepted] - Paths that were applied; every other file is rejected
+ * @param {string|null} [details.commit] - Commit the applied files went into
+ * @returns {Object|null} - Summary of the closed change set; null when it is not pending
+ */
+export function closeChangeSet(projectId, changeSetId, status, { accepted = [], commit = null } = {}) {
+  const changeSet = getChangeSet(projectId, changeSetId);
+  if (!changeSet || changeSet.status !== ChangeSetStatus.PENDING) return null;
+
+  const closed = {
+    ...changeSet,
+    status,
+    commit,
+    closedAt: new Date().toISOString(),
+    files: changeSet.files.map((file) => ({
+      ...file,
+      decision: accepted.includes(file.path) ? FileDecision.ACCEPTED : FileDecision.REJECTED,
+    })),
+  };
+  writeChangeSet(closed);
+  return summarizeChangeSet(closed);
+}
+
+/**
+ * Remove a project's change sets
+ * @param {string} projectId - Project ID
+ */
+export function deleteProjectChangeSets(projectId) {
+  fs.rmSync(projectDir(projectId), { recursive: true, force: true });
+}
+
+export default {
+  ChangeSetStatus,
+  FileChange,
+  FileDecision,
+  getChangeSetsDir,
+  createChangeSet,
+  listChangeSets,
+  getChangeSet,
+  findStaleFiles,
+  closeChangeSet,
+  summarizeChangeSet,
+  deleteProjectChangeSets,
+};
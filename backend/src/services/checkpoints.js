@@ -0,0 +1,178 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getAllProjects, getProjectById, updateProject, ProjectStatus } from "../models/Project.js";
+import { getActiveJob } from "./jobQueue.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One JSON file per project with an unfinished batch generation
+const DEFAULT_CHECKPOINTS_DIR = path.join(__dirname, "..", "..", "data", "checkpoints");
+
+/**
+ * Directory of the checkpoints (CHECKPOINTS_DIR, default data/checkpoints)
+ */
+export function getCheckpointsDir() {
+  return process.env.CHECKPOINTS_DIR || DEFAULT_CHECKPOINTS_DIR;
+}
+
+function checkpointPath(projectId) {
+  return path.join(getCheckpointsDir(), `${projectId}.json`);
+}
+
+/**
+ * Write a checkpoint atomically, so a crash mid-write leaves the previous one intact
+ */
+function writeCheckpoint(checkpoint) {
+  if (!fs.existsSync(getCheckpointsDir())) {
+    fs.mkdirSync(getCheckpointsDir(), { recursive: true });
+  }
+  const file = checkpointPath(checkpoint.projectId);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(checkpoint));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Start a checkpoint for a batch generation, replacing any earlier one
+ * @param {string} projectId - Project ID
+ * @param {Object} run - What is needed to continue the run after a restart
+ * @param {string} run.pipeline - Pipeline (project type) name
+ * @param {Object} run.config - Generation config
+ * @param {Object} run.options - { engine, engineConfig, cache }
+ * @param {string} run.projectPath - Output folder
+ * @param {string} run.projectSlug - Output folder slug
+ * @returns {Object} - The stored checkpoint
+ */
+export function startCheckpoint(projectId, run) {
+  const now = new Date().toISOString();
+  const checkpoint = {
+    projectId,
+    pipeline: run.pipeline,
+    config: run.config,
+    options: run.options,
+    projectPath: run.projectPath,
+    projectSlug: run.projectSlug,
+    startedAt: now,
+    updatedAt: now,
+    phases: {},
+  };
+
+  try {
+    writeCheckpoint(checkpoint);
+  } catch (error) {
+    // A missing checkpoint only costs a full rerun after a restart
+    console.error("[Checkpoints] Error starting checkpoint:", error);
+  }
+  return checkpoint;
+}
+
+/**
+ * Record a completed phase with its generated files
+ * @param {string} projectId - Project ID
+ * @param {string} phase - Phase id
+ * @param {{files: Object<string, string>, stats: Object, fixes?: string[], prompt?: string}} result - Phase result
+ */
+export function saveCheckpointPhase(projectId, phase, result) {
+  const checkpoint = getCheckpoint(projectId);
+  if (!checkpoint) return;
+
+  checkpoint.phases[phase] = {
+    completedAt: new Date().toISOString(),
+    files: result.files,
+    stats: result.stats,
+    fixes: result.fixes || [],
+    prompt: result.prompt || null,
+  };
+  checkpoint.updatedAt = checkpoint.phases[phase].completedAt;
+
+  try {
+    writeCheckpoint(checkpoint);
+  } catch (error) {
+    console.error(`[Checkpoints] Error saving ${phase} phase:`, error);
+  }
+}
+
+/**
+ * Get the checkpoint of a project's unfinished generation
+ * @param {string} projectId - Project ID
+ * @returns {Object|null} - { projectId, pipeline, config, options, projectPath, projectSlug, startedAt, updatedAt, phases }
+ */
+export function getCheckpoint(projectId) {
+  const file = checkpointPath(projectId);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`[Checkpoints] Error reading checkpoint for ${projectId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Remove a project's checkpoint once its generation has finished
+ * @param {string} projectId - Project ID
+ */
+export function clearCheckpoint(projectId) {
+  fs.rmSync(checkpointPath(projectId), { force: true });
+}
+
+/**
+ * Settle generations a previous server process left behind. Nothing is
+ * running for them any more, so a project still "generating" becomes
+ * "interrupted" when it has a checkpoint to resume from and "failed" when it
+ * does not. Projects whose generation is still waiting in the job queue are
+ * left alone. Checkpoints of deleted projects are removed.
+ * @returns {{interrupted: number, failed: number}}
+ */
+export function reconcileInterruptedGenerations() {
+  const result = { interrupted: 0, failed: 0 };
+
+  for (const project of getAllProjects()) {
+    if (project.status !== ProjectStatus.GENERATING || getActiveJob(project.id)) continue;
+
+    const checkpoint = getCheckpoint(project.id);
+    if (checkpoint) {
+      const completed = Object.keys(checkpoint.phases).length;
+      updateProject(project.id, {
+        status: ProjectStatus.INTERRUPTED,
+        error: `Generation was interrupted after ${completed} completed phase(s); resume it with POST /api/generate/${project.id}/resume`,
+      });
+      result.interrupted++;
+    } else {
+      updateProject(project.id, {
+        status: ProjectStatus.FAILED,
+        error: "Generation was interrupted before any phase completed",
+      });
+      result.failed++;
+    }
+  }
+
+  const checkpointsDir = getCheckpointsDir();
+  if (fs.existsSync(checkpointsDir)) {
+    for (const fileName of fs.readdirSync(checkpointsDir)) {
+      const projectId = path.basename(fileName, ".json");
+      if (!getProjectById(projectId)) {
+        fs.rmSync(path.join(checkpointsDir, fileName), { force: true });
+      }
+    }
+  }
+
+  if (result.interrupted + result.failed > 0) {
+    console.log(
+      `[Checkpoints] Reconciled stale generations: ${result.interrupted} resumable, ${result.failed} failed`
+    );
+  }
+  return result;
+}
+
+export default {
+  getCheckpointsDir,
+  startCheckpoint,
+  saveCheckpointPhase,
+  getCheckpoint,
+  clearCheckpoint,
+  reconcileInterruptedGenerations,
+};
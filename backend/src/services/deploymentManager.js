@@ -1,6 +1,7 @@
 import { spawn } from 'child_process';
 import { getAssignment } from './portManager.js';
 import { getProjectById, updateProject } from '../models/Project.js';
+import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
 import { exec } from 'child_process';
@@ -72,14 +73,18 @@ export async function deployLocal(projectId) {
   const projectPath = project.outputPath || project.path;
   const backendPath = path.join(projectPath, 'backend');
   const frontendPath = path.join(projectPath, 'frontend');
+  // Project types without a web frontend (e.g. api-only) deploy the backend alone
+  const hasFrontend = fs.existsSync(path.join(frontendPath, 'package.json'));
 
   try {
     // Install dependencies
     console.log('[Deploy] Installing backend dependencies...');
     await execPromise('npm install', { cwd: backendPath });
 
-    console.log('[Deploy] Installing frontend dependencies...');
-    await execPromise('npm install', { cwd: frontendPath });
+    if (hasFrontend) {
+      console.log('[Deploy] Installing frontend dependencies...');
+      await execPromise('npm install', { cwd: frontendPath });
+    }
 
     // Start backend
     console.log('[Deploy] Starting backend server...');
@@ -110,31 +115,34 @@ export async function deployLocal(projectId) {
     });
 
     // Start frontend
-    console.log('[Deploy] Starting frontend server...');
-    const frontendProcess = spawn('npm', ['run', 'dev'], {
-      cwd: frontendPath,
-      env: {
-        ...process.env,
-        PORT: ports.frontend.toString()
-      },
-      shell: true,
-      stdio: 'pipe'
-    });
-
+    let frontendProcess = null;
     let frontendOutput = '';
-    frontendProcess.stdout.on('data', (data) => {
-      const output = data.toString();
-      frontendOutput += output;
-      console.log(`[Frontend ${projectId}] ${output}`);
-    });
-
-    frontendProcess.stderr.on('data', (data) => {
-      console.error(`[Frontend ${projectId} ERROR] ${data.toString()}`);
-    });
-
-    frontendProcess.on('exit', (code) => {
-      console.log(`[Frontend ${projectId}] Process exited with code ${code}`);
-    });
+    if (hasFrontend) {
+      console.log('[Deploy] Starting frontend server...');
+      frontendProcess = spawn('npm', ['run', 'dev'], {
+        cwd: frontendPath,
+        env: {
+          ...process.env,
+          PORT: ports.frontend.toString()
+        },
+        shell: true,
+        stdio: 'pipe'
+      });
+
+      frontendProcess.stdout.on('data', (data) => {
+        const output = data.toString();
+        frontendOutput += output;
+        console.log(`[Frontend ${projectId}] ${output}`);
+      });
+
+      frontendProcess.stderr.on('data', (data) => {
+        console.error(`[Frontend ${projectId} ERROR] ${data.toString()}`);
+      });
+
+      frontendProcess.on('exit', (code) => {
+        console.log(`[Frontend ${projectId}] Process exited with code ${code}`);
+      });
+    }
 
     // Store processes
     runningApps.set(projectId, {
@@ -157,11 +165,13 @@ export async function deployLocal(projectId) {
       console.log('[Deploy] Backend health check timeout (may be normal if no /health endpoint)');
     }
 
-    try {
-      await waitForServer(`http://localhost:${ports.frontend}`, 30000);
-      console.log('[Deploy] Frontend is ready');
-    } catch (error) {
-      console.log('[Deploy] Frontend startup timeout (may still be building)');
+    if (hasFrontend) {
+      try {
+        await waitForServer(`http://localhost:${ports.frontend}`, 30000);
+        console.log('[Deploy] Frontend is ready');
+      } catch (error) {
+        console.log('[Deploy] Frontend startup timeout (may still be building)');
+      }
     }
 
     // Update project status
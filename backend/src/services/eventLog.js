@@ -0,0 +1,210 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One folder per project: runs.json indexes its runs, <runId>.jsonl holds each run's events
+const DEFAULT_EVENTS_DIR = path.join(__dirname, "..", "..", "data", "events");
+
+/**
+ * Directory of the event logs (EVENTS_DIR, default data/events)
+ */
+export function getEventsDir() {
+  return process.env.EVENTS_DIR || DEFAULT_EVENTS_DIR;
+}
+
+/**
+ * Runs whose event logs are kept per project
+ */
+export function getEventLogRunsLimit() {
+  return Math.max(1, Number(process.env.EVENT_LOG_RUNS_LIMIT ?? 20));
+}
+
+function projectDir(projectId) {
+  return path.join(getEventsDir(), projectId);
+}
+
+function runFile(projectId, runId) {
+  return path.join(projectDir(projectId), `${runId}.jsonl`);
+}
+
+function readRunIndex(projectId) {
+  const file = path.join(projectDir(projectId), "runs.json");
+  if (!fs.existsSync(file)) return [];
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`[EventLog] Error reading run index for ${projectId}:`, error);
+    return [];
+  }
+}
+
+function writeRunIndex(projectId, runs) {
+  const file = path.join(projectDir(projectId), "runs.json");
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(runs, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Events of a run, oldest first
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @param {number} [afterId] - Only events with a greater id
+ * @returns {Object[]} - [{ id, runId, timestamp, data }]
+ */
+export function getRunEvents(projectId, runId, afterId = 0) {
+  const file = runFile(projectId, runId);
+  if (!fs.existsSync(file)) return [];
+
+  const events = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (event.id > afterId) events.push(event);
+    } catch {
+      // A line cut short by a crash mid-append
+    }
+  }
+  return events;
+}
+
+/**
+ * Id of the last event recorded for a project, 0 when there is none
+ * @param {string} projectId - Project ID
+ * @returns {number}
+ */
+export function getLastEventId(projectId) {
+  const runs = readRunIndex(projectId);
+  for (let i = runs.length - 1; i >= 0; i--) {
+    const events = getRunEvents(projectId, runs[i].runId);
+    if (events.length > 0) return events[events.length - 1].id;
+  }
+  return 0;
+}
+
+/**
+ * Register a generation run whose events are about to be logged. Event ids
+ * keep increasing across a project's runs, so a Last-Event-ID always points
+ * at one place in its history. Starting a run that is already registered
+ * (a queued job picked up again after a restart) continues its log.
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @param {Object} [info] - Extra fields for the run index (e.g. { pipeline, jobId })
+ * @returns {{lastEventId: number}} - Last id used so far; the run's next event gets the following one
+ */
+export function startRun(projectId, runId, info = {}) {
+  const lastEventId = getLastEventId(projectId);
+
+  try {
+    fs.mkdirSync(projectDir(projectId), { recursive: true });
+    const runs = readRunIndex(projectId);
+    if (!runs.some((run) => run.runId === runId)) {
+      runs.push({ runId, startedAt: new Date().toISOString(), ...info });
+
+      // Forget the oldest runs beyond the retention limit
+      for (const run of runs.splice(0, Math.max(0, runs.length - getEventLogRunsLimit()))) {
+        fs.rmSync(runFile(projectId, run.runId), { force: true });
+      }
+      writeRunIndex(projectId, runs);
+    }
+  } catch (error) {
+    // Live clients still get their events; only replay is lost
+    console.error(`[EventLog] Error starting run ${runId}:`, error);
+  }
+
+  return { lastEventId };
+}
+
+/**
+ * Append an event to its run's log
+ * @param {string} projectId - Project ID
+ * @param {{id: number, runId: string, timestamp: string, data: Object}} event
+ */
+export function appendEvent(projectId, event) {
+  try {
+    fs.appendFileSync(runFile(projectId, event.runId), JSON.stringify(event) + "\n");
+  } catch (error) {
+    console.error(`[EventLog] Error recording event ${event.id}:`, error);
+  }
+}
+
+/**
+ * Every event after an id, across the runs that followed it
+ * @param {string} projectId - Project ID
+ * @param {number} afterId - Last event id the client received
+ * @returns {Object[]} - [{ id, runId, timestamp, data }]
+ */
+export function getEventsAfter(projectId, afterId) {
+  return readRunIndex(projectId).flatMap((run) => getRunEvents(projectId, run.runId, afterId));
+}
+
+/**
+ * A project's logged runs, newest first
+ * @param {string} projectId - Project ID
+ * @returns {Object[]} - [{ runId, startedAt, ...info, events, firstEventId, lastEventId, endedAt, outcome }]
+ *   - outcome is the type of the event that ended the run (complete, error, cancelled) or null while it has none
+ */
+export function listRuns(projectId) {
+  return readRunIndex(projectId)
+    .map((run) => {
+      const events = getRunEvents(projectId, run.runId);
+      const last = events[events.length - 1];
+      // Queue notifications can still follow the event that ended the run
+      const final = events.findLast((event) => ["complete", "error", "cancelled"].includes(event.data.type));
+      return {
+        ...run,
+        events: events.length,
+        firstEventId: events[0]?.id ?? null,
+        lastEventId: last?.id ?? null,
+        endedAt: final?.timestamp ?? null,
+        outcome: final?.data.type ?? null,
+      };
+    })
+    .reverse();
+}
+
+/**
+ * The project's most recently started run
+ * @param {string} projectId - Project ID
+ * @returns {string|null} - Run ID
+ */
+export function getLatestRunId(projectId) {
+  return readRunIndex(projectId).at(-1)?.runId || null;
+}
+
+/**
+ * Whether a project has logged a run
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @returns {boolean}
+ */
+export function hasRun(projectId, runId) {
+  return readRunIndex(projectId).some((run) => run.runId === runId);
+}
+
+/**
+ * Remove a project's event logs
+ * @param {string} projectId - Project ID
+ */
+export function deleteProjectEvents(projectId) {
+  fs.rmSync(projectDir(projectId), { recursive: true, force: true });
+}
+
+export default {
+  getEventsDir,
+  getEventLogRunsLimit,
+  getRunEvents,
+  getLastEventId,
+  startRun,
+  appendEvent,
+  getEventsAfter,
+  listRuns,
+  getLatestRunId,
+  hasRun,
+  deleteProjectEvents,
+};
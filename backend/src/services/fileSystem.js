@@ -146,6 +146,17 @@ export async function saveFile(projectPath, relativePath, content) {
   return filePath;
 }
 
+/**
+ * Delete a file within a project; a file that does not exist is not an error
+ * @param {string} projectPath - Base project path
+ * @param {string} relativePath - Relative path within project
+ * @returns {Promise<void>}
+ */
+export async function deleteFile(projectPath, relativePath) {
+  await rm(join(projectPath, relativePath), { force: true });
+  console.log(`[FileSystem] Deleted ${relativePath}`);
+}
+
 /**
  * Save generated code to a project directory (legacy support)
  * @param {string} projectId - Project ID
@@ -163,17 +174,77 @@ export async function saveGeneratedFile(projectId, filename, content) {
   return filePath;
 }
 
+/**
+ * Start recording the writes a generation makes to a project folder, so they
+ * can be undone if the generation is cancelled
+ * @param {string} projectPath - Project folder (it may not exist yet)
+ * @returns {{projectPath: string, existed: boolean, previous: Map<string, string|null>}} - Write journal
+ */
+export function createWriteJournal(projectPath) {
+  return { projectPath, existed: existsSync(projectPath), previous: new Map() };
+}
+
+/**
+ * Remember a file's current content before it is first overwritten
+ * @param {Object} journal - Write journal (see createWriteJournal)
+ * @param {string} relativePath - Relative path within the project
+ */
+export async function recordWrite(journal, relativePath) {
+  if (journal.previous.has(relativePath)) return;
+
+  const filePath = join(journal.projectPath, relativePath);
+  journal.previous.set(relativePath, existsSync(filePath) ? await readFile(filePath, "utf-8") : null);
+}
+
+/**
+ * Undo the writes recorded in a journal: a project folder the generation
+ * created is removed, otherwise overwritten files get their old content back
+ * and new files are deleted
+ * @param {Object} journal - Write journal (see createWriteJournal)
+ * @returns {Promise<{removed: number, restored: number}>}
+ */
+export async function rollbackWrites(journal) {
+  if (!journal.existed) {
+    await rm(journal.projectPath, { recursive: true, force: true });
+    console.log(`[FileSystem] Rolled back ${journal.projectPath}`);
+    return { removed: journal.previous.size, restored: 0 };
+  }
+
+  let removed = 0;
+  let restored = 0;
+  for (const [relativePath, content] of journal.previous) {
+    const filePath = join(journal.projectPath, relativePath);
+    if (content === null) {
+      await rm(filePath, { force: true });
+      removed++;
+    } else {
+      await writeFile(filePath, content, "utf-8");
+      restored++;
+    }
+  }
+
+  console.log(`[FileSystem] Rolled back ${journal.projectPath}: ${removed} removed, ${restored} restored`);
+  return { removed, restored };
+}
+
 /**
  * Save multiple files to a project
  * @param {string} projectPath - Base project path
  * @param {Object<string, string>} files - Map of relative path to content
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops saving before the next file once aborted
+ * @param {Object} [options.journal] - Write journal that records what each file held before
  * @returns {Promise<string[]>} - List of saved file paths
  */
-export async function saveMultipleFiles(projectPath, files) {
+export async function saveMultipleFiles(projectPath, files, options = {}) {
   const savedPaths = [];
 
   for (const [relativePath, content] of Object.entries(files)) {
-    const fullPath = await saveFile(projectPath, relativePath, content);
+    options.signal?.throwIfAborted();
+    if (options.journal) {
+      await recordWrite(options.journal, relativePath);
+    }
+    await saveFile(projectPath, relativePath, content);
     savedPaths.push(relativePath);
   }
 
@@ -309,8 +380,10 @@ export async function deleteProjectDirectory(projectId) {
  * @param {string} projectPath - Project path
  * @param {string} name - Project name
  * @param {string[]} dependencies - List of npm dependencies
+ * @param {Object} [stack] - Stack profile of the project (ai-engine/src/stackProfiles.js); its entry point,
+ *   scripts and packages replace the Express defaults
  */
-export async function createBackendPackageJson(projectPath, name, dependencies = []) {
+export async function createBackendPackageJson(projectPath, name, dependencies = [], stack = null) {
   const packageJson = {
     name: `${slugify(name)}-backend`,
     version: "1.0.0",
@@ -337,6 +410,14 @@ export async function createBackendPackageJson(projectPath, name, dependencies =
     },
   };
 
+  if (stack) {
+    packageJson.main = stack.main;
+    packageJson.scripts = { ...stack.scripts };
+    packageJson.dependencies = { ...stack.packages.dependencies };
+    packageJson.devDependencies = { ...stack.packages.devDependencies };
+    stack.fixPackageJson(packageJson);
+  }
+
   // Add extra dependencies
   for (const dep of dependencies) {
     if (!packageJson.dependencies[dep]) {
@@ -425,8 +506,12 @@ export default {
   createProjectStructure,
   createProjectDirectory,
   saveFile,
+  deleteFile,
   saveGeneratedFile,
   saveMultipleFiles,
+  createWriteJournal,
+  recordWrite,
+  rollbackWrites,
   saveProjectMetadata,
   readProjectMetadata,
   listProjectFiles,
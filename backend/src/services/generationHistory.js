@@ -0,0 +1,58 @@
+import { getAllProjects } from "../models/Project.js";
+
+// Engines whose runs say nothing about real generations (fixture replay)
+const EXCLUDED_ENGINES = new Set(["mock"]);
+
+/**
+ * Feature set a project is estimated by: its selected features plus multi-tenancy
+ * @param {Object} [config] - Project or generation config
+ * @returns {string[]}
+ */
+export function getFeatureSet(config = {}) {
+  const features = [...(config.features || [])];
+  if (config.multiTenant) {
+    features.push("Multi-Tenant");
+  }
+  return features;
+}
+
+/**
+ * Phase stats of every past generation, one sample per successfully generated phase
+ * @returns {Object[]} - [{ phase, engine, features, inputTokens, outputTokens, elapsed, filesGenerated, lines }]
+ */
+export function getGenerationSamples() {
+  const samples = [];
+  for (const project of getAllProjects()) {
+    const features = getFeatureSet(project.config);
+    for (const phase of project.generationStats?.phases || []) {
+      // Phases served from the response cache say nothing about tokens or time
+      if (phase.error || phase.cacheHits || !phase.outputTokens || EXCLUDED_ENGINES.has(phase.engine)) continue;
+      samples.push({
+        phase: phase.phase,
+        engine: phase.engine,
+        features,
+        inputTokens: phase.inputTokens,
+        outputTokens: phase.outputTokens,
+        elapsed: phase.elapsed || null,
+        filesGenerated: phase.filesGenerated,
+        lines: phase.lines,
+      });
+    }
+  }
+  return samples;
+}
+
+/**
+ * Estimator options for a project config: history plus the project's features
+ * @param {Object} [config] - Project or generation config
+ * @returns {{samples: Object[], features: string[]}}
+ */
+export function getEstimateOptions(config = {}) {
+  return { samples: getGenerationSamples(), features: getFeatureSet(config) };
+}
+
+export default {
+  getFeatureSet,
+  getGenerationSamples,
+  getEstimateOptions,
+};
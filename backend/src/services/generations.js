@@ -0,0 +1,210 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One folder per project, one JSON file per generation run; files are written once and never changed
+const GENERATIONS_DIR = path.join(__dirname, "..", "..", "data", "generations");
+
+// Fields of a record kept in listings; prompts, fixes and the manifest are only in the full record
+const SUMMARY_FIELDS = [
+  "id",
+  "projectId",
+  "status",
+  "projectStatus",
+  "pipeline",
+  "resumed",
+  "startedAt",
+  "finishedAt",
+  "duration",
+  "totals",
+  "error",
+];
+
+/**
+ * Generation run outcome
+ */
+export const GenerationOutcome = {
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+function projectDir(projectId) {
+  return path.join(GENERATIONS_DIR, projectId);
+}
+
+function recordFile(projectId, generationId) {
+  return path.join(projectDir(projectId), `${generationId}.json`);
+}
+
+function readRecord(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`[Generations] Error reading ${file}:`, error);
+    return null;
+  }
+}
+
+function summarize(record) {
+  return Object.fromEntries(SUMMARY_FIELDS.map((field) => [field, record[field] ?? null]));
+}
+
+/**
+ * Manifest of files saved to a project folder
+ * @param {string} projectPath - Project folder
+ * @param {string[]} files - Relative paths
+ * @returns {Object[]} - [{ path, size, lines, hash }] sorted by path; files missing on disk are left out
+ */
+export function buildFileManifest(projectPath, files) {
+  const manifest = [];
+  for (const filePath of [...new Set(files)].sort()) {
+    let content;
+    try {
+      content = fs.readFileSync(path.join(projectPath, filePath));
+    } catch {
+      continue;
+    }
+    manifest.push({
+      path: filePath,
+      size: content.length,
+      lines: content.toString("utf8").split("\n").length,
+      hash: crypto.createHash("sha256").update(content).digest("hex"),
+    });
+  }
+  return manifest;
+}
+
+/**
+ * Store the record of a finished generation run
+ * @param {Object} record - { id, projectId, status, ... }; id is the run ID
+ * @returns {Object|null} - The stored record, null when it could not be written
+ */
+export function recordGeneration(record) {
+  try {
+    fs.mkdirSync(projectDir(record.projectId), { recursive: true });
+    // "wx" keeps a record from ever being overwritten
+    fs.writeFileSync(recordFile(record.projectId, record.id), JSON.stringify(record, null, 2), { flag: "wx" });
+    return record;
+  } catch (error) {
+    // The project itself is updated either way; only the history entry is lost
+    console.error(`[Generations] Error recording generation ${record.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * A project's generation runs, newest first
+ * @param {string} projectId - Project ID
+ * @returns {Object[]} - Record summaries
+ */
+export function listGenerations(projectId) {
+  const dir = projectDir(projectId);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((fileName) => fileName.endsWith(".json"))
+    .map((fileName) => readRecord(path.join(dir, fileName)))
+    .filter(Boolean)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .map(summarize);
+}
+
+/**
+ * Full record of one generation run
+ * @param {string} projectId - Project ID
+ * @param {string} generationId - Generation (run) ID
+ * @returns {Object|null}
+ */
+export function getGeneration(projectId, generationId) {
+  // Ids come from URLs; anything but a plain file name cannot be a record
+  if (path.basename(generationId) !== generationId) return null;
+
+  const file = recordFile(projectId, generationId);
+  return fs.existsSync(file) ? readRecord(file) : null;
+}
+
+/**
+ * What changed from one generation run to another
+ * @param {Object} base - Earlier record
+ * @param {Object} target - Later record
+ * @returns {Object} - { base, target, config, phases, files, totals }
+ *   - config: top-level config keys whose value differs, with both values
+ *   - phases: phases whose engine, token counts, file count or error differ
+ *   - files: paths added, removed and changed (by content hash); unchanged is a count
+ *   - totals: target totals minus base totals
+ */
+export function compareGenerations(base, target) {
+  const config = [];
+  for (const key of new Set([...Object.keys(base.config || {}), ...Object.keys(target.config || {})])) {
+    const from = base.config?.[key] ?? null;
+    const to = target.config?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      config.push({ key, from, to });
+    }
+  }
+
+  const phaseFields = ["engine", "inputTokens", "outputTokens", "filesGenerated", "lines", "error"];
+  const basePhases = new Map(base.phases.map((phase) => [phase.phase, phase]));
+  const targetPhases = new Map(target.phases.map((phase) => [phase.phase, phase]));
+  const phases = [];
+  for (const id of new Set([...basePhases.keys(), ...targetPhases.keys()])) {
+    const from = basePhases.get(id) || {};
+    const to = targetPhases.get(id) || {};
+    const changes = Object.fromEntries(
+      phaseFields
+        .filter((field) => (from[field] ?? null) !== (to[field] ?? null))
+        .map((field) => [field, { from: from[field] ?? null, to: to[field] ?? null }])
+    );
+    if (Object.keys(changes).length > 0) {
+      phases.push({ phase: id, changes });
+    }
+  }
+
+  const baseFiles = new Map(base.files.map((file) => [file.path, file]));
+  const targetFiles = new Map(target.files.map((file) => [file.path, file]));
+  const files = { added: [], removed: [], changed: [], unchanged: 0 };
+  for (const [filePath, file] of targetFiles) {
+    const previous = baseFiles.get(filePath);
+    if (!previous) {
+      files.added.push(filePath);
+    } else if (previous.hash !== file.hash) {
+      files.changed.push({ path: filePath, lines: { from: previous.lines, to: file.lines } });
+    } else {
+      files.unchanged++;
+    }
+  }
+  files.removed = [...baseFiles.keys()].filter((filePath) => !targetFiles.has(filePath));
+
+  const totals = Object.fromEntries(
+    Object.keys(target.totals).map((key) => [
+      key,
+      Math.round(((target.totals[key] || 0) - (base.totals[key] || 0)) * 1_000_000) / 1_000_000,
+    ])
+  );
+
+  return { base: summarize(base), target: summarize(target), config, phases, files, totals };
+}
+
+/**
+ * Remove a project's generation records
+ * @param {string} projectId - Project ID
+ */
+export function deleteProjectGenerations(projectId) {
+  fs.rmSync(projectDir(projectId), { recursive: true, force: true });
+}
+
+export default {
+  GenerationOutcome,
+  buildFileManifest,
+  recordGeneration,
+  listGenerations,
+  getGeneration,
+  compareGenerations,
+  deleteProjectGenerations,
+};
@@ -0,0 +1,434 @@
+import { v4 as uuidv4 } from "uuid";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Every queued, running and finished job, persisted so the queue survives a restart.
+// JOBS_FILE moves it; it is read once, when the queue loads
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+const JOBS_FILE = process.env.JOBS_FILE || path.join(DATA_DIR, "jobs.json");
+
+/**
+ * Kinds of work that go through the queue
+ */
+export const JobType = {
+  GENERATE: "generate",
+  REGENERATE_PHASE: "regenerate-phase",
+  ADD_FEATURE: "add-feature",
+  DEPLOY: "deploy",
+};
+
+/**
+ * Job status enum
+ */
+export const JobStatus = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+/**
+ * Named priorities; higher runs first, jobs of equal priority in arrival order
+ */
+export const JOB_PRIORITIES = {
+  high: 10,
+  normal: 0,
+  low: -10,
+};
+
+const FINISHED_STATUSES = new Set([JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.CANCELLED]);
+
+/**
+ * Jobs run at the same time across every project
+ */
+export function getJobConcurrency() {
+  return Math.max(1, Number(process.env.JOB_QUEUE_CONCURRENCY ?? 2));
+}
+
+/**
+ * Finished jobs kept per project
+ */
+export function getJobHistoryLimit() {
+  return Math.max(1, Number(process.env.JOB_HISTORY_LIMIT ?? 20));
+}
+
+// Load jobs from file
+function loadJobs() {
+  try {
+    if (fs.existsSync(JOBS_FILE)) {
+      const map = new Map();
+      JSON.parse(fs.readFileSync(JOBS_FILE, "utf8")).forEach((job) => map.set(job.id, job));
+      return map;
+    }
+  } catch (error) {
+    console.error("[JobQueue] Error loading jobs:", error);
+  }
+  return new Map();
+}
+
+// Save jobs to file, atomically so a crash mid-write keeps the previous queue
+function saveJobs() {
+  try {
+    if (!fs.existsSync(path.dirname(JOBS_FILE))) {
+      fs.mkdirSync(path.dirname(JOBS_FILE), { recursive: true });
+    }
+    const tmp = `${JOBS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(jobs.values()), null, 2));
+    fs.renameSync(tmp, JOBS_FILE);
+  } catch (error) {
+    console.error("[JobQueue] Error saving jobs:", error);
+  }
+}
+
+const jobs = loadJobs();
+const handlers = new Map();
+const listeners = new Set();
+// In-process state of jobs: abort controllers of running jobs, waiters of any job
+const controllers = new Map();
+const waiters = new Map();
+// Status and position each listener last heard about, so unchanged jobs are not re-announced
+const announced = new Map();
+let started = false;
+
+/**
+ * Turn a priority from a request into a number. Only the named priorities are
+ * accepted, so no request can outrank "high" jobs with a larger number.
+ * @param {string|undefined} priority - "high", "normal" or "low"
+ * @returns {number|null} - Numeric priority, or null if invalid
+ */
+export function normalizePriority(priority) {
+  if (priority === undefined || priority === null) return JOB_PRIORITIES.normal;
+  return Object.hasOwn(JOB_PRIORITIES, priority) ? JOB_PRIORITIES[priority] : null;
+}
+
+/**
+ * Queued jobs in the order they will start
+ */
+function getQueuedJobs() {
+  return Array.from(jobs.values())
+    .filter((job) => job.status === JobStatus.QUEUED)
+    .sort((a, b) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Position of a queued job, 1 being the next to start
+ * @param {string} jobId - Job ID
+ * @returns {number|null} - Position, or null if the job is not queued
+ */
+export function getQueuePosition(jobId) {
+  const index = getQueuedJobs().findIndex((job) => job.id === jobId);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * A job with its current queue position
+ * @param {string} jobId - Job ID
+ * @returns {Object|null}
+ */
+export function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? { ...job, position: getQueuePosition(jobId) } : null;
+}
+
+/**
+ * A project's queued or running job
+ * @param {string} projectId - Project ID
+ * @param {string} [type] - Only jobs of this type
+ * @returns {Object|null} - Job with its queue position
+ */
+export function getActiveJob(projectId, type = null) {
+  for (const job of jobs.values()) {
+    if (job.projectId !== projectId || FINISHED_STATUSES.has(job.status)) continue;
+    if (type && job.type !== type) continue;
+    return getJob(job.id);
+  }
+  return null;
+}
+
+/**
+ * Job history of a project, newest first
+ * @param {string} projectId - Project ID
+ * @returns {Object[]} - Jobs with their queue positions
+ */
+export function getProjectJobs(projectId) {
+  return Array.from(jobs.values())
+    .filter((job) => job.projectId === projectId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((job) => getJob(job.id));
+}
+
+/**
+ * Queue totals
+ * @returns {{queued: number, running: number, concurrency: number}}
+ */
+export function getQueueStats() {
+  let queued = 0;
+  let running = 0;
+  for (const job of jobs.values()) {
+    if (job.status === JobStatus.QUEUED) queued++;
+    if (job.status === JobStatus.RUNNING) running++;
+  }
+  return { queued, running, concurrency: getJobConcurrency() };
+}
+
+/**
+ * Register the function that runs jobs of a type. It is called with the job
+ * and { signal } (aborted by cancelJob) and its return value becomes the job
+ * result: a result with `cancelled: true` marks the job cancelled, one with
+ * `success: false` marks it failed; a thrown error fails the job.
+ * @param {string} type - JobType
+ * @param {function(Object, {signal: AbortSignal}): Promise<*>} handler
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Listen for queue changes (a job queued, started, finished or cancelled)
+ * @param {function(Object): void} listener - Called with the job that changed
+ * @returns {function(): void} - Unsubscribe
+ */
+export function onQueueChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify(job) {
+  const current = getJob(job.id);
+  const state = `${current.status}:${current.position}`;
+  if (announced.get(job.id) === state) return;
+  if (FINISHED_STATUSES.has(current.status)) {
+    announced.delete(job.id);
+  } else {
+    announced.set(job.id, state);
+  }
+
+  for (const listener of listeners) {
+    try {
+      listener(current);
+    } catch (error) {
+      console.error("[JobQueue] Listener error:", error);
+    }
+  }
+}
+
+/**
+ * Drop the oldest finished jobs of a project beyond the history limit
+ */
+function pruneHistory(projectId) {
+  const finished = Array.from(jobs.values())
+    .filter((job) => job.projectId === projectId && FINISHED_STATUSES.has(job.status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  for (const job of finished.slice(getJobHistoryLimit())) {
+    jobs.delete(job.id);
+  }
+}
+
+function finishJob(job, status, { result = null, error = null } = {}) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.result = result;
+  job.error = error;
+  controllers.delete(job.id);
+  pruneHistory(job.projectId);
+  saveJobs();
+
+  console.log(`[JobQueue] ${job.type} job ${job.id.slice(0, 8)} ${status}${error ? `: ${error}` : ""}`);
+
+  for (const waiter of waiters.get(job.id) || []) {
+    waiter(getJob(job.id));
+  }
+  waiters.delete(job.id);
+  notify(job);
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  job.status = JobStatus.RUNNING;
+  job.startedAt = new Date().toISOString();
+  job.attempts = (job.attempts || 0) + 1;
+  saveJobs();
+  notify(job);
+
+  console.log(`[JobQueue] Starting ${job.type} job ${job.id.slice(0, 8)} for project ${job.projectId.slice(0, 8)}`);
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for ${job.type} jobs`);
+    }
+
+    const result = await handler(job, { signal: controller.signal });
+    if (result?.cancelled) {
+      finishJob(job, JobStatus.CANCELLED, { result, error: result.error || "Cancelled" });
+    } else if (result?.success === false) {
+      finishJob(job, JobStatus.FAILED, { result, error: result.error || "Job failed" });
+    } else {
+      finishJob(job, JobStatus.COMPLETED, { result });
+    }
+  } catch (error) {
+    finishJob(job, controller.signal.aborted ? JobStatus.CANCELLED : JobStatus.FAILED, {
+      error: error.message,
+    });
+  }
+
+  drain();
+}
+
+/**
+ * Start queued jobs while workers are free. A project runs one job at a
+ * time, so a regeneration queued behind its project's generation waits for it.
+ */
+function drain() {
+  if (!started) return;
+
+  const busyProjects = new Set();
+  let running = 0;
+  for (const job of jobs.values()) {
+    if (job.status === JobStatus.RUNNING) {
+      busyProjects.add(job.projectId);
+      running++;
+    }
+  }
+
+  for (const job of getQueuedJobs()) {
+    if (running >= getJobConcurrency()) break;
+    if (busyProjects.has(job.projectId)) continue;
+
+    busyProjects.add(job.projectId);
+    running++;
+    runJob(job);
+  }
+
+  // Everyone still waiting has moved up
+  for (const job of getQueuedJobs()) {
+    notify(job);
+  }
+}
+
+/**
+ * Add a job to the queue
+ * @param {Object} options
+ * @param {string} options.type - JobType
+ * @param {string} options.projectId - Project the job works on
+ * @param {string} [options.userId] - User who queued it
+ * @param {number} [options.priority] - Numeric priority (see normalizePriority)
+ * @param {Object} [options.payload] - JSON-serializable input for the handler
+ * @returns {Object} - The job with its position; already running when a worker was free
+ */
+export function enqueueJob({ type, projectId, userId, priority = JOB_PRIORITIES.normal, payload = {} }) {
+  const job = {
+    id: uuidv4(),
+    type,
+    projectId,
+    userId: userId || "anonymous",
+    priority,
+    status: JobStatus.QUEUED,
+    payload,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+
+  jobs.set(job.id, job);
+  saveJobs();
+  console.log(`[JobQueue] Queued ${type} job ${job.id.slice(0, 8)} (priority ${priority}, position ${getQueuePosition(job.id)})`);
+  notify(job);
+
+  drain();
+  return getJob(job.id);
+}
+
+/**
+ * Wait for a job to finish
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - The finished job (see getJob)
+ */
+export function waitForJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || FINISHED_STATUSES.has(job.status)) {
+    return Promise.resolve(getJob(jobId));
+  }
+  return new Promise((resolve) => {
+    waiters.set(jobId, [...(waiters.get(jobId) || []), resolve]);
+  });
+}
+
+/**
+ * Cancel a job: a queued job is taken off the queue, a running one has its
+ * signal aborted and finishes once its handler has wound down
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - The finished job, or null if it was not queued or running
+ */
+export async function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || FINISHED_STATUSES.has(job.status)) return null;
+
+  if (job.status === JobStatus.QUEUED) {
+    finishJob(job, JobStatus.CANCELLED, { error: "Cancelled before it started" });
+    drain();
+    return getJob(jobId);
+  }
+
+  controllers.get(jobId)?.abort();
+  return waitForJob(jobId);
+}
+
+/**
+ * Settle jobs a previous server process left behind and start the workers.
+ * Queued jobs survive a restart and run again; jobs that were running cannot
+ * be picked up where they stopped and are marked failed.
+ * @returns {{requeued: number, failed: number}}
+ */
+export function startJobQueue() {
+  const result = { requeued: 0, failed: 0 };
+
+  for (const job of jobs.values()) {
+    if (job.status === JobStatus.RUNNING) {
+      job.status = JobStatus.FAILED;
+      job.finishedAt = new Date().toISOString();
+      job.error = "Interrupted by a server restart";
+      result.failed++;
+    } else if (job.status === JobStatus.QUEUED) {
+      result.requeued++;
+    }
+  }
+  if (result.failed > 0) saveJobs();
+
+  if (result.requeued + result.failed > 0) {
+    console.log(`[JobQueue] Recovered jobs: ${result.requeued} queued, ${result.failed} interrupted`);
+  }
+
+  started = true;
+  drain();
+  return result;
+}
+
+export default {
+  JobType,
+  JobStatus,
+  JOB_PRIORITIES,
+  getJobConcurrency,
+  getJobHistoryLimit,
+  normalizePriority,
+  getQueuePosition,
+  getJob,
+  getActiveJob,
+  getProjectJobs,
+  getQueueStats,
+  registerJobHandler,
+  onQueueChange,
+  enqueueJob,
+  waitForJob,
+  cancelJob,
+  startJobQueue,
+};
@@ -0,0 +1,188 @@
+import { v4 as uuidv4 } from "uuid";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Append-only JSON Lines file: one engine call per line
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+const LEDGER_FILE = path.join(DATA_DIR, "ledger.jsonl");
+
+/**
+ * Fields a spend summary can be grouped by, mapped to the group key of an entry
+ */
+export const LEDGER_GROUP_BY = {
+  project: (entry) => entry.projectId,
+  user: (entry) => entry.userId,
+  engine: (entry) => entry.engine,
+  model: (entry) => entry.model || "unknown",
+  phase: (entry) => entry.phase || "unknown",
+  day: (entry) => entry.timestamp.slice(0, 10),
+};
+
+/**
+ * Record one engine call
+ * @param {Object} usage
+ * @param {string} usage.projectId - Project the call was made for
+ * @param {string} usage.userId - Owner of the project
+ * @param {string} [usage.phase] - Generation phase
+ * @param {string} usage.engine - Engine that served the call
+ * @param {string} [usage.model] - Model that served the call
+ * @param {number} usage.inputTokens - Prompt tokens
+ * @param {number} usage.outputTokens - Completion tokens
+ * @param {number} usage.cost - USD cost computed from the ai-engine pricing table
+ * @returns {Object} - The stored entry
+ */
+export function recordUsage(usage) {
+  const entry = {
+    id: uuidv4(),
+    timestamp: new Date().toISOString(),
+    projectId: usage.projectId,
+    userId: usage.userId || "anonymous",
+    phase: usage.phase || null,
+    engine: usage.engine,
+    model: usage.model || null,
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    cost: usage.cost || 0,
+  };
+
+  try {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.appendFileSync(LEDGER_FILE, JSON.stringify(entry) + "\n");
+  } catch (error) {
+    // Never fail a generation because accounting could not be written
+    console.error("[Ledger] Error recording usage:", error);
+  }
+
+  return entry;
+}
+
+/**
+ * Read every ledger entry, oldest first
+ * @returns {Object[]}
+ */
+function readLedger() {
+  if (!fs.existsSync(LEDGER_FILE)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of fs.readFileSync(LEDGER_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      console.error("[Ledger] Skipping malformed line");
+    }
+  }
+  return entries;
+}
+
+/**
+ * Parse a from/to query value. Date-only "to" values cover the whole day.
+ * @param {string} value - ISO date or timestamp
+ * @param {boolean} endOfDay - Whether a date-only value means the end of that day
+ * @returns {number|null} - Epoch ms, or null when not set
+ */
+export function parseLedgerDate(value, endOfDay = false) {
+  if (!value) return null;
+
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(isDateOnly ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(time)) {
+    const error = new Error(`Invalid date: ${value}. Use YYYY-MM-DD or an ISO timestamp`);
+    error.code = "INVALID_DATE";
+    throw error;
+  }
+
+  return isDateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Filter ledger entries
+ * @param {Object} [filters]
+ * @param {string} [filters.projectId]
+ * @param {string} [filters.userId]
+ * @param {string} [filters.engine]
+ * @param {string} [filters.from] - Inclusive start (date or timestamp)
+ * @param {string} [filters.to] - Inclusive end (date or timestamp)
+ * @returns {Object[]}
+ */
+export function queryLedger(filters = {}) {
+  const from = parseLedgerDate(filters.from);
+  const to = parseLedgerDate(filters.to, true);
+
+  return readLedger().filter((entry) => {
+    const time = Date.parse(entry.timestamp);
+    return (
+      (!filters.projectId || entry.projectId === filters.projectId) &&
+      (!filters.userId || entry.userId === filters.userId) &&
+      (!filters.engine || entry.engine === filters.engine) &&
+      (from === null || time >= from) &&
+      (to === null || time <= to)
+    );
+  });
+}
+
+function addToTotals(totals, entry) {
+  totals.calls += 1;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.cost += entry.cost;
+  return totals;
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+function roundCost(totals) {
+  return { ...totals, cost: Math.round(totals.cost * 1_000_000) / 1_000_000 };
+}
+
+/**
+ * Summarize spend, optionally grouped
+ * @param {Object} [filters] - Same filters as queryLedger
+ * @param {string} [groupBy] - One of LEDGER_GROUP_BY's keys
+ * @returns {{groupBy: string|null, totals: Object, groups: Object[]}}
+ */
+export function summarizeLedger(filters = {}, groupBy = null) {
+  if (groupBy && !LEDGER_GROUP_BY[groupBy]) {
+    const error = new Error(`Invalid groupBy: ${groupBy}. Use one of: ${Object.keys(LEDGER_GROUP_BY).join(", ")}`);
+    error.code = "INVALID_GROUP_BY";
+    throw error;
+  }
+
+  const entries = queryLedger(filters);
+  const totals = entries.reduce(addToTotals, emptyTotals());
+
+  const groups = new Map();
+  if (groupBy) {
+    const keyOf = LEDGER_GROUP_BY[groupBy];
+    for (const entry of entries) {
+      const key = keyOf(entry);
+      groups.set(key, addToTotals(groups.get(key) || emptyTotals(), entry));
+    }
+  }
+
+  return {
+    groupBy,
+    totals: roundCost(totals),
+    groups: Array.from(groups.entries())
+      .map(([key, groupTotals]) => ({ key, ...roundCost(groupTotals) }))
+      .sort((a, b) => (groupBy === "day" ? a.key.localeCompare(b.key) : b.cost - a.cost)),
+  };
+}
+
+export default {
+  recordUsage,
+  queryLedger,
+  summarizeLedger,
+  parseLedgerDate,
+  LEDGER_GROUP_BY,
+};
@@ -0,0 +1,255 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+
+const execFileAsync = promisify(execFile);
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One JSON file per project: the last generated content of every file (the
+// merge base) and the conflicts waiting for the user
+const DEFAULT_MERGES_DIR = path.join(__dirname, "..", "..", "data", "merges");
+
+/**
+ * Directory of the merge state files (MERGES_DIR, default data/merges)
+ */
+export function getMergesDir() {
+  return process.env.MERGES_DIR || DEFAULT_MERGES_DIR;
+}
+
+/**
+ * How a phase regeneration writes its files
+ */
+export const RegenerationMode = {
+  OVERWRITE: "overwrite", // Replace files with the new generation
+  MERGE: "merge", // Three-way merge with the user's edits
+  PROPOSE: "propose", // Pending change set to review; nothing is written until it is applied
+};
+
+/**
+ * What a merge did with a file
+ */
+export const MergeStatus = {
+  ADDED: "added", // New file
+  UPDATED: "updated", // Not edited by the user, replaced with the new generation
+  MERGED: "merged", // User edits and new generation merged without conflicts
+  UNCHANGED: "unchanged", // Already matches the new generation
+  KEPT: "kept", // Edited by the user, generated the same as before; the edits stay
+  CONFLICT: "conflict", // Left as the user has it, waiting for resolution
+};
+
+/**
+ * Why a file could not be merged
+ */
+export const ConflictReason = {
+  CONFLICTING_EDITS: "conflicting-edits", // User edits and new generation change the same lines
+  DELETED: "deleted", // The user deleted a file the new generation still has
+  NO_BASE: "no-base", // The file differs and its previously generated version is unknown
+};
+
+function stateFile(projectId) {
+  return path.join(getMergesDir(), `${projectId}.json`);
+}
+
+function readState(projectId) {
+  const file = stateFile(projectId);
+  if (!fs.existsSync(file)) return { baseline: {}, conflicts: {} };
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`[Merging] Error reading merge state for ${projectId}:`, error);
+    return { baseline: {}, conflicts: {} };
+  }
+}
+
+function writeState(projectId, state) {
+  fs.mkdirSync(getMergesDir(), { recursive: true });
+  const file = stateFile(projectId);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Remember generated content as the merge base of its files, once it is
+ * saved. Earlier conflicts of those files are dropped, the new content
+ * supersedes them.
+ * @param {string} projectId - Project ID
+ * @param {Object<string, string>} files - Path to generated content
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Forget every other file (a full generation)
+ * @param {Object[]} [options.conflicts] - Conflicts a merge left for resolution (see mergeGeneratedFiles)
+ */
+export function saveBaseline(projectId, files, options = {}) {
+  const state = readState(projectId);
+  if (options.replace) {
+    state.baseline = {};
+    state.conflicts = {};
+  }
+  for (const [filePath, content] of Object.entries(files)) {
+    state.baseline[filePath] = content;
+    delete state.conflicts[filePath];
+  }
+  const createdAt = new Date().toISOString();
+  for (const conflict of options.conflicts || []) {
+    state.conflicts[conflict.path] = { ...conflict, createdAt };
+  }
+
+  try {
+    writeState(projectId, state);
+  } catch (error) {
+    // Without a base the next merge reports these files as conflicts instead of merging them
+    console.error("[Merging] Error saving baseline:", error);
+  }
+}
+
+/**
+ * Three-way merge of one file's text with git merge-file
+ * @param {string} ours - The user's version
+ * @param {string} base - Version both sides started from
+ * @param {string} theirs - New generation
+ * @returns {Promise<{content: string, conflicts: number}>} - Conflicting hunks are kept in diff3 markers
+ */
+export async function mergeText(ours, base, theirs) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "merge-"));
+  const [oursFile, baseFile, theirsFile] = ["ours", "base", "theirs"].map((name) => path.join(dir, name));
+  fs.writeFileSync(oursFile, ours);
+  fs.writeFileSync(baseFile, base);
+  fs.writeFileSync(theirsFile, theirs);
+
+  const args = ["merge-file", "-p", "--diff3", "-L", "edited", "-L", "generated", "-L", "regenerated"];
+  try {
+    const { stdout } = await execFileAsync("git", [...args, oursFile, baseFile, theirsFile], {
+      maxBuffer: 20 * 1024 * 1024,
+    });
+    return { content: stdout, conflicts: 0 };
+  } catch (error) {
+    // The exit code is the number of conflicts; negative codes are errors
+    if (Number.isInteger(error.code) && error.code > 0 && error.code < 128) {
+      return { content: error.stdout, conflicts: error.code };
+    }
+    throw error;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Merge a phase's new generation with the project folder's current files,
+ * using the last generated content as the base. Nothing is written: the
+ * caller saves `files`, then hands the generation and the conflicts to
+ * saveBaseline.
+ * @param {string} projectId - Project ID
+ * @param {string} projectPath - Project folder
+ * @param {Object<string, string>} generated - Path to newly generated content
+ * @param {Object} [details] - Stored with each conflict (e.g. { phase })
+ * @returns {Promise<{files: Object<string, string>, results: Object[], conflicts: Object[]}>}
+ *   - files: content to write (added, updated and merged files)
+ *   - results: [{ path, status, reason?, conflicts? }] for every generated file
+ *   - conflicts: [{ path, reason, conflicts, ours, base, theirs, merged?, ...details }]
+ */
+export async function mergeGeneratedFiles(projectId, projectPath, generated, details = {}) {
+  const { baseline } = readState(projectId);
+  const files = {};
+  const results = [];
+  const pending = {};
+
+  for (const [filePath, theirs] of Object.entries(generated)) {
+    const fullPath = path.join(projectPath, filePath);
+    const ours = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf8") : null;
+    const base = baseline[filePath] ?? null;
+    const conflict = (reason, extra = {}) => {
+      pending[filePath] = { path: filePath, reason, conflicts: null, ours, base, theirs, ...details, ...extra };
+      results.push({ path: filePath, status: MergeStatus.CONFLICT, reason });
+    };
+
+    if (ours === theirs) {
+      results.push({ path: filePath, status: MergeStatus.UNCHANGED });
+    } else if (ours === null && base === null) {
+      files[filePath] = theirs;
+      results.push({ path: filePath, status: MergeStatus.ADDED });
+    } else if (ours === null) {
+      conflict(ConflictReason.DELETED);
+    } else if (ours !== null && base === theirs) {
+      results.push({ path: filePath, status: MergeStatus.KEPT });
+    } else if (ours === base) {
+      files[filePath] = theirs;
+      results.push({ path: filePath, status: MergeStatus.UPDATED });
+    } else if (base === null) {
+      conflict(ConflictReason.NO_BASE);
+    } else {
+      const merged = await mergeText(ours, base, theirs);
+      if (merged.conflicts === 0) {
+        files[filePath] = merged.content;
+        results.push({ path: filePath, status: MergeStatus.MERGED });
+      } else {
+        conflict(ConflictReason.CONFLICTING_EDITS, { merged: merged.content, conflicts: merged.conflicts });
+        results.at(-1).conflicts = merged.conflicts;
+      }
+    }
+  }
+
+  return { files, results, conflicts: Object.values(pending) };
+}
+
+/**
+ * Conflicts waiting for resolution
+ * @param {string} projectId - Project ID
+ * @returns {Object[]} - [{ path, reason, phase, createdAt, conflicts, ours, base, theirs, merged? }]
+ *   - ours is the user's version (null when deleted), theirs the new generation, base the
+ *     version both started from (null when unknown), merged the diff3 result with markers
+ */
+export function getConflicts(projectId) {
+  return Object.values(readState(projectId).conflicts);
+}
+
+/**
+ * Settle a conflict and forget it. The caller writes the returned content.
+ * @param {string} projectId - Project ID
+ * @param {string} filePath - Conflicted path
+ * @param {Object} resolution - { keep: "ours" | "theirs" } or { content } for a hand-merged version
+ * @returns {{conflict: Object, content: string|null}|null} - content null leaves the file deleted;
+ *   null when the path has no conflict
+ */
+export function resolveConflict(projectId, filePath, resolution) {
+  const state = readState(projectId);
+  const conflict = state.conflicts[filePath];
+  if (!conflict) return null;
+
+  delete state.conflicts[filePath];
+  writeState(projectId, state);
+
+  const content =
+    typeof resolution.content === "string"
+      ? resolution.content
+      : resolution.keep === "theirs"
+        ? conflict.theirs
+        : conflict.ours;
+  return { conflict, content };
+}
+
+/**
+ * Remove a project's merge base and conflicts
+ * @param {string} projectId - Project ID
+ */
+export function deleteProjectMergeState(projectId) {
+  fs.rmSync(stateFile(projectId), { force: true });
+}
+
+export default {
+  getMergesDir,
+  RegenerationMode,
+  MergeStatus,
+  ConflictReason,
+  saveBaseline,
+  mergeText,
+  mergeGeneratedFiles,
+  getConflicts,
+  resolveConflict,
+  deleteProjectMergeState,
+};
@@ -24,7 +24,7 @@ async function initializeGenerator() {
 }
 
 /**
- * Generation phases available
+ * Prompt builders available to batch pipeline phases
  */
 export const GENERATION_PHASES = {
   BACKEND: "backend",
@@ -34,9 +34,15 @@ export const GENERATION_PHASES = {
   DOCUMENTATION: "documentation",
 };
 
+/**
+ * Project type whose pipeline runs when a project does not name one
+ */
+export const DEFAULT_PROJECT_TYPE = "fullstack";
+
 /**
  * Generate multiple files for a complete application using batch processing
- * Generates in phases to avoid token limits:
+ * Generates in phases to avoid token limits. The phases come from the
+ * project type's pipeline definition (ai-engine/pipelines); for "fullstack":
  * 1. Backend (server.js, routes, models, services, middleware)
  * 2. Frontend (Next.js pages, components, lib)
  * 3. Database (schema, migrations, seeds)
@@ -50,17 +56,23 @@ export const GENERATION_PHASES = {
  * @param {string} config.industry - Industry type
  * @param {boolean} config.multiTenant - Whether multi-tenant
  * @param {string} config.authentication - Authentication type
+ * @param {string} [config.stack] - Backend stack profile id (default "express-sequelize")
  * @param {Function} [onProgress] - Optional progress callback
+ * @param {Object} [options] - Generation options
+ * @param {string|Object} [options.pipeline] - Pipeline name or loaded definition (default "fullstack")
+ * @param {string|Object} [options.engineConfig] - Per-phase engine config (preset name, wizard selection or phase map)
+ * @param {string} [options.engine] - Engine id to use for every phase (e.g. "mock")
  * @returns {Promise<{files: Object<string, string>, stats: Object, phases: Object[]}>}
  */
-export async function generateMultipleFiles(config, onProgress = null) {
+export async function generateMultipleFiles(config, onProgress = null, options = {}) {
   await initializeGenerator();
 
+  const pipeline = multiFileGen.resolvePipeline(options.pipeline);
   console.log("[MultiFileGenerator] Starting batch generation for:", config.name);
-  console.log("[MultiFileGenerator] Phases: backend, frontend, database, infrastructure, documentation");
+  console.log(`[MultiFileGenerator] Phases: ${pipeline.phases.map((p) => p.id).join(", ")}`);
 
   try {
-    const result = await multiFileGen.generateMultipleFiles(config, onProgress);
+    const result = await multiFileGen.generateMultipleFiles(config, onProgress, options);
     console.log(`[MultiFileGenerator] Complete: ${result.stats.totalFiles} files generated`);
     return result;
   } catch (error) {
@@ -71,17 +83,19 @@ export async function generateMultipleFiles(config, onProgress = null) {
 
 /**
  * Generate a single phase only (for retry or partial generation)
- * @param {string} phase - The phase to generate (backend, frontend, database, infrastructure, documentation)
+ * @param {string} phase - The phase to generate (a phase id of the pipeline)
  * @param {Object} config - Project configuration
- * @returns {Promise<{files: Object<string, string>, stats: Object}>}
+ * @param {Object} [options] - Generation options (see generateMultipleFiles)
+ * @param {Object<string, string[]>} [options.inputs] - File paths generated by the phases this one builds on
+ * @returns {Promise<{files: Object<string, string>, stats: Object, fixes: string[], prompt: string}>}
  */
-export async function generateSinglePhase(phase, config) {
+export async function generateSinglePhase(phase, config, options = {}) {
   await initializeGenerator();
 
   console.log(`[MultiFileGenerator] Generating single phase: ${phase}`);
 
   try {
-    const result = await multiFileGen.generateSinglePhase(phase, config);
+    const result = await multiFileGen.generateSinglePhase(phase, config, options);
     console.log(`[MultiFileGenerator] Phase ${phase}: ${result.stats.filesGenerated} files generated`);
     return result;
   } catch (error) {
@@ -93,13 +107,15 @@ export async function generateSinglePhase(phase, config) {
 /**
  * Generate specific components only (incremental generation)
  * @param {Object} config - What to generate
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.engine] - Engine id (default "claude")
  * @returns {Promise<{files: Object<string, string>}>}
  */
-export async function generateComponents(config) {
+export async function generateComponents(config, options = {}) {
   await initializeGenerator();
 
   try {
-    const result = await multiFileGen.generateComponents(config);
+    const result = await multiFileGen.generateComponents(config, options);
     return result;
   } catch (error) {
     console.error("[MultiFileGenerator] Component generation failed:", error.message);
@@ -107,27 +123,210 @@ export async function generateComponents(config) {
   }
 }
 
+/**
+ * Generate the new and changed files that add one feature to an existing app
+ * @param {Object} config - Project configuration
+ * @param {Object} options - Generation options (see ai-engine generateFeature)
+ * @param {{name: string, description?: string}} options.feature - Feature to add
+ * @param {{files: Object<string, string>, paths: string[]}} options.context - Current content of the
+ *   feature context files and every path in the project
+ * @returns {Promise<{files: Object<string, string>, stats: Object, fixes: string[], prompt: string}>}
+ */
+export async function generateFeature(config, options) {
+  await initializeGenerator();
+
+  console.log(`[MultiFileGenerator] Generating feature: ${options.feature.name}`);
+
+  try {
+    const result = await multiFileGen.generateFeature(config, options);
+    console.log(`[MultiFileGenerator] Feature ${options.feature.name}: ${result.stats.filesGenerated} files generated`);
+    return result;
+  } catch (error) {
+    console.error(`[MultiFileGenerator] Feature ${options.feature.name} failed:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Ask the engine for a fix of generated code that fails its runtime tests
+ * @param {Object} config - Project configuration
+ * @param {Object} options - Generation options (see ai-engine generateTestFix)
+ * @param {Object} options.failure - { error, stderr, tests } of the failed test run
+ * @param {{files: Object<string, string>, paths: string[]}} options.context - Current content of the
+ *   files the failure implicates and every path in the project
+ * @returns {Promise<{files: Object<string, string>, stats: Object, prompt: string}>}
+ */
+export async function generateTestFix(config, options) {
+  await initializeGenerator();
+
+  try {
+    return await multiFileGen.generateTestFix(config, options);
+  } catch (error) {
+    console.error("[MultiFileGenerator] Test fix failed:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the ids of all registered AI engines
+ * @returns {Promise<string[]>}
+ */
+export async function getAvailableEngines() {
+  const enginesUrl = pathToFileURL(join(AI_ENGINE_PATH, "engines", "index.js")).href;
+  const enginesModule = await import(enginesUrl);
+  return enginesModule.getAllEngines().map((engine) => engine.id);
+}
+
+/**
+ * Get the ids of the engines that run on the user's own infrastructure (see AIEngine.selfHosted)
+ * @returns {Promise<string[]>}
+ */
+export async function getSelfHostedEngines() {
+  const enginesUrl = pathToFileURL(join(AI_ENGINE_PATH, "engines", "index.js")).href;
+  const enginesModule = await import(enginesUrl);
+  return enginesModule
+    .getAllEngines()
+    .filter((engine) => engine.selfHosted)
+    .map((engine) => engine.id);
+}
+
+/**
+ * Load the batch pipeline definition for a project type
+ * @param {string} [projectType] - Pipeline name (default "fullstack")
+ * @returns {Promise<Object>} - Normalized definition ({ name, description, mode, phases, order })
+ * @throws {Error} With code INVALID_PIPELINE for unknown or invalid definitions
+ */
+export async function loadPipeline(projectType = DEFAULT_PROJECT_TYPE) {
+  await initializeGenerator();
+  const runner = await import(pathToFileURL(join(AI_ENGINE_PATH, "pipelineRunner.js")).href);
+  // Project types come from requests, so only names of listed definitions are loaded
+  return multiFileGen.resolvePipeline(runner.loadPipelineByName(projectType || DEFAULT_PROJECT_TYPE));
+}
+
+/**
+ * List every pipeline definition (batch project types and staged pipelines)
+ * @returns {Promise<Object[]>} - [{ name, description, mode, phases: [{ id, label, inputs }] }]
+ */
+export async function listPipelines() {
+  const runner = await import(pathToFileURL(join(AI_ENGINE_PATH, "pipelineRunner.js")).href);
+  return runner.listPipelines();
+}
+
+/**
+ * Run a pipeline's phases as a DAG (see ai-engine/src/pipelineRunner.js)
+ * @param {Object} pipeline - Loaded definition
+ * @param {function(Object, Object, Object): Promise<*>} runPhase - (phase, inputs, control) => output
+ * @param {Object} [options] - { concurrency, haltOnFailure }
+ * @returns {Promise<{outputs: Object, failed: Object, skipped: Object, halted: string[], haltReason: string|null}>}
+ */
+export async function runPipeline(pipeline, runPhase, options = {}) {
+  const runner = await import(pathToFileURL(join(AI_ENGINE_PATH, "pipelineRunner.js")).href);
+  return runner.runPipeline(pipeline, runPhase, options);
+}
+
+/**
+ * Resolve which engine runs each batch phase
+ * @param {string|Object} [engineConfig] - Preset name, wizard selection ({ preset, custom }) or phase map
+ * @param {string} [overrideEngine] - Engine id that replaces every phase's engine
+ * @param {string|Object} [pipeline] - Pipeline name or loaded definition (default "fullstack")
+ * @returns {Promise<Object<string, string>>} - Map of phase to engine id
+ */
+export async function resolvePhaseEngines(engineConfig, overrideEngine = null, pipeline = DEFAULT_PROJECT_TYPE) {
+  await initializeGenerator();
+  return multiFileGen.resolvePhaseEngines(engineConfig, overrideEngine, pipeline);
+}
+
+/**
+ * Estimate tokens, cost and time of a full batch generation
+ * @param {string|Object} [engineConfig] - Preset name, wizard selection ({ preset, custom }) or phase map
+ * @param {string} [overrideEngine] - Engine id that replaces every phase's engine
+ * @param {Object} [options] - { samples, features, confidence, pipeline } (see generationHistory.getEstimateOptions)
+ * @returns {Promise<{phases: Object[], tokens: number, cost: number, total: Object, confidence: number, samples: number}>}
+ */
+export async function estimateBatchGeneration(engineConfig, overrideEngine = null, options = {}) {
+  await initializeGenerator();
+  return multiFileGen.estimateBatchGeneration(engineConfig, overrideEngine, options);
+}
+
+/**
+ * Estimate tokens and cost of one phase on an engine
+ * @param {string} phase - Generation phase
+ * @param {string} engineName - Engine id
+ * @param {Object} [options] - { samples, features, pipeline } (see generationHistory.getEstimateOptions)
+ * @returns {Promise<{phase: string, engine: string, tokens: number, cost: number, range: Object}>}
+ */
+export async function estimatePhase(phase, engineName, options = {}) {
+  await initializeGenerator();
+  return multiFileGen.estimatePhase(phase, engineName, options);
+}
+
 /**
  * Get critical files for a phase (for validation)
+ * @param {string} [stack] - Stack profile id of the project (default "express-sequelize")
  */
-export async function getCriticalFiles() {
+export async function getCriticalFiles(stack) {
   await initializeGenerator();
-  return multiFileGen.CRITICAL_FILES;
+  return multiFileGen.getCriticalFiles(stack);
+}
+
+/**
+ * Files a feature generation gets as context (see ai-engine getFeatureContextFiles)
+ * @param {string} [stack] - Stack profile id of the project (default "express-sequelize")
+ */
+export async function getFeatureContextFiles(stack) {
+  await initializeGenerator();
+  return multiFileGen.getFeatureContextFiles(stack);
+}
+
+/**
+ * Get the stack profile a project's backend is generated in
+ * @param {string} [stack] - Stack profile id (default "express-sequelize")
+ * @returns {Promise<Object>} - Profile (see ai-engine/src/stackProfiles.js)
+ * @throws {Error} With code INVALID_STACK for unknown ids
+ */
+export async function getStackProfile(stack) {
+  const stacks = await import(pathToFileURL(join(AI_ENGINE_PATH, "stackProfiles.js")).href);
+  return stacks.getStackProfile(stack);
+}
+
+/**
+ * List the stacks a project can select
+ * @returns {Promise<Object[]>} - [{ id, name, description, framework, orm, language, default }]
+ */
+export async function listStackProfiles() {
+  const stacks = await import(pathToFileURL(join(AI_ENGINE_PATH, "stackProfiles.js")).href);
+  return stacks.listStackProfiles();
 }
 
 /**
  * Parse multi-file response (utility function)
+ * @param {string} response - Raw response text
+ * @param {string} [format] - "markers" (default) or "manifest", the format of the completion
  */
-export async function parseMultiFileResponse(response) {
+export async function parseMultiFileResponse(response, format) {
   await initializeGenerator();
-  return multiFileGen.parseMultiFileResponse(response);
+  return multiFileGen.parseMultiFileResponse(response, format);
 }
 
 export default {
   generateMultipleFiles,
   generateSinglePhase,
   generateComponents,
+  generateFeature,
+  generateTestFix,
+  getAvailableEngines,
+  getSelfHostedEngines,
+  loadPipeline,
+  listPipelines,
+  runPipeline,
+  resolvePhaseEngines,
+  estimateBatchGeneration,
+  estimatePhase,
   getCriticalFiles,
+  getFeatureContextFiles,
+  getStackProfile,
+  listStackProfiles,
   parseMultiFileResponse,
   GENERATION_PHASES,
+  DEFAULT_PROJECT_TYPE,
 };
@@ -0,0 +1,293 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs";
+import path from "path";
+
+const execFileAsync = promisify(execFile);
+
+// Identity of the commits the platform makes in generated apps
+const GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: "AI Platform",
+  GIT_AUTHOR_EMAIL: "platform@localhost",
+  GIT_COMMITTER_NAME: "AI Platform",
+  GIT_COMMITTER_EMAIL: "platform@localhost",
+};
+
+// Kept out of version control; listed in .git/info/exclude so the app itself gets no extra file
+const EXCLUDED_PATTERNS = ["node_modules/", ".next/", "dist/", "build/", "coverage/", "*.log", ".DS_Store"];
+
+// Field separator for git log output
+const SEP = "\x1f";
+
+// Tree of an empty repository, what a first commit is compared with
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+// Pending git work per repository; git allows one writer per index at a time
+const repoQueues = new Map();
+
+/**
+ * Error for history requests the repository cannot answer
+ */
+export class VersioningError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "VersioningError";
+    this.code = code;
+  }
+}
+
+/**
+ * Run git against a project's own repository. --git-dir pins it, so a folder
+ * without a repository never resolves to one further up the tree.
+ */
+async function git(projectPath, args, options = {}) {
+  const { stdout } = await execFileAsync(
+    "git",
+    [`--git-dir=${path.join(projectPath, ".git")}`, `--work-tree=${projectPath}`, ...args],
+    {
+      cwd: projectPath,
+      env: { ...process.env, ...GIT_IDENTITY },
+      maxBuffer: 20 * 1024 * 1024,
+      ...options,
+    }
+  );
+  return stdout;
+}
+
+/**
+ * Run git work on a repository after the work queued before it
+ */
+function withRepository(projectPath, work) {
+  const previous = repoQueues.get(projectPath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(work);
+  repoQueues.set(projectPath, next);
+  next
+    .finally(() => {
+      if (repoQueues.get(projectPath) === next) repoQueues.delete(projectPath);
+    })
+    .catch(() => {});
+  return next;
+}
+
+/**
+ * Whether a project folder is under version control
+ * @param {string} projectPath - Project folder
+ * @returns {boolean}
+ */
+export function isVersioned(projectPath) {
+  return Boolean(projectPath) && fs.existsSync(path.join(projectPath, ".git"));
+}
+
+async function ensureRepository(projectPath) {
+  if (isVersioned(projectPath)) return;
+
+  await execFileAsync("git", ["init", "--quiet", "--initial-branch=main", projectPath]);
+  fs.appendFileSync(path.join(projectPath, ".git", "info", "exclude"), EXCLUDED_PATTERNS.join("\n") + "\n");
+  console.log(`[Versioning] Initialized repository in ${projectPath}`);
+}
+
+async function commitAll(projectPath, message, details = []) {
+  await ensureRepository(projectPath);
+  await git(projectPath, ["add", "--all"]);
+
+  const staged = (await git(projectPath, ["diff", "--cached", "--name-only"])).split("\n").filter(Boolean);
+  if (staged.length === 0) return null;
+
+  const body = details.length > 0 ? ["-m", details.join("\n")] : [];
+  await git(projectPath, ["commit", "--quiet", "--no-verify", "-m", message, ...body]);
+  const hash = (await git(projectPath, ["rev-parse", "HEAD"])).trim();
+
+  console.log(`[Versioning] ${hash.slice(0, 7)} ${message} (${staged.length} files)`);
+  return { hash, shortHash: hash.slice(0, 7), message, files: staged.length };
+}
+
+/**
+ * Commit every change in a project folder, initializing its repository first
+ * if needed. Versioning never fails the work it records: errors are logged
+ * and reported as no commit.
+ * @param {string} projectPath - Project folder
+ * @param {string} message - Commit subject
+ * @param {string[]} [details] - Lines of the commit body
+ * @returns {Promise<{hash: string, shortHash: string, message: string, files: number}|null>} - null when nothing changed
+ */
+export function commitChanges(projectPath, message, details = []) {
+  return withRepository(projectPath, () =>
+    commitAll(projectPath, message, details).catch((error) => {
+      console.error(`[Versioning] Commit failed in ${projectPath}:`, error.message);
+      return null;
+    })
+  );
+}
+
+/**
+ * Resolve a commit id from a request
+ * @throws {VersioningError} INVALID_COMMIT or COMMIT_NOT_FOUND
+ */
+async function resolveCommit(projectPath, commit) {
+  // Hex only: anything else could be read as an option or a ref expression
+  if (!/^[0-9a-f]{4,40}$/i.test(commit || "")) {
+    throw new VersioningError(`Invalid commit id: ${commit}`, "INVALID_COMMIT");
+  }
+  try {
+    return (await git(projectPath, ["rev-parse", "--verify", "--quiet", `${commit}^{commit}`])).trim();
+  } catch {
+    throw new VersioningError(`Commit not found: ${commit}`, "COMMIT_NOT_FOUND");
+  }
+}
+
+function assertVersioned(projectPath) {
+  if (!isVersioned(projectPath)) {
+    throw new VersioningError("Project has no version history yet", "NOT_VERSIONED");
+  }
+}
+
+/**
+ * Assert a request path stays inside the project
+ * @throws {VersioningError} INVALID_PATH
+ */
+function assertRelativePath(filePath) {
+  const normalized = path.posix.normalize(filePath);
+  if (path.isAbsolute(filePath) || normalized.startsWith("..") || /^\.git(\/|$)/.test(normalized)) {
+    throw new VersioningError(`Invalid path: ${filePath}`, "INVALID_PATH");
+  }
+}
+
+/**
+ * Commits of a project, newest first
+ * @param {string} projectPath - Project folder
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most commits returned (default 50)
+ * @param {string} [options.path] - Only commits touching this file or folder
+ * @returns {Promise<Object[]>} - [{ hash, shortHash, author, date, message, body, files }]
+ */
+export async function getHistory(projectPath, options = {}) {
+  if (!isVersioned(projectPath)) return [];
+  if (options.path) assertRelativePath(options.path);
+
+  const limit = Math.max(1, Math.min(Number(options.limit) || 50, 500));
+  const output = await git(projectPath, [
+    "log",
+    `--max-count=${limit}`,
+    `--format=%x1e%H${SEP}%an${SEP}%aI${SEP}%s${SEP}%b${SEP}`,
+    "--name-only",
+    ...(options.path ? ["--", options.path] : []),
+  ]).catch(() => ""); // No commit yet
+
+  return output
+    .split("\x1e")
+    .filter((entry) => entry.trim())
+    .map((entry) => {
+      const [hash, author, date, message, body, files] = entry.split(SEP);
+      return {
+        hash,
+        shortHash: hash.slice(0, 7),
+        author,
+        date,
+        message,
+        body: body.trim(),
+        files: files.split("\n").filter(Boolean),
+      };
+    });
+}
+
+/**
+ * Changes a commit made, or between two commits
+ * @param {string} projectPath - Project folder
+ * @param {string} commit - Commit id
+ * @param {Object} [options]
+ * @param {string} [options.against] - Commit to compare with (default: the commit's parent)
+ * @param {string} [options.path] - Only changes to this file or folder
+ * @returns {Promise<Object>} - { commit, against, files: [{ path, status, additions, deletions }], patch }
+ *   - against is null for a first commit, which is compared with an empty tree
+ *   - status is git's letter: A added, M modified, D deleted
+ * @throws {VersioningError} NOT_VERSIONED, INVALID_COMMIT, COMMIT_NOT_FOUND or INVALID_PATH
+ */
+export async function getDiff(projectPath, commit, options = {}) {
+  assertVersioned(projectPath);
+  if (options.path) assertRelativePath(options.path);
+
+  const to = await resolveCommit(projectPath, commit);
+  const from = options.against
+    ? await resolveCommit(projectPath, options.against)
+    : await git(projectPath, ["rev-parse", "--verify", "--quiet", `${to}^`])
+        .then((out) => out.trim())
+        .catch(() => null);
+  const args = [from || EMPTY_TREE, to, ...(options.path ? ["--", options.path] : [])];
+
+  const [status, numstat, patch] = await Promise.all([
+    git(projectPath, ["diff", "--no-renames", "--name-status", ...args]),
+    git(projectPath, ["diff", "--no-renames", "--numstat", ...args]),
+    git(projectPath, ["diff", "--no-renames", ...args]),
+  ]);
+
+  const counts = new Map(
+    numstat
+      .split("\n")
+      .filter((line) => line.includes("\t"))
+      .map((line) => {
+        const [additions, deletions, filePath] = line.split("\t");
+        // Binary files report "-"
+        return [filePath, { additions: Number(additions) || 0, deletions: Number(deletions) || 0 }];
+      })
+  );
+  const files = status
+    .split("\n")
+    .filter((line) => line.includes("\t"))
+    .map((line) => {
+      const [code, filePath] = line.split("\t");
+      return { path: filePath, status: code[0], ...(counts.get(filePath) || { additions: 0, deletions: 0 }) };
+    });
+
+  return { commit: to, against: from, files, patch };
+}
+
+/**
+ * Bring a project folder back to a commit and record that as a new commit,
+ * so the history keeps everything that came after it. Uncommitted changes
+ * are committed first.
+ * @param {string} projectPath - Project folder
+ * @param {string} commit - Commit id
+ * @param {Object} [options]
+ * @param {string} [options.path] - Restore only this file or folder
+ * @returns {Promise<{restoredTo: string, commit: Object|null, files: string[]}>} - commit is null when nothing changed
+ * @throws {VersioningError} NOT_VERSIONED, INVALID_COMMIT, COMMIT_NOT_FOUND, INVALID_PATH or PATH_NOT_IN_COMMIT
+ */
+export async function restoreCommit(projectPath, commit, options = {}) {
+  assertVersioned(projectPath);
+  if (options.path) assertRelativePath(options.path);
+  const target = await resolveCommit(projectPath, commit);
+  const subject = (await git(projectPath, ["log", "-1", "--format=%s", target])).trim();
+
+  return withRepository(projectPath, async () => {
+    await commitAll(projectPath, "Save changes before restore");
+
+    if (options.path) {
+      try {
+        await git(projectPath, ["cat-file", "-e", `${target}:${options.path}`]);
+      } catch {
+        throw new VersioningError(`${options.path} does not exist in ${target.slice(0, 7)}`, "PATH_NOT_IN_COMMIT");
+      }
+      // Files added under the path since the commit go too
+      await git(projectPath, ["rm", "-r", "--quiet", "--ignore-unmatch", "--", options.path]);
+      await git(projectPath, ["checkout", target, "--", options.path]);
+    } else {
+      // Index and work tree become the commit's tree; files it did not have are removed
+      await git(projectPath, ["read-tree", "-u", "--reset", target]);
+    }
+
+    const restored = await commitAll(projectPath, `Restore ${options.path || "project"} to ${target.slice(0, 7)}`, [
+      `Restored from: ${subject}`,
+    ]);
+    const files = (await git(projectPath, ["ls-files"])).split("\n").filter(Boolean);
+    return { restoredTo: target, commit: restored, files };
+  });
+}
+
+export default {
+  VersioningError,
+  isVersioned,
+  commitChanges,
+  getHistory,
+  getDiff,
+  restoreCommit,
+};
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import {
+  ChangeSetStatus,
+  FileChange,
+  createChangeSet,
+  getChangeSet,
+  getChangeSetsDir,
+  listChangeSets,
+} from "../src/services/changeSets.js";
+
+describe("createChangeSet", () => {
+  const projectId = "project-1";
+  let projectPath;
+  let changeSetsDir;
+
+  before(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), "changesets-test-"));
+    changeSetsDir = fs.mkdtempSync(path.join(os.tmpdir(), "changesets-state-"));
+    process.env.CHANGESETS_DIR = changeSetsDir;
+    fs.writeFileSync(path.join(projectPath, "kept.js"), "same\n");
+    fs.writeFileSync(path.join(projectPath, "edited.js"), "line 1\nline 2\n");
+    fs.writeFileSync(path.join(projectPath, "dropped.js"), "old\n");
+    fs.writeFileSync(path.join(projectPath, "logo.png"), "PNG\0one");
+  });
+
+  after(() => {
+    delete process.env.CHANGESETS_DIR;
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    fs.rmSync(changeSetsDir, { recursive: true, force: true });
+  });
+
+  it("proposes each changed file with a diff against what is on disk", async () => {
+    const changeSet = await createChangeSet(
+      projectId,
+      projectPath,
+      { "kept.js": "same\n", "edited.js": "line 1\nline two\n", "added.js": "new\n" },
+      { source: "generate" },
+      { deleted: ["dropped.js", "never-existed.js"] }
+    );
+
+    assert.equal(changeSet.status, ChangeSetStatus.PENDING);
+    assert.deepEqual(changeSet.summary, { added: 1, modified: 1, deleted: 1 });
+    const files = Object.fromEntries(changeSet.files.map((file) => [file.path, file]));
+    assert.deepEqual(Object.keys(files), ["added.js", "dropped.js", "edited.js"]);
+
+    assert.equal(files["edited.js"].status, FileChange.MODIFIED);
+    assert.equal(
+      files["edited.js"].diff,
+      "--- a/edited.js\n+++ b/edited.js\n@@ -1,2 +1,2 @@\n line 1\n-line 2\n+line two\n"
+    );
+    assert.deepEqual([files["edited.js"].additions, files["edited.js"].deletions], [1, 1]);
+    assert.match(files["added.js"].diff, /^--- \/dev\/null\n\+\+\+ b\/added.js\n/);
+    assert.deepEqual([files["added.js"].additions, files["added.js"].deletions], [1, 0]);
+    assert.match(files["dropped.js"].diff, /^--- a\/dropped.js\n\+\+\+ \/dev\/null\n/);
+    assert.equal(files["dropped.js"].content, null);
+  });
+
+  it("gives a binary file a marker instead of git's headers", async () => {
+    const { files } = await createChangeSet(projectId, projectPath, { "logo.png": "PNG\0two" });
+
+    assert.deepEqual(files[0], {
+      path: "logo.png",
+      status: FileChange.MODIFIED,
+      additions: 0,
+      deletions: 0,
+      diff: "Binary files a/logo.png and b/logo.png differ\n",
+      content: "PNG\0two",
+      previous: "PNG\0one",
+    });
+  });
+
+  it("gives an empty new file an empty diff", async () => {
+    const { files } = await createChangeSet(projectId, projectPath, { ".gitkeep": "" });
+
+    assert.deepEqual([files[0].status, files[0].diff, files[0].additions], [FileChange.ADDED, "", 0]);
+  });
+
+  it("stores change sets in CHANGESETS_DIR", () => {
+    assert.equal(getChangeSetsDir(), changeSetsDir);
+    const stored = listChangeSets(projectId);
+    assert.equal(stored.length, 3);
+    assert.equal(getChangeSet(projectId, stored[0].id).projectId, projectId);
+    assert.equal(fs.readdirSync(path.join(changeSetsDir, projectId)).length, 3);
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import {
+  clearCheckpoint,
+  getCheckpoint,
+  getCheckpointsDir,
+  saveCheckpointPhase,
+  startCheckpoint,
+} from "../src/services/checkpoints.js";
+
+const RUN = {
+  pipeline: "fullstack",
+  config: { name: "Shop", description: "An online shop" },
+  options: { engine: "mock", engineConfig: null, cache: true },
+  projectPath: "/tmp/generated-apps/shop",
+  projectSlug: "shop",
+};
+
+describe("checkpoints", () => {
+  const projectId = "project-1";
+  let checkpointsDir;
+
+  before(() => {
+    checkpointsDir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoints-test-"));
+    process.env.CHECKPOINTS_DIR = checkpointsDir;
+  });
+
+  after(() => {
+    delete process.env.CHECKPOINTS_DIR;
+    fs.rmSync(checkpointsDir, { recursive: true, force: true });
+  });
+
+  it("keeps what a resume needs: the run and every completed phase with its files", () => {
+    startCheckpoint(projectId, RUN);
+    saveCheckpointPhase(projectId, "database", {
+      files: { "database/schema.sql": "CREATE TABLE products ();" },
+      stats: { filesGenerated: 1 },
+    });
+    saveCheckpointPhase(projectId, "backend", {
+      files: { "backend/src/server.js": "app.listen();" },
+      stats: { filesGenerated: 1 },
+      fixes: ["Added missing import"],
+      prompt: "Build the backend",
+    });
+
+    // Read back from disk, as the resumed run after a restart does
+    const checkpoint = JSON.parse(fs.readFileSync(path.join(getCheckpointsDir(), `${projectId}.json`), "utf8"));
+    assert.deepEqual(checkpoint, getCheckpoint(projectId));
+    const { startedAt, updatedAt, phases, ...run } = checkpoint;
+    assert.deepEqual(run, { projectId, ...RUN });
+    assert.ok(startedAt <= updatedAt);
+    assert.deepEqual(Object.keys(phases), ["database", "backend"]);
+    assert.deepEqual(phases.database.fixes, []);
+    assert.equal(phases.database.prompt, null);
+    assert.deepEqual(phases.backend.files, { "backend/src/server.js": "app.listen();" });
+    assert.deepEqual(phases.backend.fixes, ["Added missing import"]);
+    assert.equal(updatedAt, phases.backend.completedAt);
+  });
+
+  it("starts over when a new generation starts", () => {
+    const checkpoint = startCheckpoint(projectId, { ...RUN, pipeline: "backend-only" });
+
+    assert.deepEqual(checkpoint.phases, {});
+    assert.equal(getCheckpoint(projectId).pipeline, "backend-only");
+  });
+
+  it("ignores phases of a project without a checkpoint", () => {
+    saveCheckpointPhase("project-2", "backend", { files: {}, stats: {} });
+
+    assert.equal(getCheckpoint("project-2"), null);
+    assert.equal(fs.existsSync(path.join(checkpointsDir, "project-2.json")), false);
+  });
+
+  it("treats an unreadable checkpoint as missing", () => {
+    fs.writeFileSync(path.join(checkpointsDir, "project-3.json"), "{ not json");
+
+    assert.equal(getCheckpoint("project-3"), null);
+  });
+
+  it("is gone once cleared", () => {
+    clearCheckpoint(projectId);
+    clearCheckpoint(projectId);
+
+    assert.equal(getCheckpoint(projectId), null);
+    assert.deepEqual(fs.readdirSync(checkpointsDir), ["project-3.json"]);
+  });
+});
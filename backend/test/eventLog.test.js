@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import {
+  appendEvent,
+  deleteProjectEvents,
+  getEventsAfter,
+  getEventsDir,
+  getLastEventId,
+  getLatestRunId,
+  getRunEvents,
+  hasRun,
+  listRuns,
+  startRun,
+} from "../src/services/eventLog.js";
+
+const projectId = "project-1";
+let eventsDir;
+
+/**
+ * Start a run and log events of the given types, numbered on from the project's last id
+ */
+function logRun(runId, types, info) {
+  let { lastEventId } = startRun(projectId, runId, info);
+  for (const type of types) {
+    appendEvent(projectId, { id: ++lastEventId, runId, timestamp: `t${lastEventId}`, data: { type } });
+  }
+}
+
+before(() => {
+  eventsDir = fs.mkdtempSync(path.join(os.tmpdir(), "event-log-"));
+  process.env.EVENTS_DIR = eventsDir;
+});
+
+beforeEach(() => {
+  deleteProjectEvents(projectId);
+  delete process.env.EVENT_LOG_RUNS_LIMIT;
+});
+
+after(() => {
+  delete process.env.EVENTS_DIR;
+  fs.rmSync(eventsDir, { recursive: true, force: true });
+});
+
+describe("event log", () => {
+  it("numbers events on across a project's runs", () => {
+    assert.deepEqual(startRun(projectId, "run-1"), { lastEventId: 0 });
+    logRun("run-1", ["log", "complete"]);
+    assert.deepEqual(startRun(projectId, "run-2"), { lastEventId: 2 });
+    assert.equal(getLastEventId(projectId), 2);
+
+    assert.equal(getLatestRunId(projectId), "run-2");
+    assert.ok(hasRun(projectId, "run-1"));
+    assert.equal(hasRun(projectId, "run-3"), false);
+    assert.ok(fs.existsSync(path.join(getEventsDir(), projectId, "runs.json")));
+  });
+
+  it("replays the events after an id, across the runs that followed it", () => {
+    logRun("run-1", ["log", "log", "complete"]);
+    logRun("run-2", ["log", "error"]);
+
+    assert.deepEqual(
+      getEventsAfter(projectId, 2).map((event) => [event.id, event.runId]),
+      [
+        [3, "run-1"],
+        [4, "run-2"],
+        [5, "run-2"],
+      ]
+    );
+    assert.deepEqual(
+      getRunEvents(projectId, "run-2", 4).map((event) => event.id),
+      [5]
+    );
+  });
+
+  it("continues the log of a run that is started again", () => {
+    logRun("run-1", ["log"], { jobId: "job-1" });
+    logRun("run-1", ["complete"]);
+
+    const [run] = listRuns(projectId);
+    assert.equal(run.jobId, "job-1");
+    assert.deepEqual([run.events, run.firstEventId, run.lastEventId], [2, 1, 2]);
+  });
+
+  it("lists runs newest first with how each one ended", () => {
+    logRun("run-1", ["log", "cancelled", "queue"]);
+    logRun("run-2", ["log"]);
+
+    assert.deepEqual(
+      listRuns(projectId).map(({ runId, outcome, endedAt, lastEventId }) => [runId, outcome, endedAt, lastEventId]),
+      [
+        ["run-2", null, null, 4],
+        ["run-1", "cancelled", "t2", 3],
+      ]
+    );
+  });
+
+  it("skips a line cut short by a crash", () => {
+    logRun("run-1", ["log"]);
+    fs.appendFileSync(path.join(eventsDir, projectId, "run-1.jsonl"), '{"id":2,"runId":');
+
+    assert.deepEqual(
+      getRunEvents(projectId, "run-1").map((event) => event.id),
+      [1]
+    );
+  });
+
+  it("keeps the logs of the latest EVENT_LOG_RUNS_LIMIT runs", () => {
+    process.env.EVENT_LOG_RUNS_LIMIT = "2";
+    for (const runId of ["run-1", "run-2", "run-3"]) logRun(runId, ["complete"]);
+
+    assert.deepEqual(
+      listRuns(projectId).map((run) => run.runId),
+      ["run-3", "run-2"]
+    );
+    assert.equal(fs.existsSync(path.join(eventsDir, projectId, "run-1.jsonl")), false);
+    assert.equal(getLastEventId(projectId), 3);
+  });
+
+  it("forgets everything when the project is deleted", () => {
+    logRun("run-1", ["complete"]);
+    deleteProjectEvents(projectId);
+
+    assert.deepEqual(listRuns(projectId), []);
+    assert.equal(getLastEventId(projectId), 0);
+    assert.equal(fs.existsSync(path.join(eventsDir, projectId)), false);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+
+// The queue loads JOBS_FILE on import, so each import below is a server start
+let dataDir;
+let queue;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-"));
+  process.env.JOBS_FILE = path.join(dataDir, "jobs.json");
+  process.env.JOB_QUEUE_CONCURRENCY = "1";
+  queue = await import("../src/services/jobQueue.js");
+});
+
+after(() => {
+  delete process.env.JOBS_FILE;
+  delete process.env.JOB_QUEUE_CONCURRENCY;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("normalizePriority", () => {
+  it("accepts the named priorities only", () => {
+    assert.equal(queue.normalizePriority(undefined), queue.JOB_PRIORITIES.normal);
+    assert.equal(queue.normalizePriority("high"), queue.JOB_PRIORITIES.high);
+    assert.equal(queue.normalizePriority("low"), queue.JOB_PRIORITIES.low);
+    for (const priority of [1000, 10, -1, "urgent", "toString", "__proto__", {}]) {
+      assert.equal(queue.normalizePriority(priority), null);
+    }
+  });
+});
+
+describe("job queue", () => {
+  const ids = {};
+
+  it("orders queued jobs by priority, then by arrival", () => {
+    for (const [name, priority] of [
+      ["low", "low"],
+      ["first", "normal"],
+      ["high", "high"],
+      ["second", "normal"],
+    ]) {
+      const job = queue.enqueueJob({
+        type: queue.JobType.GENERATE,
+        projectId: `project-${name}`,
+        priority: queue.normalizePriority(priority),
+      });
+      ids[name] = job.id;
+    }
+
+    assert.deepEqual(
+      ["high", "first", "second", "low"].map((name) => queue.getQueuePosition(ids[name])),
+      [1, 2, 3, 4]
+    );
+  });
+
+  it("keeps queued jobs across a restart and fails the ones that were running", async () => {
+    // The high priority job starts and is still running when the server "stops"
+    queue.registerJobHandler(queue.JobType.GENERATE, () => new Promise(() => {}));
+    queue.startJobQueue();
+    assert.equal(queue.getJob(ids.high).status, queue.JobStatus.RUNNING);
+
+    const restarted = await import("../src/services/jobQueue.js?restart=1");
+    const ran = [];
+    restarted.registerJobHandler(restarted.JobType.GENERATE, async (job) => {
+      ran.push(job.id);
+      return { success: true };
+    });
+
+    assert.deepEqual(restarted.startJobQueue(), { requeued: 3, failed: 1 });
+    const interrupted = restarted.getJob(ids.high);
+    assert.equal(interrupted.status, restarted.JobStatus.FAILED);
+    assert.equal(interrupted.error, "Interrupted by a server restart");
+
+    const finished = await restarted.waitForJob(ids.low);
+    assert.equal(finished.status, restarted.JobStatus.COMPLETED);
+    assert.deepEqual(ran, [ids.first, ids.second, ids.low]);
+  });
+});
@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import {
+  ConflictReason,
+  MergeStatus,
+  deleteProjectMergeState,
+  getMergesDir,
+  getConflicts,
+  mergeGeneratedFiles,
+  mergeText,
+  resolveConflict,
+  saveBaseline,
+} from "../src/services/merging.js";
+
+const BASE = "line 1\nline 2\nline 3\nline 4\nline 5\n";
+
+describe("mergeText", () => {
+  it("merges edits to different lines", async () => {
+    const ours = BASE.replace("line 1", "line one");
+    const theirs = BASE.replace("line 5", "line five");
+
+    assert.deepEqual(await mergeText(ours, BASE, theirs), {
+      content: "line one\nline 2\nline 3\nline 4\nline five\n",
+      conflicts: 0,
+    });
+  });
+
+  it("keeps conflicting edits in diff3 markers", async () => {
+    const { content, conflicts } = await mergeText(
+      BASE.replace("line 3", "ours"),
+      BASE,
+      BASE.replace("line 3", "theirs")
+    );
+
+    assert.equal(conflicts, 1);
+    assert.equal(
+      content,
+      [
+        "line 1",
+        "line 2",
+        "<<<<<<< edited",
+        "ours",
+        "||||||| generated",
+        "line 3",
+        "=======",
+        "theirs",
+        ">>>>>>> regenerated",
+        "line 4",
+        "line 5",
+        "",
+      ].join("\n")
+    );
+  });
+});
+
+describe("mergeGeneratedFiles", () => {
+  const projectId = "project-1";
+  let projectPath;
+  let mergesDir;
+
+  const write = (filePath, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectPath, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, filePath), content);
+  };
+
+  before(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), "merging-test-"));
+    mergesDir = fs.mkdtempSync(path.join(os.tmpdir(), "merging-state-"));
+    process.env.MERGES_DIR = mergesDir;
+  });
+
+  after(() => {
+    delete process.env.MERGES_DIR;
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    fs.rmSync(mergesDir, { recursive: true, force: true });
+  });
+
+  it("sorts each generated file by what the user and the new generation changed", async () => {
+    const previous = {
+      "unchanged.js": "same",
+      "kept.js": BASE,
+      "updated.js": BASE,
+      "merged.js": BASE,
+      "conflict.js": BASE,
+      "deleted.js": BASE,
+    };
+    saveBaseline(projectId, previous, { replace: true });
+    for (const [filePath, content] of Object.entries(previous)) {
+      if (filePath !== "deleted.js") write(filePath, content);
+    }
+    write("kept.js", BASE.replace("line 1", "edited"));
+    write("merged.js", BASE.replace("line 1", "edited"));
+    write("conflict.js", BASE.replace("line 3", "edited"));
+    write("untracked.js", "written by the user");
+
+    const generated = {
+      "unchanged.js": "same",
+      "kept.js": BASE,
+      "updated.js": BASE.replace("line 5", "regenerated"),
+      "merged.js": BASE.replace("line 5", "regenerated"),
+      "conflict.js": BASE.replace("line 3", "regenerated"),
+      "deleted.js": BASE.replace("line 5", "regenerated"),
+      "untracked.js": "generated",
+      "src/added.js": "new",
+    };
+    const { files, results, conflicts } = await mergeGeneratedFiles(projectId, projectPath, generated, {
+      phase: "backend",
+    });
+
+    assert.deepEqual(
+      Object.fromEntries(results.map(({ path: filePath, status, reason }) => [filePath, reason || status])),
+      {
+        "unchanged.js": MergeStatus.UNCHANGED,
+        "kept.js": MergeStatus.KEPT,
+        "updated.js": MergeStatus.UPDATED,
+        "merged.js": MergeStatus.MERGED,
+        "conflict.js": ConflictReason.CONFLICTING_EDITS,
+        "deleted.js": ConflictReason.DELETED,
+        "untracked.js": ConflictReason.NO_BASE,
+        "src/added.js": MergeStatus.ADDED,
+      }
+    );
+    assert.deepEqual(files, {
+      "updated.js": generated["updated.js"],
+      "merged.js": "edited\nline 2\nline 3\nline 4\nregenerated\n",
+      "src/added.js": "new",
+    });
+    assert.deepEqual(
+      conflicts.map((conflict) => [conflict.path, conflict.phase, conflict.conflicts]),
+      [
+        ["conflict.js", "backend", 1],
+        ["deleted.js", "backend", null],
+        ["untracked.js", "backend", null],
+      ]
+    );
+    assert.equal(conflicts[1].ours, null);
+  });
+
+  it("stores conflicts with the new baseline until they are resolved", async () => {
+    const { conflicts } = await mergeGeneratedFiles(projectId, projectPath, {
+      "conflict.js": BASE.replace("line 3", "regenerated"),
+    });
+    saveBaseline(projectId, {}, { conflicts });
+
+    assert.deepEqual(
+      getConflicts(projectId).map((conflict) => conflict.path),
+      ["conflict.js"]
+    );
+    assert.equal(resolveConflict(projectId, "conflict.js", { keep: "theirs" }).content, conflicts[0].theirs);
+    assert.deepEqual(getConflicts(projectId), []);
+    assert.equal(resolveConflict(projectId, "conflict.js", { keep: "ours" }), null);
+  });
+
+  it("keeps its state in MERGES_DIR until the project is deleted", () => {
+    const stateFile = path.join(getMergesDir(), `${projectId}.json`);
+    assert.equal(getMergesDir(), mergesDir);
+    assert.ok(fs.existsSync(stateFile));
+
+    deleteProjectMergeState(projectId);
+    assert.equal(fs.existsSync(stateFile), false);
+    assert.deepEqual(getConflicts(projectId), []);
+  });
+});
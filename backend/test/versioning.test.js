@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import {
+  VersioningError,
+  commitChanges,
+  getDiff,
+  getHistory,
+  isVersioned,
+  restoreCommit,
+} from "../src/services/versioning.js";
+
+describe("versioning", () => {
+  let projectPath;
+  const commits = {};
+
+  const write = (filePath, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectPath, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, filePath), content);
+  };
+  const read = (filePath) => fs.readFileSync(path.join(projectPath, filePath), "utf8");
+  const rejectsWith = (promise, code) =>
+    assert.rejects(promise, (error) => error instanceof VersioningError && error.code === code);
+
+  before(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), "versioning-test-"));
+  });
+
+  after(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it("has no history before the first commit", async () => {
+    assert.equal(isVersioned(projectPath), false);
+    assert.deepEqual(await getHistory(projectPath), []);
+    await rejectsWith(getDiff(projectPath, "abcd"), "NOT_VERSIONED");
+  });
+
+  it("creates the repository on the first commit and leaves excluded files out", async () => {
+    write("backend/server.js", "listen(3000);\n");
+    write("README.md", "# Shop\n");
+    write("node_modules/express/index.js", "module.exports = {};\n");
+    write("debug.log", "noise\n");
+
+    commits.generated = await commitChanges(projectPath, "Generate project", ["Engine: mock"]);
+
+    assert.ok(isVersioned(projectPath));
+    const { hash, ...commit } = commits.generated;
+    assert.match(hash, /^[0-9a-f]{40}$/);
+    assert.deepEqual(commit, { shortHash: hash.slice(0, 7), message: "Generate project", files: 2 });
+    assert.equal(await commitChanges(projectPath, "Nothing changed"), null);
+  });
+
+  it("lists commits newest first, optionally for one path", async () => {
+    write("backend/server.js", "listen(4000);\n");
+    write("frontend/page.tsx", "export default null;\n");
+    fs.rmSync(path.join(projectPath, "README.md"));
+    commits.edited = await commitChanges(projectPath, "Edit project");
+
+    const history = await getHistory(projectPath);
+    assert.deepEqual(
+      history.map(({ message, author, files }) => [message, author, files]),
+      [
+        ["Edit project", "AI Platform", ["README.md", "backend/server.js", "frontend/page.tsx"]],
+        ["Generate project", "AI Platform", ["README.md", "backend/server.js"]],
+      ]
+    );
+    assert.equal(history[1].body, "Engine: mock");
+    assert.deepEqual(
+      (await getHistory(projectPath, { path: "frontend" })).map((commit) => commit.hash),
+      [commits.edited.hash]
+    );
+    assert.equal((await getHistory(projectPath, { limit: 1 })).length, 1);
+  });
+
+  it("diffs a commit against its parent, or a first commit against an empty tree", async () => {
+    const edit = await getDiff(projectPath, commits.edited.shortHash);
+    assert.equal(edit.commit, commits.edited.hash);
+    assert.equal(edit.against, commits.generated.hash);
+    assert.deepEqual(edit.files, [
+      { path: "README.md", status: "D", additions: 0, deletions: 1 },
+      { path: "backend/server.js", status: "M", additions: 1, deletions: 1 },
+      { path: "frontend/page.tsx", status: "A", additions: 1, deletions: 0 },
+    ]);
+    assert.match(edit.patch, /-listen\(3000\);\n\+listen\(4000\);/);
+
+    const first = await getDiff(projectPath, commits.generated.hash, { path: "backend" });
+    assert.equal(first.against, null);
+    assert.deepEqual(
+      first.files.map((file) => [file.path, file.status]),
+      [["backend/server.js", "A"]]
+    );
+  });
+
+  it("rejects commit ids and paths that are not plain", async () => {
+    await rejectsWith(getDiff(projectPath, "--output=/tmp/x"), "INVALID_COMMIT");
+    await rejectsWith(getDiff(projectPath, "HEAD~1"), "INVALID_COMMIT");
+    await rejectsWith(getDiff(projectPath, "0000000"), "COMMIT_NOT_FOUND");
+    for (const filePath of ["../outside", "/etc/passwd", ".git/config"]) {
+      await rejectsWith(getHistory(projectPath, { path: filePath }), "INVALID_PATH");
+    }
+  });
+
+  it("restores one path as a new commit, saving uncommitted changes first", async () => {
+    write("backend/server.js", "listen(5000);\n");
+
+    const { restoredTo, commit } = await restoreCommit(projectPath, commits.generated.hash, { path: "backend" });
+
+    assert.equal(restoredTo, commits.generated.hash);
+    assert.equal(commit.message, `Restore backend to ${commits.generated.shortHash}`);
+    assert.equal(read("backend/server.js"), "listen(3000);\n");
+    assert.equal(read("frontend/page.tsx"), "export default null;\n");
+    assert.deepEqual(
+      (await getHistory(projectPath, { limit: 2 })).map(({ message, body }) => [message, body]),
+      [
+        [commit.message, "Restored from: Generate project"],
+        ["Save changes before restore", ""],
+      ]
+    );
+    await rejectsWith(restoreCommit(projectPath, commits.generated.hash, { path: "frontend" }), "PATH_NOT_IN_COMMIT");
+  });
+
+  it("restores the whole project, removing files the commit did not have", async () => {
+    const { files, commit } = await restoreCommit(projectPath, commits.generated.hash);
+
+    assert.deepEqual(files, ["README.md", "backend/server.js"]);
+    assert.equal(fs.existsSync(path.join(projectPath, "frontend/page.tsx")), false);
+    assert.equal(read("README.md"), "# Shop\n");
+    // Excluded files are not part of the history, so they stay
+    assert.ok(fs.existsSync(path.join(projectPath, "debug.log")));
+    assert.equal(commit.message, `Restore project to ${commits.generated.shortHash}`);
+    assert.equal((await getHistory(projectPath)).length, 5);
+  });
+});
@@ -132,6 +132,8 @@ export default function ProjectManagementPage({ params }: { params: Promise<{ id
         return "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400";
       case "failed":
         return "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400";
+      case "interrupted":
+        return "bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-400";
       default:
         return "bg-gray-100 text-gray-800 dark:bg-gray-900/30 dark:text-gray-400";
     }
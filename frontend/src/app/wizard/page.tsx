@@ -3,6 +3,9 @@
 import Link from "next/link";
 import React, { useEffect, useState, useRef } from "react";
 import { useWizard } from "@/lib/wizardContext";
+import EngineConfig from "@/components/wizard/EngineConfig";
+import { api } from "@/lib/api";
+import type { GenerationEstimate } from "@/types";
 
 const STEPS = ["Describe", "Configure", "Generate", "Deploy"];
 const INDUSTRIES = ["SaaS", "E-commerce", "Healthcare", "Finance", "Education", "Other"];
@@ -122,6 +125,12 @@ function Step2Configure() {
         <label className="flex items-center gap-3 cursor-pointer mt-4"><input type="checkbox" checked={data.multiTenant} onChange={(e) => updateData({ multiTenant: e.target.checked })} className="w-5 h-5 rounded border-slate-300 text-indigo-600" /><span className="text-slate-700 dark:text-slate-300">Enable Multi-Tenant Architecture</span></label>
       </div>
 
+      {/* AI Engine Section */}
+      <div className="mb-8">
+        <h2 className="text-lg font-semibold text-slate-900 dark:text-white mb-3">AI Engines</h2>
+        <EngineConfig value={data.engineConfig} onChange={(engineConfig) => updateData({ engineConfig })} />
+      </div>
+
       <div className="flex justify-between">
         <button onClick={() => setStep(1)} className="px-6 py-3 rounded-xl font-semibold text-slate-600 hover:bg-slate-100 dark:hover:bg-slate-700">Back</button>
         <button onClick={() => setStep(3)} className="inline-flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-xl font-semibold">Continue<svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5m0 0l-5 5m5-5H6" /></svg></button>
@@ -172,57 +181,22 @@ const GENERATION_PHASES = [
 ];
 
 // Calculate dynamic estimates based on selected features
-function calculateEstimates(config: { features: string[]; multiTenant: boolean }) {
-  let baseTime = 10; // minutes
-  let baseFiles = 15;
-  let baseLines = 1500;
-
-  // Add time/complexity for each feature
-  if (config.features.includes("User Authentication")) {
-    baseTime += 3;
-    baseFiles += 5;
-    baseLines += 400;
-  }
-  if (config.features.includes("Role-Based Access")) {
-    baseTime += 2;
-    baseFiles += 3;
-    baseLines += 300;
-  }
-  if (config.features.includes("REST API")) {
-    baseTime += 2;
-    baseFiles += 4;
-    baseLines += 350;
-  }
-  if (config.features.includes("Data Validation")) {
-    baseTime += 1;
-    baseFiles += 2;
-    baseLines += 200;
-  }
-  if (config.features.includes("Error Handling")) {
-    baseTime += 1;
-    baseFiles += 2;
-    baseLines += 150;
-  }
-  if (config.features.includes("Logging")) {
-    baseTime += 1;
-    baseFiles += 2;
-    baseLines += 150;
-  }
-  if (config.features.includes("Health Checks")) {
-    baseTime += 1;
-    baseFiles += 1;
-    baseLines += 100;
-  }
-  if (config.multiTenant) {
-    baseTime += 5;
-    baseFiles += 8;
-    baseLines += 600;
-  }
+function formatDuration(seconds: number) {
+  return seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)} min`;
+}
 
+// Display strings for the ranges returned by GET /api/generate/estimate
+function formatEstimates(estimate: GenerationEstimate) {
+  const { total } = estimate;
   return {
-    time: `${baseTime}-${baseTime + 10} min`,
-    files: `~${baseFiles}-${baseFiles + 15}`,
-    lines: `~${baseLines.toLocaleString()}-${(baseLines + 1000).toLocaleString()}`,
+    time: `${formatDuration(total.seconds.low)}-${formatDuration(total.seconds.high)}`,
+    files: `~${total.files.low}-${total.files.high}`,
+    lines: `~${total.lines.low.toLocaleString()}-${total.lines.high.toLocaleString()}`,
+    cost: `$${total.cost.low.toFixed(2)}-$${total.cost.high.toFixed(2)}`,
+    basis:
+      estimate.samples > 0
+        ? `${Math.round(estimate.confidence * 100)}% range based on ${estimate.samples} past phase runs`
+        : "Default estimates - they calibrate as more projects are generated",
   };
 }
 
@@ -258,6 +232,29 @@ function Step3Generate() {
   const [showDetails, setShowDetails] = useState(false);
   const [generationError, setGenerationError] = useState<string | null>(null);
   const logContainerRef = useRef<HTMLDivElement>(null);
+  const [estimate, setEstimate] = useState<GenerationEstimate | null>(null);
+  // "failed" only once getEstimate has answered without an estimate, not while it is pending
+  const [estimateStatus, setEstimateStatus] = useState<"loading" | "ready" | "failed">("loading");
+
+  // Fetch calibrated estimates for the current configuration
+  useEffect(() => {
+    let cancelled = false;
+    setEstimateStatus("loading");
+    api
+      .getEstimate({ engineConfig: data.engineConfig, features: data.features, multiTenant: data.multiTenant })
+      .then((result) => {
+        if (cancelled) return;
+        const loaded = result.success && result.data ? result.data : null;
+        setEstimate(loaded);
+        setEstimateStatus(loaded ? "ready" : "failed");
+      })
+      .catch(() => {
+        if (!cancelled) setEstimateStatus("failed");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [data.engineConfig, data.features, data.multiTenant]);
 
   // Auto-scroll logs
   useEffect(() => {
@@ -365,6 +362,51 @@ function Step3Generate() {
             }
             break;
 
+          case "file_completed":
+            // Streamed file from the current phase - format: { phase, path, lines }
+            setLogs((prev) => [...prev, {
+              id: crypto.randomUUID(),
+              type: "info",
+              message: `📄 ${data.path} (${data.lines} lines)`,
+              timestamp: new Date(),
+            }]);
+            setStats((prev) => ({
+              ...prev,
+              filesGenerated: prev.filesGenerated + 1,
+              linesOfCode: prev.linesOfCode + (data.lines || 0),
+            }));
+            break;
+
+          case "queue":
+            // Job queue update - format: { job: { id, type, status, position } }
+            if (data.job?.status === "queued" && data.job.position) {
+              setLogs((prev) => [...prev, {
+                id: crypto.randomUUID(),
+                type: "info",
+                message: `⏳ Waiting for a free worker (queue position ${data.job.position})`,
+                timestamp: new Date(),
+              }]);
+            }
+            break;
+
+          case "budget_downgrade":
+            setLogs((prev) => [...prev, {
+              id: crypto.randomUUID(),
+              type: "warning",
+              message: `💸 ${data.message} - switched to ${data.to}`,
+              timestamp: new Date(),
+            }]);
+            break;
+
+          case "budget_exceeded":
+            setLogs((prev) => [...prev, {
+              id: crypto.randomUUID(),
+              type: "error",
+              message: `🛑 ${data.message}`,
+              timestamp: new Date(),
+            }]);
+            break;
+
           case "stats":
             if (data.stats) {
               setStats({
@@ -394,7 +436,9 @@ function Step3Generate() {
             break;
 
           case "cancelled":
-            setGenerationError("Generation was cancelled");
+            setGenerationError(data.resumable
+              ? `Generation was cancelled - ${data.kept.phases.length} completed phase(s) kept and can be resumed`
+              : "Generation was cancelled");
             eventSource.close();
             break;
         }
@@ -841,7 +885,15 @@ function Step3Generate() {
             <h2 className="text-lg font-semibold text-slate-900 dark:text-white">Estimates</h2>
           </div>
           {(() => {
-            const estimates = calculateEstimates(data);
+            if (estimateStatus === "loading") {
+              return <p className="text-sm text-slate-500 dark:text-slate-400">Calculating estimates...</p>;
+            }
+            if (estimateStatus === "failed" || !estimate) {
+              return (
+                <p className="text-sm text-slate-500 dark:text-slate-400">Estimates unavailable - is the backend running?</p>
+              );
+            }
+            const estimates = formatEstimates(estimate);
             return (
               <div className="space-y-3">
                 <div className="flex justify-between items-center">
@@ -856,8 +908,12 @@ function Step3Generate() {
                   <span className="text-sm text-slate-600 dark:text-slate-400">Files Generated</span>
                   <span className="font-medium text-slate-900 dark:text-white">{estimates.files}</span>
                 </div>
+                <div className="flex justify-between items-center">
+                  <span className="text-sm text-slate-600 dark:text-slate-400">AI Cost</span>
+                  <span className="font-medium text-slate-900 dark:text-white">{estimates.cost}</span>
+                </div>
                 <p className="text-xs text-slate-500 dark:text-slate-500 mt-2 pt-2 border-t border-slate-100 dark:border-slate-700">
-                  Estimates vary based on AI response time and selected features
+                  {estimates.basis}
                 </p>
               </div>
             );
@@ -1,6 +1,7 @@
 "use client";
 
 import { useState, useEffect } from "react";
+import type { EngineSelection } from "@/types";
 
 interface Engine {
   id: string;
@@ -11,18 +12,8 @@ interface Engine {
 }
 
 interface EngineConfigProps {
-  value: {
-    preset: string;
-    custom?: {
-      planning: string;
-      architecture: string;
-      database: string;
-      backend: string;
-      frontend: string;
-      testing: string;
-    };
-  };
-  onChange: (config: any) => void;
+  value: EngineSelection;
+  onChange: (config: EngineSelection) => void;
 }
 
 const PRESETS = [
@@ -83,7 +74,7 @@ export default function EngineConfig({ value, onChange }: EngineConfigProps) {
     async function loadEngines() {
       try {
         const response = await fetch(
-          `${process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001"}/engines`
+          `${process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001/api"}/engines`
         );
         const data = await response.json();
         if (data.success) {
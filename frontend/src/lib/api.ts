@@ -2,6 +2,22 @@ import type {
   Project,
   GenerationRequest,
   GenerationResponse,
+  GenerationEstimate,
+  GenerationCancellation,
+  GenerationJob,
+  GenerationRun,
+  GenerationRecord,
+  GenerationRecordSummary,
+  GenerationComparison,
+  ProjectCommit,
+  ProjectCommitDiff,
+  ChangeSet,
+  ChangeSetStatus,
+  ProjectRestore,
+  PhaseRegeneration,
+  MergeConflict,
+  GenerationEvent,
+  EngineSelection,
   ApiResponse,
   PaginatedResponse,
   User,
@@ -103,6 +119,45 @@ class ApiClient {
     });
   }
 
+  // Stored records of the project's generation runs, newest first
+  async getGenerations(id: string): Promise<ApiResponse<{ generations: GenerationRecordSummary[] }>> {
+    return this.request<{ generations: GenerationRecordSummary[] }>(`/projects/${id}/generations`);
+  }
+
+  async getGeneration(id: string, generationId: string): Promise<ApiResponse<GenerationRecord>> {
+    return this.request<GenerationRecord>(`/projects/${id}/generations/${generationId}`);
+  }
+
+  // What changed in a run since the previous one, or since baseId
+  async compareGenerations(
+    id: string,
+    generationId: string,
+    baseId?: string
+  ): Promise<ApiResponse<GenerationComparison>> {
+    const query = baseId ? `?base=${encodeURIComponent(baseId)}` : "";
+    return this.request<GenerationComparison>(`/projects/${id}/generations/${generationId}/compare${query}`);
+  }
+
+  // Git history of the generated app, newest first; path limits it to a file or folder
+  async getProjectHistory(id: string, path?: string): Promise<ApiResponse<{ commits: ProjectCommit[] }>> {
+    const query = path ? `?path=${encodeURIComponent(path)}` : "";
+    return this.request<{ commits: ProjectCommit[] }>(`/projects/${id}/history${query}`);
+  }
+
+  // Changes of a commit against its parent, or against another commit
+  async getCommitDiff(id: string, commit: string, against?: string): Promise<ApiResponse<ProjectCommitDiff>> {
+    const query = against ? `?against=${encodeURIComponent(against)}` : "";
+    return this.request<ProjectCommitDiff>(`/projects/${id}/history/${commit}${query}`);
+  }
+
+  // Bring the generated app (or one file or folder of it) back to a commit
+  async restoreCommit(id: string, commit: string, path?: string): Promise<ApiResponse<ProjectRestore>> {
+    return this.request<ProjectRestore>(`/projects/${id}/history/${commit}/restore`, {
+      method: "POST",
+      body: JSON.stringify(path ? { path } : {}),
+    });
+  }
+
   async startGeneration(request: GenerationRequest): Promise<ApiResponse<GenerationResponse>> {
     return this.request<GenerationResponse>("/generate", {
       method: "POST",
@@ -110,12 +165,138 @@ class ApiClient {
     });
   }
 
+  async getEstimate(params: {
+    engineConfig?: EngineSelection | null;
+    features?: string[];
+    multiTenant?: boolean;
+  }): Promise<ApiResponse<GenerationEstimate>> {
+    const query = new URLSearchParams();
+    const { engineConfig } = params;
+    if (engineConfig?.preset === "custom") {
+      for (const [phase, engine] of Object.entries(engineConfig.custom || {})) {
+        query.set(`custom[${phase}]`, engine);
+      }
+    } else if (engineConfig?.preset) {
+      query.set("preset", engineConfig.preset);
+    }
+    query.set("features", (params.features || []).join(","));
+    query.set("multiTenant", String(Boolean(params.multiTenant)));
+    return this.request<GenerationEstimate>(`/generate/estimate?${query.toString()}`);
+  }
+
   async getGenerationStatus(id: string): Promise<ApiResponse<GenerationResponse>> {
     return this.request<GenerationResponse>(`/generate/${id}/status`);
   }
 
-  async cancelGeneration(id: string): Promise<ApiResponse<void>> {
-    return this.request<void>(`/generate/${id}/cancel`, {
+  // Job history of a project (generations, phase regenerations, deployments), newest first
+  async getGenerationJobs(id: string): Promise<ApiResponse<{ jobs: GenerationJob[] }>> {
+    return this.request<{ jobs: GenerationJob[] }>(`/generate/${id}/jobs`);
+  }
+
+  // Generation runs with a replayable event log, newest first
+  async getGenerationRuns(id: string): Promise<ApiResponse<{ runs: GenerationRun[] }>> {
+    return this.request<{ runs: GenerationRun[] }>(`/generate/${id}/runs`);
+  }
+
+  // Every event of a run, or only those after an event id
+  async getRunEvents(
+    id: string,
+    runId: string,
+    after?: number
+  ): Promise<ApiResponse<{ runId: string; events: GenerationEvent[] }>> {
+    const query = after !== undefined ? `?after=${after}` : "";
+    return this.request<{ runId: string; events: GenerationEvent[] }>(
+      `/generate/${id}/runs/${runId}/events${query}`
+    );
+  }
+
+  // Regenerate one phase; "merge" keeps the user's edits and reports conflicting files, "propose" returns a change set
+  async regeneratePhase(
+    id: string,
+    phase: string,
+    options: { engine?: string; mode?: "overwrite" | "merge" | "propose"; cache?: boolean } = {}
+  ): Promise<ApiResponse<PhaseRegeneration>> {
+    return this.request<PhaseRegeneration>(`/generate/${id}/phase/${phase}`, {
+      method: "POST",
+      body: JSON.stringify(options),
+    });
+  }
+
+  async getMergeConflicts(id: string): Promise<ApiResponse<{ conflicts: MergeConflict[] }>> {
+    return this.request<{ conflicts: MergeConflict[] }>(`/generate/${id}/conflicts`);
+  }
+
+  // Keep the edited ("ours") or generated ("theirs") version, or save hand-merged content
+  async resolveMergeConflict(
+    id: string,
+    resolution: { path: string; keep?: "ours" | "theirs"; content?: string }
+  ): Promise<ApiResponse<{ path: string; resolution: string; commit: string | null; remaining: number }>> {
+    return this.request<{ path: string; resolution: string; commit: string | null; remaining: number }>(
+      `/generate/${id}/conflicts/resolve`,
+      {
+        method: "POST",
+        body: JSON.stringify(resolution),
+      }
+    );
+  }
+
+  // Generate a feature for an existing app; the result is a pending change set to apply or discard
+  async addFeature(
+    id: string,
+    feature: { name: string; description?: string; engine?: string; cache?: boolean }
+  ): Promise<ApiResponse<{ feature: { name: string; description: string }; changeSet: ChangeSet }>> {
+    return this.request<{ feature: { name: string; description: string }; changeSet: ChangeSet }>(
+      `/generate/${id}/features`,
+      {
+        method: "POST",
+        body: JSON.stringify(feature),
+      }
+    );
+  }
+
+  async getChangeSets(id: string, status?: ChangeSetStatus): Promise<ApiResponse<{ changeSets: ChangeSet[] }>> {
+    const query = status ? `?status=${status}` : "";
+    return this.request<{ changeSets: ChangeSet[] }>(`/generate/${id}/changesets${query}`);
+  }
+
+  async getChangeSet(id: string, changeSetId: string): Promise<ApiResponse<ChangeSet>> {
+    return this.request<ChangeSet>(`/generate/${id}/changesets/${changeSetId}`);
+  }
+
+  // Write and commit a change set, or only the listed paths (the rest are rejected);
+  // force overwrites files edited since it was generated
+  async applyChangeSet(
+    id: string,
+    changeSetId: string,
+    options: { paths?: string[]; force?: boolean } = {}
+  ): Promise<
+    ApiResponse<{ changeSet: ChangeSet; filesWritten: string[]; filesDeleted: string[]; commit: string | null }>
+  > {
+    return this.request<{ changeSet: ChangeSet; filesWritten: string[]; filesDeleted: string[]; commit: string | null }>(
+      `/generate/${id}/changesets/${changeSetId}/apply`,
+      {
+        method: "POST",
+        body: JSON.stringify(options),
+      }
+    );
+  }
+
+  async discardChangeSet(id: string, changeSetId: string): Promise<ApiResponse<{ changeSet: ChangeSet }>> {
+    return this.request<{ changeSet: ChangeSet }>(`/generate/${id}/changesets/${changeSetId}/discard`, {
+      method: "POST",
+    });
+  }
+
+  // Stop a running generation; completed phases are kept for resuming, files it wrote are rolled back
+  async cancelGeneration(id: string): Promise<ApiResponse<GenerationCancellation>> {
+    return this.request<GenerationCancellation>(`/generate/${id}/cancel`, {
+      method: "POST",
+    });
+  }
+
+  // Continue an interrupted generation; phases completed before the interruption are not regenerated
+  async resumeGeneration(id: string): Promise<ApiResponse<GenerationResponse>> {
+    return this.request<GenerationResponse>(`/generate/${id}/resume`, {
       method: "POST",
     });
   }
@@ -2,7 +2,7 @@
 
 import { createContext, useContext, useState, useCallback, ReactNode } from "react";
 import { api } from "./api";
-import type { Project } from "@/types";
+import type { EngineSelection, Project } from "@/types";
 
 export interface WizardData {
   appName: string;
@@ -12,6 +12,7 @@ export interface WizardData {
   integrations: string[];
   multiTenant: boolean;
   authentication: "none" | "basic" | "oauth" | "custom";
+  engineConfig: EngineSelection;
 }
 
 interface WizardContextType {
@@ -50,6 +51,7 @@ const initialData: WizardData = {
   integrations: [],
   multiTenant: false,
   authentication: "basic",
+  engineConfig: { preset: "hybrid" },
 };
 
 const WizardContext = createContext<WizardContextType | null>(null);
@@ -120,7 +122,9 @@ export function WizardProvider({ children }: { children: ReactNode }) {
     setError(null);
 
     try {
-      const result = await api.generateSync(project.id, data.description);
+      const result = await api.generateSync(project.id, data.description, {
+        engineConfig: data.engineConfig,
+      });
 
       if (result.success && result.data) {
         setProject(result.data.project);
@@ -135,7 +139,7 @@ export function WizardProvider({ children }: { children: ReactNode }) {
     } finally {
       setIsLoading(false);
     }
-  }, [project, data.description]);
+  }, [project, data.description, data.engineConfig]);
 
   const reset = useCallback(() => {
     setStep(1);
@@ -10,7 +10,7 @@ export interface Project {
   config: ProjectConfig;
 }
 
-export type ProjectStatus = "draft" | "generating" | "testing" | "deployed" | "failed";
+export type ProjectStatus = "draft" | "generating" | "testing" | "deployed" | "failed" | "interrupted";
 
 export interface ProjectConfig {
   industry?: string;
@@ -18,10 +18,29 @@ export interface ProjectConfig {
   integrations: string[];
   multiTenant: boolean;
   authentication: AuthenticationType;
+  projectType?: string; // Pipeline definition name, e.g. "fullstack" or "api-only"
+  stack?: string; // Backend stack profile id, e.g. "express-sequelize", "fastify-prisma" or "nestjs-typeorm"
+  engineConfig?: EngineSelection | null;
+  budget?: Budget | null;
 }
 
 export type AuthenticationType = "none" | "basic" | "oauth" | "custom";
 
+// Engine selection made in the wizard: a preset id, or "custom" with a per-phase map
+export interface EngineSelection {
+  preset: string;
+  custom?: Record<string, string>;
+  fallbacks?: string[] | Record<string, string[]>;
+}
+
+// Spend limit for a project or user; "downgrade" switches to a cheaper engine instead of stopping
+export interface Budget {
+  maxCost: number | null;
+  maxTokens: number | null;
+  onExceed: "abort" | "downgrade";
+  downgradeEngine: string | null; // null: the default ("cerebras"), not used for self-hosted engines
+}
+
 // Wizard Types
 export interface WizardState {
   step: number;
@@ -45,6 +64,7 @@ export interface GenerationRequest {
   projectId: string;
   prompt: string;
   config: ProjectConfig;
+  propose?: boolean; // Get a change set to review instead of saved files
 }
 
 export interface GenerationResponse {
@@ -55,6 +75,254 @@ export interface GenerationResponse {
   artifacts?: GeneratedArtifact[];
 }
 
+// Generation, phase regeneration or deployment job of the backend job queue
+export interface GenerationJob {
+  id: string;
+  type: "generate" | "regenerate-phase" | "add-feature" | "deploy";
+  projectId: string;
+  status: "queued" | "running" | "completed" | "failed" | "cancelled";
+  priority: number;
+  position: number | null; // Place in the queue while queued, 1 starts next
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  error: string | null;
+}
+
+// Stored record of a finished generation run, GET /api/projects/:id/generations/:generationId
+export interface GenerationRecordSummary {
+  id: string;
+  projectId: string;
+  status: "completed" | "failed" | "cancelled";
+  projectStatus: ProjectStatus | null;
+  pipeline: string;
+  resumed: boolean;
+  startedAt: string;
+  finishedAt: string;
+  duration: number;
+  totals: { files: number; lines: number; tokens: number; cost: number; cacheHits: number };
+  error: string | null;
+}
+
+export interface GenerationRecordPhase {
+  phase: string;
+  status: "completed" | "restored" | "failed" | "skipped" | "cancelled" | "not_run";
+  engine?: string;
+  inputTokens?: number;
+  outputTokens?: number;
+  cost?: number;
+  elapsed?: number;
+  filesGenerated?: number;
+  lines?: number;
+  files?: string[];
+  fixes?: string[];
+  prompt?: string | null;
+  error?: string;
+  code?: string;
+}
+
+// One attempt of the loop that fixes a generated server failing its tests
+export interface TestRepairAttempt {
+  iteration: number;
+  engine: string;
+  implicated: string[]; // Files shown to the engine
+  failure: string; // What failed before the attempt
+  files: string[]; // Files the fix changed or added
+  success: boolean;
+  error: string | null;
+  failedTests?: string[];
+  stderr?: string;
+  inputTokens?: number;
+  outputTokens?: number;
+  cost?: number;
+}
+
+export interface TestRepair {
+  iterations: number;
+  success: boolean;
+  attempts: TestRepairAttempt[];
+  files: string[];
+  inputTokens: number;
+  outputTokens: number;
+  cost: number;
+}
+
+export interface GenerationRecord extends GenerationRecordSummary {
+  config: Record<string, unknown>;
+  options: { engine: string | null; engineConfig: EngineSelection | string | null; cache: boolean };
+  phases: GenerationRecordPhase[];
+  fixes: { phase: string; fix: string }[];
+  testResults: Record<string, unknown> | null;
+  testRepair: TestRepair | null; // Attempts to fix failing tests; their tokens and cost are in totals
+  files: { path: string; size: number; lines: number; hash: string }[];
+  commit: string | null; // Commit of the generated app's git history, null when nothing was committed
+  changeSet: string | null; // Change set of a propose run
+}
+
+// GET /api/projects/:id/generations/:generationId/compare
+export interface GenerationComparison {
+  base: GenerationRecordSummary;
+  target: GenerationRecordSummary;
+  config: { key: string; from: unknown; to: unknown }[];
+  phases: { phase: string; changes: Record<string, { from: unknown; to: unknown }> }[];
+  files: {
+    added: string[];
+    removed: string[];
+    changed: { path: string; lines: { from: number; to: number } }[];
+    unchanged: number;
+  };
+  totals: GenerationRecordSummary["totals"];
+}
+
+// What a merge regeneration did with a file
+export type MergeStatus = "added" | "updated" | "merged" | "kept" | "unchanged" | "conflict";
+export type ConflictReason = "conflicting-edits" | "deleted" | "no-base";
+
+// Response of POST /api/generate/:id/phase/:phase
+export interface PhaseRegeneration {
+  phase: string;
+  filesGenerated: string[];
+  stats: Record<string, unknown>;
+  commit: string | null;
+  changeSet?: ChangeSet; // Propose mode; nothing is saved until it is applied
+  merge: {
+    results: { path: string; status: MergeStatus; reason?: ConflictReason; conflicts?: number }[];
+    conflicts: { path: string; reason: ConflictReason; conflicts: number | null }[];
+  } | null; // null in overwrite and propose mode
+}
+
+// File a merge regeneration left as the user edited it, GET /api/generate/:id/conflicts
+export interface MergeConflict {
+  path: string;
+  phase: string;
+  reason: ConflictReason;
+  conflicts: number | null; // Conflicting hunks
+  ours: string | null; // The user's version, null when deleted
+  base: string | null; // Last generated version, null when unknown
+  theirs: string; // New generation
+  merged?: string; // diff3 result with conflict markers
+  createdAt: string;
+}
+
+export type ChangeSetStatus = "pending" | "applied" | "discarded";
+
+// File of a change set; diff and contents only in GET /api/generate/:id/changesets/:changeSetId
+export interface ChangeSetFile {
+  path: string;
+  status: "added" | "modified" | "deleted";
+  additions: number;
+  deletions: number;
+  decision?: "accepted" | "rejected"; // Once the change set is closed
+  diff?: string; // Unified diff against previous
+  content?: string | null; // null for deleted files
+  previous?: string | null; // Content it was generated against, null for added files
+}
+
+// Generated files waiting for review before they are written: feature additions and propose mode
+export interface ChangeSet {
+  id: string;
+  projectId: string;
+  status: ChangeSetStatus;
+  source: "feature" | "generation" | "phase";
+  title: string;
+  feature?: { name: string; description: string };
+  phase?: string;
+  runId?: string | null; // Generation run of a proposed generation
+  engine?: string;
+  stats?: Record<string, unknown>;
+  summary: { added: number; modified: number; deleted: number };
+  files: ChangeSetFile[];
+  commit: string | null; // Once applied
+  createdAt: string;
+  closedAt: string | null;
+}
+
+// Commit in a generated app's git history, GET /api/projects/:id/history
+export interface ProjectCommit {
+  hash: string;
+  shortHash: string;
+  author: string;
+  date: string;
+  message: string;
+  body: string;
+  files: string[];
+}
+
+// GET /api/projects/:id/history/:commit
+export interface ProjectCommitDiff {
+  commit: string;
+  against: string | null; // null for the first commit, compared with an empty tree
+  files: { path: string; status: "A" | "M" | "D"; additions: number; deletions: number }[];
+  patch: string;
+}
+
+// POST /api/projects/:id/history/:commit/restore
+export interface ProjectRestore {
+  restoredTo: string;
+  commit: { hash: string; shortHash: string; message: string; files: number } | null;
+  files: string[];
+}
+
+// Logged generation run, listed by GET /api/generate/:id/runs
+export interface GenerationRun {
+  runId: string;
+  pipeline: string;
+  startedAt: string;
+  events: number;
+  firstEventId: number | null;
+  lastEventId: number | null;
+  endedAt: string | null;
+  outcome: "complete" | "error" | "cancelled" | null; // null while the run has not ended
+}
+
+// Progress event as sent on the SSE stream with its id
+export interface GenerationEvent {
+  id: number;
+  runId: string;
+  timestamp: string;
+  data: { type: string; [key: string]: unknown };
+}
+
+// Returned by POST /api/generate/:id/cancel and sent with the final "cancelled" SSE event
+export interface GenerationCancellation {
+  status: ProjectStatus;
+  kept: { phases: string[]; files: number };
+  rolledBack: { removed: number; restored: number };
+  resumable: boolean;
+}
+
+// Prediction interval returned by GET /api/generate/estimate
+export interface EstimateRange {
+  low: number;
+  expected: number;
+  high: number;
+}
+
+export interface PhaseEstimate {
+  phase: string;
+  engine: string;
+  samples: number;
+  basis: "history" | "other-engines" | "defaults";
+  tokens: EstimateRange;
+  cost: EstimateRange;
+  seconds: EstimateRange;
+  files: EstimateRange;
+  lines: EstimateRange;
+}
+
+export interface GenerationEstimate {
+  phases: PhaseEstimate[];
+  total: {
+    tokens: EstimateRange;
+    cost: EstimateRange;
+    seconds: EstimateRange;
+    files: EstimateRange;
+    lines: EstimateRange;
+  };
+  confidence: number;
+  samples: number;
+}
+
 export interface GeneratedArtifact {
   id: string;
   type: "backend" | "frontend" | "database" | "tests" | "docs";